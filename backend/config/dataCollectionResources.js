@@ -111,9 +111,12 @@ export const dataCollectionResources = {
     },
     npmAudit: {
       name: 'npm Audit',
-      type: 'command',
-      command: 'npm audit --json',
-      description: 'Run npm audit programmatically using child_process',
+      type: 'api',
+      baseUrl: 'https://registry.npmjs.org',
+      endpoints: {
+        bulkAdvisories: '/-/npm/v1/security/advisories/bulk'
+      },
+      description: 'Bulk advisory endpoint used by npm audit, queried directly with the packages and versions to check',
       rateLimit: {
         note: 'Limited by npm registry rate limits'
       },
@@ -427,6 +430,37 @@ export const dataCollectionResources = {
       required: true,
       note: 'Required for GitHub API and Security Advisories'
     },
+    GITHUB_API_BASE: {
+      description: 'Base URL of the GitHub API used for the advisory mirror',
+      required: false,
+      default: 'https://api.github.com'
+    },
+    NPM_REGISTRY_BASE: {
+      description: 'Registry queried for npm audit advisories',
+      required: false,
+      default: 'https://registry.npmjs.org'
+    },
+    EPSS_DATA_URL: {
+      description: 'Download URL of the EPSS scores CSV (plain or gzipped)',
+      required: false,
+      default: 'https://epss.empiricalsecurity.com/epss_scores-current.csv.gz'
+    },
+    KEV_DATA_URL: {
+      description: 'Download URL of the CISA Known Exploited Vulnerabilities catalog',
+      required: false,
+      default: 'https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json'
+    },
+    OSV_SOURCE: {
+      description: 'Where OSV lookups are answered from',
+      required: false,
+      default: 'api',
+      note: 'Set to "local" to answer source=osv/all from the imported OSV dump instead of api.osv.dev'
+    },
+    GITHUB_ADVISORY_REFRESH_MINUTES: {
+      description: 'Age after which lookups trigger an incremental advisory mirror sync',
+      required: false,
+      default: '60'
+    },
     OSS_INDEX_USERNAME: {
       description: 'OSS Index username',
       required: false,
@@ -437,16 +471,53 @@ export const dataCollectionResources = {
       required: false,
       note: 'Required for OSS Index API'
     },
+    OSS_INDEX_API_BASE: {
+      description: 'Base URL of the OSS Index API',
+      required: false,
+      default: 'https://ossindex.sonatype.org'
+    },
+    DEPENDENTS_SEARCH_URL: {
+      description: 'Search endpoint asked for the dependents of a package, in addition to the stored graphs',
+      required: false,
+      note: 'Called as GET ?name=&version=, answering { dependents: [{ name, version, range }] }'
+    },
+    VEX_AUTHOR: {
+      description: 'Author recorded in generated OpenVEX documents',
+      required: false,
+      default: 'ChainGuard Data Collector'
+    },
     NVD_API_KEY: {
       description: 'NVD API key (optional)',
       required: false,
       note: 'Recommended for higher rate limits'
     },
+    NVD_API_BASE: {
+      description: 'Base URL of the NVD API',
+      required: false,
+      default: 'https://services.nvd.nist.gov',
+      note: 'Override to ingest from a local stand-in'
+    },
     COLLECT_STATIC_ANALYSIS: {
       description: 'Enable static code analysis collection',
       required: false,
       default: 'false',
       note: 'Set to "true" to enable (can be expensive)'
+    },
+    REQUEST_BODY_LIMIT: {
+      description: 'Maximum request body size, e.g. for uploaded lockfiles',
+      required: false,
+      default: '50mb'
+    },
+    STORAGE_ADAPTER: {
+      description: 'Storage adapter used to persist collected data',
+      required: false,
+      default: 'file',
+      note: 'One of "file" or "memory", or a name registered with registerStorageAdapter()'
+    },
+    STORAGE_DIR: {
+      description: 'Directory used by the file storage adapter',
+      required: false,
+      default: 'backend/data'
     }
   }
 };
@@ -0,0 +1,96 @@
+import { getStorage } from '../storage/index.js';
+import { PackageRepository, PACKAGE_SECTIONS } from '../storage/packageRepository.js';
+import { logger } from '../utils/logger.js';
+
+const packageRepository = new PackageRepository(getStorage());
+
+/**
+ * Controller for querying previously collected package data
+ */
+export const listCollectedPackages = async (req, res, next) => {
+  try {
+    const { packageName, limit = 100, offset = 0 } = req.query;
+
+    const packages = await packageRepository.listPackages({
+      packageName,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: packages,
+      count: packages.length
+    });
+  } catch (error) {
+    logger.error('Error listing collected packages:', error);
+    next(error);
+  }
+};
+
+export const getCollectedPackage = async (req, res, next) => {
+  try {
+    const { packageName, version = 'latest', sections } = req.query;
+
+    if (!packageName) {
+      return res.status(400).json({
+        error: 'packageName query parameter is required',
+        example: '/api/collected/package?packageName=express&version=4.18.2&sections=metadata,vulnerabilities'
+      });
+    }
+
+    const requestedSections = sections ? sections.split(',').map(s => s.trim()) : PACKAGE_SECTIONS;
+    const invalidSections = requestedSections.filter(s => !PACKAGE_SECTIONS.includes(s));
+    if (invalidSections.length > 0) {
+      return res.status(400).json({
+        error: `Unknown sections: ${invalidSections.join(', ')}`,
+        validSections: PACKAGE_SECTIONS
+      });
+    }
+
+    const collected = await packageRepository.getPackage(packageName, version, requestedSections);
+
+    if (!collected) {
+      return res.status(404).json({
+        error: `No collected data for ${packageName}@${version}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: collected
+    });
+  } catch (error) {
+    logger.error('Error fetching collected package:', error);
+    next(error);
+  }
+};
+
+export const deleteCollectedPackage = async (req, res, next) => {
+  try {
+    const { packageName, version } = req.query;
+
+    if (!packageName || !version) {
+      return res.status(400).json({
+        error: 'packageName and version query parameters are required',
+        example: '/api/collected/package?packageName=express&version=4.18.2'
+      });
+    }
+
+    const deleted = await packageRepository.deletePackage(packageName, version);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: `No collected data for ${packageName}@${version}`
+      });
+    }
+
+    res.json({
+      success: true,
+      deleted: `${packageName}@${version}`
+    });
+  } catch (error) {
+    logger.error('Error deleting collected package:', error);
+    next(error);
+  }
+};
@@ -1,7 +1,41 @@
-import { DataCollectionOrchestrator } from '../services/collectionOrchestrator.js';
+import { orchestrator, jobManager, JOB_TYPES } from '../services/collectionJobs.js';
+import { JOB_STATUS } from '../services/jobManager.js';
+import { osvLocalService } from '../services/osvLocalService.js';
+import { EXPLOIT_INTEL_SOURCES } from '../services/exploitIntelService.js';
 import { logger } from '../utils/logger.js';
 
-const orchestrator = new DataCollectionOrchestrator();
+/**
+ * Format the response returned when a job has been enqueued
+ */
+function jobAccepted(job) {
+  return {
+    success: true,
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    statusUrl: `/api/collection/jobs/${job.id}`,
+    ...(job.metadata.checkpointId && {
+      batchId: job.metadata.checkpointId,
+      batchUrl: `/api/collection/batches/${job.metadata.checkpointId}`
+    }),
+    createdAt: job.createdAt
+  };
+}
+
+// Checkpoints whose resume/retry request is between the active-job check and
+// the enqueue, so simultaneous requests cannot both start a job
+const startingBatches = new Set();
+
+/**
+ * Find a queued or running job working on a batch checkpoint
+ */
+async function findActiveBatchJob(checkpointId) {
+  const jobs = await jobManager.listJobs({ type: JOB_TYPES.BATCH_COLLECTION, limit: Infinity });
+  return jobs.find(job =>
+    job.metadata.checkpointId === checkpointId &&
+    (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)
+  );
+}
 
 /**
  * Controller for collection orchestrator endpoints
@@ -45,13 +79,14 @@ export const collectPackageData = async (req, res, next) => {
 
 export const collectVulnerabilityDatabases = async (req, res, next) => {
   try {
-    const { daysBack = 30, sources = ['nvd', 'github'] } = req.body;
+    const { daysBack = 30, sources = ['nvd', 'github'], fullGitHubSync = false } = req.body;
 
     logger.info('Collecting vulnerability databases...');
 
     const result = await orchestrator.collectVulnerabilityDatabases({
       daysBack,
-      sources
+      sources,
+      fullGitHubSync
     });
 
     res.json({
@@ -64,23 +99,73 @@ export const collectVulnerabilityDatabases = async (req, res, next) => {
   }
 };
 
+export const importOsvDump = async (req, res, next) => {
+  try {
+    const { path: dumpPath } = req.body;
+
+    if (!dumpPath) {
+      return res.status(400).json({
+        error: 'path is required in request body',
+        example: { path: 'npm/all.zip' }
+      });
+    }
+
+    const resolvedPath = await osvLocalService.resolveDumpPath(dumpPath, { restricted: true });
+
+    logger.info(`Enqueuing OSV dump import from ${resolvedPath}...`);
+
+    const job = await jobManager.enqueue(JOB_TYPES.OSV_IMPORT, { path: resolvedPath });
+
+    res.status(202).json(jobAccepted(job));
+  } catch (error) {
+    logger.error('Error enqueuing OSV dump import:', error);
+    next(error);
+  }
+};
+
+export const importExploitIntel = async (req, res, next) => {
+  try {
+    const { sources = ['epss', 'kev'], epssPath, epssUrl, kevPath, kevUrl } = req.body;
+
+    const unknown = sources.filter(source => !EXPLOIT_INTEL_SOURCES[source]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown sources: ${unknown.join(', ')}`,
+        validSources: Object.keys(EXPLOIT_INTEL_SOURCES)
+      });
+    }
+
+    logger.info(`Enqueuing exploit intel import (${sources.join(', ')})...`);
+
+    const job = await jobManager.enqueue(JOB_TYPES.EXPLOIT_INTEL_IMPORT, {
+      sources,
+      epssPath,
+      epssUrl,
+      kevPath,
+      kevUrl
+    });
+
+    res.status(202).json(jobAccepted(job));
+  } catch (error) {
+    logger.error('Error enqueuing exploit intel import:', error);
+    next(error);
+  }
+};
+
 export const collectLabeledTrainingData = async (req, res, next) => {
   try {
     const { maliciousCount = 1000, benignCount = 10000 } = req.body;
 
-    logger.info('Collecting labeled training data...');
+    logger.info('Enqueuing labeled training data collection...');
 
-    const result = await orchestrator.collectLabeledTrainingData({
+    const job = await jobManager.enqueue(JOB_TYPES.TRAINING_DATA, {
       maliciousCount,
       benignCount
     });
 
-    res.json({
-      success: true,
-      ...result
-    });
+    res.status(202).json(jobAccepted(job));
   } catch (error) {
-    logger.error('Error collecting labeled training data:', error);
+    logger.error('Error enqueuing labeled training data collection:', error);
     next(error);
   }
 };
@@ -102,22 +187,201 @@ export const batchCollectPackages = async (req, res, next) => {
       });
     }
 
-    logger.info(`Batch collecting ${packages.length} packages...`);
+    logger.info(`Enqueuing batch collection of ${packages.length} packages...`);
 
-    const result = await orchestrator.batchCollectPackages(packages, {
+    const checkpoint = await orchestrator.createBatchCheckpoint(packages, {
       concurrency,
       includeStaticAnalysis,
       includeGitHubData,
       includeVulnerabilities
     });
 
+    const job = await jobManager.enqueue(
+      JOB_TYPES.BATCH_COLLECTION,
+      { checkpointId: checkpoint.id },
+      { metadata: { checkpointId: checkpoint.id } }
+    );
+
+    res.status(202).json(jobAccepted(job));
+  } catch (error) {
+    logger.error('Error enqueuing batch collection:', error);
+    next(error);
+  }
+};
+
+export const listJobs = async (req, res, next) => {
+  try {
+    const { status, type, limit = 50 } = req.query;
+
+    const jobs = await jobManager.listJobs({ status, type, limit: parseInt(limit) });
+
     res.json({
       success: true,
-      ...result
+      // Partial results can be large, fetch a single job to see them
+      data: jobs.map(({ results, errors, result, ...job }) => ({
+        ...job,
+        errorCount: errors.length
+      })),
+      count: jobs.length
+    });
+  } catch (error) {
+    logger.error('Error listing jobs:', error);
+    next(error);
+  }
+};
+
+export const getJob = async (req, res, next) => {
+  try {
+    const { resultsOffset = 0, resultsLimit = 1000 } = req.query;
+    const job = await jobManager.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: `Job ${req.params.id} not found`
+      });
+    }
+
+    const offset = parseInt(resultsOffset);
+    const limit = parseInt(resultsLimit);
+
+    res.json({
+      success: true,
+      data: {
+        ...job,
+        results: job.results.slice(offset, offset + limit),
+        totalResults: job.results.length
+      }
     });
   } catch (error) {
-    logger.error('Error batch collecting packages:', error);
+    logger.error('Error fetching job:', error);
     next(error);
   }
 };
 
+export const cancelJob = async (req, res, next) => {
+  try {
+    const job = await jobManager.cancelJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: `Job ${req.params.id} not found`
+      });
+    }
+
+    logger.info(`Cancellation requested for job ${job.id} (${job.status})`);
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      message: job.status === 'running'
+        ? 'Cancellation requested, the job stops after the current chunk'
+        : `Job is ${job.status}`
+    });
+  } catch (error) {
+    logger.error('Error cancelling job:', error);
+    next(error);
+  }
+};
+
+export const listBatches = async (req, res, next) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    const batches = await orchestrator.checkpoints.list({ status, limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      data: batches,
+      count: batches.length
+    });
+  } catch (error) {
+    logger.error('Error listing batches:', error);
+    next(error);
+  }
+};
+
+export const getBatch = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const checkpoint = await orchestrator.checkpoints.get(req.params.id);
+
+    if (!checkpoint) {
+      return res.status(404).json({
+        error: `Batch ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...checkpoint,
+        entries: status
+          ? checkpoint.entries.filter(entry => entry.status === status)
+          : checkpoint.entries
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching batch:', error);
+    next(error);
+  }
+};
+
+/**
+ * Shared handler for resume and retry-failed
+ */
+async function enqueueBatchRun(req, res, next, retryFailed) {
+  if (startingBatches.has(req.params.id)) {
+    return res.status(409).json({
+      error: `Batch ${req.params.id} is already being started`
+    });
+  }
+  startingBatches.add(req.params.id);
+
+  try {
+    const checkpoint = await orchestrator.checkpoints.get(req.params.id);
+
+    if (!checkpoint) {
+      return res.status(404).json({
+        error: `Batch ${req.params.id} not found`
+      });
+    }
+
+    const activeJob = await findActiveBatchJob(checkpoint.id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: `Batch ${checkpoint.id} is already being processed by job ${activeJob.id}`,
+        jobId: activeJob.id
+      });
+    }
+
+    const remaining = retryFailed ? checkpoint.counts.failed : checkpoint.counts.pending;
+    if (remaining === 0) {
+      return res.status(409).json({
+        error: retryFailed
+          ? `Batch ${checkpoint.id} has no failed packages to retry`
+          : `Batch ${checkpoint.id} has no pending packages to resume`,
+        counts: checkpoint.counts
+      });
+    }
+
+    logger.info(`${retryFailed ? 'Retrying failed packages of' : 'Resuming'} batch ${checkpoint.id} (${remaining} packages)...`);
+
+    const job = await jobManager.enqueue(
+      JOB_TYPES.BATCH_COLLECTION,
+      { checkpointId: checkpoint.id, retryFailed },
+      { metadata: { checkpointId: checkpoint.id } }
+    );
+
+    res.status(202).json(jobAccepted(job));
+  } catch (error) {
+    logger.error('Error enqueuing batch run:', error);
+    next(error);
+  } finally {
+    startingBatches.delete(req.params.id);
+  }
+}
+
+export const resumeBatch = (req, res, next) => enqueueBatchRun(req, res, next, false);
+
+export const retryFailedBatch = (req, res, next) => enqueueBatchRun(req, res, next, true);
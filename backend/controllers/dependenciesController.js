@@ -1,4 +1,9 @@
 import { dependenciesService } from '../services/dependenciesService.js';
+import { dependentsService } from '../services/dependentsService.js';
+import { dependencyDiffService } from '../services/dependencyDiffService.js';
+import { vulnerablePathsService } from '../services/vulnerablePathsService.js';
+import { lockfileService, LOCKFILE_FORMATS } from '../services/lockfileService.js';
+import { exportGraph, GRAPH_EXPORT_FORMATS } from '../utils/graphExport.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -12,7 +17,7 @@ import { logger } from '../utils/logger.js';
  */
 export const getDependencies = async (req, res, next) => {
   try {
-    const { packageName, version } = req.query;
+    const { packageName, version, os, cpu } = req.query;
 
     if (!packageName) {
       return res.status(400).json({
@@ -23,7 +28,9 @@ export const getDependencies = async (req, res, next) => {
 
     logger.info(`Fetching dependencies for ${packageName}${version ? `@${version}` : ''}`);
 
-    const dependencies = await dependenciesService.fetchDependencies(packageName, version);
+    const dependencies = await dependenciesService.fetchDependencies(packageName, version, {
+      platform: { os, cpu }
+    });
 
     res.json({
       success: true,
@@ -37,9 +44,47 @@ export const getDependencies = async (req, res, next) => {
   }
 };
 
+/**
+ * Send a graph result in an export format, annotated with collected data
+ */
+async function sendGraphExport(res, result, format) {
+  const title = `${result.package.name}@${result.package.version}`;
+  const nodes = await dependenciesService.annotateNodes(result.dependencyGraph.nodes);
+  const { contentType, extension, body } = exportGraph(
+    { nodes, edges: result.dependencyGraph.edges },
+    format,
+    title
+  );
+
+  const filename = `${title.replace(/[^\w.@-]+/g, '_')}.${extension}`;
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.type(contentType);
+  return typeof body === 'string' ? res.send(body) : res.json(body);
+}
+
+function invalidFormat(res, format, example) {
+  return res.status(400).json({
+    error: `format must be one of: json, ${GRAPH_EXPORT_FORMATS.join(', ')}`,
+    received: format,
+    example
+  });
+}
+
 export const getIndirectDependencies = async (req, res, next) => {
   try {
-    const { packageName, version, depth = 5 } = req.query;
+    const {
+      packageName,
+      version,
+      depth = 5,
+      format = 'json',
+      os,
+      cpu,
+      inspectBundled,
+      maxNodes = 5000,
+      maxEdges = 20000,
+      concurrency = 8,
+      metrics
+    } = req.query;
 
     if (!packageName) {
       return res.status(400).json({
@@ -48,14 +93,30 @@ export const getIndirectDependencies = async (req, res, next) => {
       });
     }
 
+    if (format !== 'json' && !GRAPH_EXPORT_FORMATS.includes(format)) {
+      return invalidFormat(res, format, '/api/dependencies/indirect?packageName=express&depth=3&format=graphml');
+    }
+
     logger.info(`Fetching indirect dependencies for ${packageName} (depth: ${depth})`);
 
     const indirectDeps = await dependenciesService.getIndirectDependencies(
       packageName,
       version,
-      parseInt(depth)
+      parseInt(depth),
+      {
+        platform: { os, cpu },
+        inspectBundled: inspectBundled === 'true',
+        maxNodes: parseInt(maxNodes),
+        maxEdges: parseInt(maxEdges),
+        concurrency: parseInt(concurrency),
+        metrics: metrics === 'true'
+      }
     );
 
+    if (format !== 'json') {
+      return sendGraphExport(res, indirectDeps, format);
+    }
+
     res.json({
       success: true,
       data: indirectDeps,
@@ -68,3 +129,189 @@ export const getIndirectDependencies = async (req, res, next) => {
   }
 };
 
+export const getDependents = async (req, res, next) => {
+  try {
+    const { packageName, version, depth = 5, limit = 1000, search } = req.query;
+
+    if (!packageName) {
+      return res.status(400).json({
+        error: 'packageName query parameter is required',
+        example: '/api/dependencies/dependents?packageName=lodash&version=4.17.20&depth=3'
+      });
+    }
+
+    logger.info(`Finding dependents of ${packageName}${version ? `@${version}` : ''} (depth: ${depth})`);
+
+    const dependents = await dependentsService.getDependents(packageName, version, {
+      maxDepth: parseInt(depth),
+      limit: parseInt(limit),
+      search: search !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: dependents,
+      source: 'reverse-dependency-graph',
+      collectedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error finding dependents:', error);
+    next(error);
+  }
+};
+
+export const getDependencyDiff = async (req, res, next) => {
+  try {
+    const { packageName, from, to, depth = 5, youngDays = 30, minWeeklyDownloads = 1000 } = req.query;
+
+    if (!packageName || !from || !to) {
+      return res.status(400).json({
+        error: 'packageName, from and to query parameters are required',
+        example: '/api/dependencies/diff?packageName=express&from=4.18.2&to=4.19.2'
+      });
+    }
+
+    logger.info(`Diffing dependencies of ${packageName} ${from} → ${to} (depth: ${depth})`);
+
+    const diff = await dependencyDiffService.diffVersions(packageName, from, to, {
+      maxDepth: parseInt(depth),
+      youngDays: parseInt(youngDays),
+      minWeeklyDownloads: parseInt(minWeeklyDownloads)
+    });
+
+    res.json({
+      success: true,
+      data: diff,
+      source: 'dependency-graph-diff',
+      collectedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error diffing dependencies:', error);
+    next(error);
+  }
+};
+
+export const getVulnerablePaths = async (req, res, next) => {
+  try {
+    const { packageName, version, graphId, depth = 5, source = 'all', maxPaths = 50, suggestUpgrades } = req.query;
+
+    if (!packageName && !graphId) {
+      return res.status(400).json({
+        error: 'packageName or graphId query parameter is required',
+        example: '/api/dependencies/vulnerable-paths?packageName=express&version=4.17.1&depth=4'
+      });
+    }
+
+    const target = graphId ? `graph ${graphId}` : `${packageName}${version ? `@${version}` : ''}`;
+    logger.info(`Tracing vulnerable paths in ${target} (depth: ${depth})`);
+
+    const paths = await vulnerablePathsService.getVulnerablePaths({ packageName, version, graphId }, {
+      maxDepth: parseInt(depth),
+      source,
+      maxPaths: parseInt(maxPaths),
+      suggestUpgrades: suggestUpgrades !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: paths,
+      source: 'vulnerable-path-analysis',
+      collectedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error tracing vulnerable paths:', error);
+    next(error);
+  }
+};
+
+export const ingestLockfile = async (req, res, next) => {
+  try {
+    let content;
+    let options;
+
+    if (typeof req.body === 'string') {
+      // Raw upload: the lockfile is the body, options come from the query
+      content = req.body;
+      options = { format: req.query.format, filename: req.query.filename };
+    } else if (req.body?.lockfileVersion !== undefined && !req.body.content) {
+      // A package-lock.json posted as-is
+      content = req.body;
+      options = { format: 'package-lock', filename: req.query.filename };
+    } else {
+      const { content: bodyContent, format, filename, packageJson } = req.body || {};
+      content = bodyContent;
+      options = { format, filename, packageJson };
+    }
+
+    if (!content) {
+      return res.status(400).json({
+        error: 'lockfile content is required, as the request body or in content',
+        example: {
+          filename: 'pnpm-lock.yaml',
+          content: "lockfileVersion: '9.0'\n...",
+          packageJson: { name: 'my-app', version: '1.0.0' }
+        },
+        formats: LOCKFILE_FORMATS
+      });
+    }
+
+    if (options.format && !LOCKFILE_FORMATS.includes(options.format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${LOCKFILE_FORMATS.join(', ')}`
+      });
+    }
+
+    logger.info(`Ingesting ${options.format || options.filename || 'lockfile'}`);
+
+    const graph = await lockfileService.ingest(content, options);
+
+    res.status(201).json({
+      success: true,
+      data: graph,
+      source: 'lockfile-parsing',
+      collectedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error ingesting lockfile:', error);
+    next(error);
+  }
+};
+
+export const listGraphs = async (req, res, next) => {
+  try {
+    const graphs = await lockfileService.listGraphs();
+
+    res.json({
+      success: true,
+      data: graphs,
+      count: graphs.length
+    });
+  } catch (error) {
+    logger.error('Error listing dependency graphs:', error);
+    next(error);
+  }
+};
+
+export const getGraph = async (req, res, next) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (format !== 'json' && !GRAPH_EXPORT_FORMATS.includes(format)) {
+      return invalidFormat(res, format, `/api/dependencies/graphs/${req.params.graphId}?format=dot`);
+    }
+
+    const graph = await lockfileService.getGraph(req.params.graphId);
+
+    if (format !== 'json') {
+      return sendGraphExport(res, graph, format);
+    }
+
+    res.json({
+      success: true,
+      data: graph
+    });
+  } catch (error) {
+    logger.error('Error fetching dependency graph:', error);
+    next(error);
+  }
+};
@@ -1,4 +1,5 @@
 import { licenseService } from '../services/licenseService.js';
+import { lockfileService } from '../services/lockfileService.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -13,15 +14,29 @@ import { logger } from '../utils/logger.js';
  */
 export const getLicenseInfo = async (req, res, next) => {
   try {
-    const { packageName, version, includeTransitive = 'false' } = req.query;
+    const { packageName, version, includeTransitive = 'false', graphId } = req.query;
 
-    if (!packageName) {
+    if (!packageName && !graphId) {
       return res.status(400).json({
-        error: 'packageName query parameter is required',
+        error: 'packageName or graphId query parameter is required',
         example: '/api/license-info?packageName=express&includeTransitive=true'
       });
     }
 
+    if (graphId) {
+      logger.info(`Fetching license info for dependency graph ${graphId}`);
+
+      const graph = await lockfileService.getGraph(graphId);
+      const licenseInfo = await licenseService.getGraphLicenseInfo(graph);
+
+      return res.json({
+        success: true,
+        data: licenseInfo,
+        source: 'lockfile-graph',
+        collectedAt: new Date().toISOString()
+      });
+    }
+
     logger.info(`Fetching license info for ${packageName}${version ? `@${version}` : ''}`);
 
     const licenseInfo = await licenseService.getLicenseInfo(
@@ -1,4 +1,5 @@
 import { sbomService } from '../services/sbomService.js';
+import { lockfileService } from '../services/lockfileService.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -13,11 +14,11 @@ import { logger } from '../utils/logger.js';
  */
 export const generateSBOM = async (req, res, next) => {
   try {
-    const { packageName, version, format = 'json' } = req.query;
+    const { packageName, version, format = 'json', graphId } = req.query;
 
-    if (!packageName) {
+    if (!packageName && !graphId) {
       return res.status(400).json({
-        error: 'packageName query parameter is required',
+        error: 'packageName or graphId query parameter is required',
         example: '/api/sbom?packageName=express&format=spdx'
       });
     }
@@ -28,6 +29,21 @@ export const generateSBOM = async (req, res, next) => {
       });
     }
 
+    if (graphId) {
+      logger.info(`Generating SBOM for dependency graph ${graphId} in ${format} format`);
+
+      const graph = await lockfileService.getGraph(graphId);
+      const sbom = await sbomService.generateSBOMFromGraph(graph, format);
+
+      return res.json({
+        success: true,
+        data: sbom,
+        format,
+        source: 'lockfile-graph',
+        collectedAt: new Date().toISOString()
+      });
+    }
+
     logger.info(`Generating SBOM for ${packageName}${version ? `@${version}` : ''} in ${format} format`);
 
     const sbom = await sbomService.generateSBOM(packageName, version, format);
@@ -0,0 +1,135 @@
+import { scheduler, SCHEDULE_TASKS } from '../services/schedulerService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Controller for recurring collection schedules
+ */
+export const listSchedules = async (req, res, next) => {
+  try {
+    const schedules = await scheduler.listSchedules();
+
+    res.json({
+      success: true,
+      data: schedules,
+      count: schedules.length,
+      taskTypes: Object.keys(SCHEDULE_TASKS)
+    });
+  } catch (error) {
+    logger.error('Error listing schedules:', error);
+    next(error);
+  }
+};
+
+export const createSchedule = async (req, res, next) => {
+  try {
+    const { name, description, cronExpression, timezone, task, enabled } = req.body;
+
+    if (!name || !cronExpression || !task?.type) {
+      return res.status(400).json({
+        error: 'name, cronExpression and task.type are required in request body',
+        example: {
+          name: 'Nightly vulnerability sync',
+          cronExpression: '0 2 * * *',
+          timezone: 'UTC',
+          task: { type: 'vulnerability-databases', options: { daysBack: 1 } }
+        }
+      });
+    }
+
+    const schedule = await scheduler.createSchedule({ name, description, cronExpression, timezone, task, enabled });
+
+    res.status(201).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Error creating schedule:', error);
+    next(error);
+  }
+};
+
+export const getSchedule = async (req, res, next) => {
+  try {
+    const { historyLimit = 20 } = req.query;
+    const schedule = await scheduler.getSchedule(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: `Schedule ${req.params.id} not found`
+      });
+    }
+
+    const history = await scheduler.getRunHistory(req.params.id, parseInt(historyLimit));
+
+    res.json({
+      success: true,
+      data: {
+        ...schedule,
+        history
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching schedule:', error);
+    next(error);
+  }
+};
+
+export const updateSchedule = async (req, res, next) => {
+  try {
+    const schedule = await scheduler.updateSchedule(req.params.id, req.body);
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: `Schedule ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Error updating schedule:', error);
+    next(error);
+  }
+};
+
+export const deleteSchedule = async (req, res, next) => {
+  try {
+    const deleted = await scheduler.deleteSchedule(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: `Schedule ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      deleted: req.params.id
+    });
+  } catch (error) {
+    logger.error('Error deleting schedule:', error);
+    next(error);
+  }
+};
+
+export const runSchedule = async (req, res, next) => {
+  try {
+    const run = await scheduler.runSchedule(req.params.id, 'manual');
+
+    if (!run) {
+      return res.status(404).json({
+        error: `Schedule ${req.params.id} not found`
+      });
+    }
+
+    res.status(run.jobId ? 202 : 409).json({
+      success: Boolean(run.jobId),
+      data: run
+    });
+  } catch (error) {
+    logger.error('Error running schedule:', error);
+    next(error);
+  }
+};
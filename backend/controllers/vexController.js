@@ -0,0 +1,108 @@
+import { vexService } from '../services/vexService.js';
+import { VEX_STATUS, VEX_JUSTIFICATIONS } from '../storage/vexStatementRepository.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Controller for VEX documents and analyst statements
+ */
+export const generateVEX = async (req, res, next) => {
+  try {
+    const { packageName, version, format = 'openvex' } = req.query;
+
+    if (!packageName) {
+      return res.status(400).json({
+        error: 'packageName query parameter is required',
+        example: '/api/vex?packageName=lodash&version=4.17.20&format=openvex'
+      });
+    }
+
+    if (!['openvex', 'cyclonedx'].includes(format)) {
+      return res.status(400).json({
+        error: 'format must be one of: openvex, cyclonedx'
+      });
+    }
+
+    logger.info(`Generating ${format} VEX for ${packageName}${version ? `@${version}` : ''}`);
+
+    const vex = await vexService.generateVEX(packageName, version, format);
+
+    res.json({
+      success: true,
+      data: vex,
+      format,
+      collectedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error generating VEX:', error);
+    next(error);
+  }
+};
+
+export const listStatements = async (req, res, next) => {
+  try {
+    const { vulnerability, packageName } = req.query;
+
+    const statements = await vexService.listStatements({ vulnerability, packageName });
+
+    res.json({
+      success: true,
+      data: statements,
+      count: statements.length
+    });
+  } catch (error) {
+    logger.error('Error listing VEX statements:', error);
+    next(error);
+  }
+};
+
+export const saveStatement = async (req, res, next) => {
+  try {
+    const { vulnerability, product, status } = req.body;
+
+    if (!vulnerability || !product || !status) {
+      return res.status(400).json({
+        error: 'vulnerability, product and status are required in request body',
+        example: {
+          vulnerability: 'GHSA-35jh-r3h4-6jhm',
+          product: 'pkg:npm/lodash@4.17.20',
+          status: 'not_affected',
+          justification: 'vulnerable_code_not_in_execute_path',
+          impactStatement: 'template() is never called with user input',
+          author: 'security@example.com'
+        },
+        statuses: Object.values(VEX_STATUS),
+        justifications: VEX_JUSTIFICATIONS
+      });
+    }
+
+    const statement = await vexService.saveStatement(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    logger.error('Error saving VEX statement:', error);
+    next(error);
+  }
+};
+
+export const deleteStatement = async (req, res, next) => {
+  try {
+    const deleted = await vexService.deleteStatement(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: `VEX statement ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      deleted: req.params.id
+    });
+  } catch (error) {
+    logger.error('Error deleting VEX statement:', error);
+    next(error);
+  }
+};
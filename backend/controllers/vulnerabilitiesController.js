@@ -1,4 +1,8 @@
 import { vulnerabilitiesService } from '../services/vulnerabilitiesService.js';
+import { osvLocalService } from '../services/osvLocalService.js';
+import { exploitIntelService } from '../services/exploitIntelService.js';
+import { remediationService } from '../services/remediationService.js';
+import { lockfileService } from '../services/lockfileService.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -14,7 +18,7 @@ import { logger } from '../utils/logger.js';
  */
 export const getVulnerabilities = async (req, res, next) => {
   try {
-    const { packageName, version, source = 'all' } = req.query;
+    const { packageName, version, source = 'all', prioritize } = req.query;
 
     if (!packageName) {
       return res.status(400).json({
@@ -28,7 +32,8 @@ export const getVulnerabilities = async (req, res, next) => {
     const vulnerabilities = await vulnerabilitiesService.getVulnerabilities(
       packageName,
       version,
-      source
+      source,
+      { prioritize: prioritize === 'true' }
     );
 
     res.json({
@@ -45,3 +50,106 @@ export const getVulnerabilities = async (req, res, next) => {
   }
 };
 
+export const getOsvLocalStatus = async (req, res, next) => {
+  try {
+    const state = await osvLocalService.getImportState();
+
+    res.json({
+      success: true,
+      available: Boolean(state?.importedAt),
+      data: state,
+      osvSource: process.env.OSV_SOURCE === 'local' ? 'local' : 'api'
+    });
+  } catch (error) {
+    logger.error('Error reading OSV import status:', error);
+    next(error);
+  }
+};
+
+export const auditDependencies = async (req, res, next) => {
+  try {
+    const { graphId } = req.body;
+    let { packages } = req.body;
+
+    if (graphId) {
+      const graph = await lockfileService.getGraph(graphId);
+      packages = lockfileService.graphPackages(graph);
+    }
+
+    if (!packages || typeof packages !== 'object' || Object.keys(packages).length === 0) {
+      return res.status(400).json({
+        error: 'packages or graphId is required in request body',
+        example: {
+          packages: [{ name: 'lodash', version: '4.17.20' }, { name: 'minimist', version: '1.2.0' }]
+        }
+      });
+    }
+
+    const packageCount = Array.isArray(packages) ? packages.length : Object.keys(packages).length;
+    logger.info(`Auditing ${packageCount} dependencies against npm advisories`);
+
+    const findings = await vulnerabilitiesService.auditDependencies(packages);
+
+    res.json({
+      success: true,
+      data: {
+        vulnerabilities: findings,
+        summary: {
+          total: findings.length,
+          vulnerablePackages: new Set(findings.map(f => `${f.dependency}@${f.version}`)).size,
+          critical: findings.filter(f => f.rating === 'critical').length,
+          high: findings.filter(f => f.rating === 'high').length,
+          medium: findings.filter(f => f.rating === 'medium').length,
+          low: findings.filter(f => f.rating === 'low').length
+        }
+      },
+      collectedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error auditing dependencies:', error);
+    next(error);
+  }
+};
+
+export const getExploitIntelStatus = async (req, res, next) => {
+  try {
+    const status = await exploitIntelService.getStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('Error reading EPSS/KEV import status:', error);
+    next(error);
+  }
+};
+
+export const getRemediation = async (req, res, next) => {
+  try {
+    const { packageName, version, source = 'all', includePrerelease } = req.query;
+
+    if (!packageName) {
+      return res.status(400).json({
+        error: 'packageName query parameter is required',
+        example: '/api/vulnerabilities/remediation?packageName=lodash&version=4.17.15'
+      });
+    }
+
+    logger.info(`Computing remediation for ${packageName}${version ? `@${version}` : ''}`);
+
+    const remediation = await remediationService.getRemediation(packageName, version, {
+      source,
+      includePrerelease: includePrerelease === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: remediation,
+      collectedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error computing remediation:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,50 @@
+import express from 'express';
+import {
+  listCollectedPackages,
+  getCollectedPackage,
+  deleteCollectedPackage
+} from '../controllers/collectedDataController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/collected
+ * 
+ * List package versions that have been collected and stored
+ * 
+ * Query params:
+ * - packageName: string (optional) - only list versions of this package
+ * - limit: number (optional, default: 100)
+ * - offset: number (optional, default: 0)
+ * 
+ * Example: /api/collected?packageName=express
+ */
+router.get('/', listCollectedPackages);
+
+/**
+ * GET /api/collected/package
+ * 
+ * Get stored data for a collected package version
+ * 
+ * Query params:
+ * - packageName: string (required)
+ * - version: string (optional) - defaults to the most recently collected version
+ * - sections: string (optional) - comma-separated subset of
+ *   metadata, dependencies, vulnerabilities, github, staticAnalysis
+ * 
+ * Example: /api/collected/package?packageName=express&version=4.18.2&sections=vulnerabilities
+ */
+router.get('/package', getCollectedPackage);
+
+/**
+ * DELETE /api/collected/package
+ * 
+ * Delete stored data for a package version
+ * 
+ * Query params:
+ * - packageName: string (required)
+ * - version: string (required)
+ */
+router.delete('/package', deleteCollectedPackage);
+
+export default router;
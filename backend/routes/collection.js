@@ -2,8 +2,17 @@ import express from 'express';
 import { 
   collectPackageData, 
   collectVulnerabilityDatabases,
+  importOsvDump,
+  importExploitIntel,
   collectLabeledTrainingData,
-  batchCollectPackages
+  batchCollectPackages,
+  listJobs,
+  getJob,
+  cancelJob,
+  listBatches,
+  getBatch,
+  resumeBatch,
+  retryFailedBatch
 } from '../controllers/collectionController.js';
 
 const router = express.Router();
@@ -31,13 +40,42 @@ router.post('/package', collectPackageData);
  * Body params:
  * - daysBack: number (optional, default: 30)
  * - sources: array (optional, default: ['nvd', 'github'])
+ * - fullGitHubSync: boolean (optional, default: false) - re-fetch every GitHub
+ *   advisory instead of only those updated since the last sync
  */
 router.post('/vulnerability-databases', collectVulnerabilityDatabases);
 
+/**
+ * POST /api/collection/osv-import
+ * 
+ * Import an offline OSV npm dump into the local index used by
+ * /api/vulnerabilities?source=osv-local (runs as a background job)
+ * 
+ * Body params:
+ * - path: string (required) - all.zip from the OSV npm export, a directory of
+ *   extracted JSON records or a single JSON file, relative to (and inside)
+ *   OSV_DUMP_DIR (default: backend/data/osv-dumps)
+ */
+router.post('/osv-import', importOsvDump);
+
+/**
+ * POST /api/collection/exploit-intel
+ * 
+ * Import EPSS scores and the CISA KEV catalog used to enrich and prioritize
+ * vulnerability findings (runs as a background job)
+ * 
+ * Body params:
+ * - sources: array (optional, default: ['epss', 'kev'])
+ * - epssPath / kevPath: string (optional) - local file on the server (.csv, .csv.gz, .json)
+ * - epssUrl / kevUrl: string (optional) - download URL, defaults to EPSS_DATA_URL / KEV_DATA_URL
+ */
+router.post('/exploit-intel', importExploitIntel);
+
 /**
  * POST /api/collection/training-data
  * 
- * Collect labeled training data (malicious + benign packages)
+ * Enqueue collection of labeled training data (malicious + benign packages).
+ * Responds with 202 and a job id; poll GET /api/collection/jobs/:id for status.
  * 
  * Body params:
  * - maliciousCount: number (optional, default: 1000)
@@ -48,7 +86,10 @@ router.post('/training-data', collectLabeledTrainingData);
 /**
  * POST /api/collection/batch
  * 
- * Batch collect multiple packages
+ * Enqueue batch collection of multiple packages.
+ * Responds with 202, a job id and a batch id. The batch is checkpointed, so
+ * it can be resumed with POST /api/collection/batches/:id/resume if the job
+ * is interrupted or cancelled.
  * 
  * Body params:
  * - packages: array of {name, version} objects (required)
@@ -59,5 +100,72 @@ router.post('/training-data', collectLabeledTrainingData);
  */
 router.post('/batch', batchCollectPackages);
 
+/**
+ * GET /api/collection/jobs
+ * 
+ * List collection jobs, newest first
+ * 
+ * Query params:
+ * - status: string (optional) - queued, running, completed, failed, cancelled, interrupted
+ * - type: string (optional) - batch-collection, training-data
+ * - limit: number (optional, default: 50)
+ */
+router.get('/jobs', listJobs);
+
+/**
+ * GET /api/collection/jobs/:id
+ * 
+ * Get job status, progress counters, partial results and errors
+ * 
+ * Query params:
+ * - resultsOffset: number (optional, default: 0)
+ * - resultsLimit: number (optional, default: 1000)
+ */
+router.get('/jobs/:id', getJob);
+
+/**
+ * DELETE /api/collection/jobs/:id
+ * 
+ * Cancel a queued or running job
+ */
+router.delete('/jobs/:id', cancelJob);
+
+/**
+ * GET /api/collection/batches
+ * 
+ * List batch checkpoints with their pending/completed/failed counts
+ * 
+ * Query params:
+ * - status: string (optional) - in_progress, paused, completed
+ * - limit: number (optional, default: 50)
+ */
+router.get('/batches', listBatches);
+
+/**
+ * GET /api/collection/batches/:id
+ * 
+ * Get a batch checkpoint with the status of every package
+ * 
+ * Query params:
+ * - status: string (optional) - only return pending, completed or failed entries
+ */
+router.get('/batches/:id', getBatch);
+
+/**
+ * POST /api/collection/batches/:id/resume
+ * 
+ * Enqueue a job that collects the pending packages of a batch.
+ * Completed packages are not collected again.
+ */
+router.post('/batches/:id/resume', resumeBatch);
+
+/**
+ * POST /api/collection/batches/:id/retry-failed
+ * 
+ * Enqueue a job that retries every failed package of a batch with the
+ * batch's original options
+ */
+router.post('/batches/:id/retry-failed', retryFailedBatch);
+
 export default router;
 
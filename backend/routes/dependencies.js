@@ -1,5 +1,14 @@
 import express from 'express';
-import { getDependencies, getIndirectDependencies } from '../controllers/dependenciesController.js';
+import {
+  getDependencies,
+  getIndirectDependencies,
+  getDependents,
+  getDependencyDiff,
+  getVulnerablePaths,
+  ingestLockfile,
+  listGraphs,
+  getGraph
+} from '../controllers/dependenciesController.js';
 
 const router = express.Router();
 
@@ -9,8 +18,21 @@ const router = express.Router();
  * Query params:
  * - packageName: string (required)
  * - version: string (optional) - defaults to latest
+ * - os, cpu: string (optional) - target platform, e.g. linux and x64, checked
+ *   against each dependency's os/cpu fields
  * 
  * Example: /api/dependencies?packageName=express&version=4.18.2
+ * 
+ * Each dependency's specifier is kept as range and resolved against the
+ * published versions the way npm does (ranges, dist-tags, npm: aliases).
+ * Git, tarball URL, file, link and workspace specifiers are reported with
+ * registry: false and no version.
+ * 
+ * dependencies covers dependencies, optionalDependencies, peerDependencies
+ * and bundleDependencies, with dependencyType 'prod', 'optional', 'peer' or
+ * 'bundled'. Optional peers (peerDependenciesMeta) and optional dependencies
+ * that do not support the requested platform are marked skipped, as npm
+ * does not install them.
  */
 router.get('/', getDependencies);
 
@@ -21,10 +43,174 @@ router.get('/', getDependencies);
  * - packageName: string (required)
  * - version: string (optional)
  * - depth: number (optional) - max depth to traverse, defaults to 5
+ * - format: string (optional) - json (default), dot, graphml, gexf, cytoscape
+ *   or cypher
+ * - os, cpu: string (optional) - target platform for optional dependencies
+ * - inspectBundled: boolean (optional) - download tarballs that bundle
+ *   dependencies and read the bundled packages from them
+ * - maxNodes, maxEdges: number (optional) - graph size limits, default 5000
+ *   and 20000; nodes whose dependencies were cut off are marked truncated
+ * - concurrency: number (optional) - parallel registry requests, defaults to 8
+ * - metrics: boolean (optional) - add graph risk metrics; refused with a
+ *   400 for graphs over 3000 nodes
  * 
  * Example: /api/dependencies/indirect?packageName=express&depth=3
+ * 
+ * dependencyGraph has one node per resolved name@version (at its shallowest
+ * depth, with the parent it was first reached from) and one edge per
+ * parent → dependency pair, carrying the declared range. Edges that lead back
+ * to a package on the path are kept and marked cycle: true. Edges carry the
+ * dependencyType (prod, optional, peer, bundled); skipped dependencies are
+ * listed on their parent node's skippedDependencies.
+ * 
+ * Bundled packages ship inside their parent's tarball, where registry-level
+ * analysis does not see them. They get their own nodes, marked bundled: true
+ * with bundledBy; with inspectBundled their versions, install scripts and
+ * nested dependencies come from the tarball (versionSource: 'tarball').
+ * Without it their version is only the registry resolution of the declared
+ * range (versionSource: 'registry'), which may differ from what the tarball
+ * actually ships: such nodes are marked versionVerified: false, counted in
+ * statistics.unverifiedBundledPackages, and not expanded.
+ * 
+ * With a format other than json only the graph is returned, for Graphviz
+ * (dot), Gephi (graphml, gexf), Cytoscape (cytoscape) or Neo4j (cypher: a
+ * JSON bundle of nodes.csv, edges.csv and an import.cypher LOAD CSV script).
+ * Nodes carry depth and type, plus license, vulnerabilityCount and
+ * hasInstallScript for packages collected through /api/collection.
+ * 
+ * With metrics=true, metrics lists per node its degree and betweenness
+ * centrality, maintainer count (singleMaintainer flags a bus factor of one),
+ * deprecation, install scripts and vulnerability count, and the same risk
+ * figures summed over its subtree. chokepoints ranks the packages most
+ * dependency paths run through, depthHotspots the ones whose subtrees reach
+ * deepest, duplicates the packages resolved at several versions and
+ * subtreeRisk the aggregated risk under each direct dependency.
+ * Vulnerability counts are only known for packages collected through
+ * /api/collection.
  */
 router.get('/indirect', getIndirectDependencies);
 
+/**
+ * GET /api/dependencies/dependents
+ * 
+ * Query params:
+ * - packageName: string (required)
+ * - version: string (optional) - exact version; every known version when omitted
+ * - depth: number (optional) - max depth to walk up, defaults to 5
+ * - limit: number (optional) - max dependents, defaults to 1000
+ * - search: boolean (optional) - set to false to skip DEPENDENTS_SEARCH_URL
+ * 
+ * Example: /api/dependencies/dependents?packageName=lodash&version=4.17.20
+ * 
+ * Direct and transitive dependents found in the stored lockfile graphs, the
+ * collected packages and, when DEPENDENTS_SEARCH_URL is configured, that
+ * search endpoint. Each dependent has its depth and the package it reaches
+ * the target through (via); lockfile roots are listed in affectedProjects.
+ * blastRadius scores the exposure from the dependents' weekly downloads,
+ * divided by their depth; downloadLookupsFailed counts the packages whose
+ * downloads could not be fetched and were left out of the score.
+ */
+router.get('/dependents', getDependents);
+
+/**
+ * GET /api/dependencies/diff
+ * 
+ * Query params:
+ * - packageName: string (required)
+ * - from: string (required) - older version or dist-tag
+ * - to: string (required) - newer version or dist-tag
+ * - depth: number (optional) - max depth of the resolved trees, defaults to 5
+ * - youngDays: number (optional) - new packages created less than this many
+ *   days ago are flagged, defaults to 30
+ * - minWeeklyDownloads: number (optional) - new packages with fewer weekly
+ *   downloads are flagged, defaults to 1000
+ * 
+ * Example: /api/dependencies/diff?packageName=express&from=4.18.2&to=4.19.2
+ * 
+ * Reports added, removed and changed direct dependencies (range, resolved
+ * version, dependencyType) and devDependencies, and the packages added,
+ * removed or moved to other versions anywhere in the resolved tree. For the
+ * packages the newer tree brings in, it lists install scripts the older tree
+ * did not run, maintainers or publishers not seen in the older tree, and
+ * packages new to the tree that are young or have few downloads
+ * (riskyNewDependencies).
+ */
+router.get('/diff', getDependencyDiff);
+
+/**
+ * GET /api/dependencies/vulnerable-paths
+ * 
+ * Query params:
+ * - packageName: string - package to resolve from the registry
+ * - version: string (optional) - defaults to latest
+ * - graphId: string - a stored lockfile graph instead (see POST /lockfile)
+ * - depth: number (optional) - max depth of the resolved tree, defaults to
+ *   5, at most 10
+ * - source: string (optional) - vulnerability source, as for /api/vulnerabilities
+ * - maxPaths: number (optional) - paths listed per vulnerable package,
+ *   defaults to 50, at most 1000
+ * - suggestUpgrades: boolean (optional) - set to false to skip upgrade suggestions
+ * 
+ * Example: /api/dependencies/vulnerable-paths?packageName=express&version=4.17.1
+ * 
+ * Each package with vulnerabilities affecting its resolved version comes
+ * with every path from the root to it, the shortest one, devOnly when only
+ * devDependencies lead to it, and the top-level dependencies it is reached
+ * through (via). upgrades lists, per such dependency, the first newer
+ * release line whose resolved tree drops the vulnerabilities, whether the
+ * declared range already admits it and whether it is a major upgrade.
+ */
+router.get('/vulnerable-paths', getVulnerablePaths);
+
+/**
+ * POST /api/dependencies/lockfile
+ * 
+ * Build a dependency graph from a lockfile: package-lock.json or
+ * npm-shrinkwrap.json (lockfileVersion 1-3), yarn.lock (classic or berry) or
+ * pnpm-lock.yaml (lockfileVersion 5, 6 or 9). Responds with the
+ * /indirect graph structure, using exact locked versions, integrity hashes and
+ * dev/optional flags, and a graphId for use with /api/vulnerabilities/npm-audit,
+ * /api/license-info and /api/sbom.
+ * 
+ * Body, either:
+ * - JSON { content, filename, format, packageJson }
+ *   - content: string (required) - lockfile text
+ *   - filename: string (optional) - e.g. 'yarn.lock', used to detect the format
+ *   - format: 'package-lock' | 'yarn' | 'pnpm' (optional) - detected when omitted
+ *   - packageJson: object (optional) - the project's package.json; supplies the
+ *     root name and direct dependencies, which package-lock v1 and yarn classic
+ *     lockfiles do not record (they are inferred otherwise)
+ * - a package-lock.json posted as the JSON body
+ * - the lockfile as a text/plain or YAML body, with format or filename in the query
+ * 
+ * Example: curl -X POST -H 'Content-Type: text/plain' --data-binary @yarn.lock \
+ *   '/api/dependencies/lockfile?filename=yarn.lock'
+ */
+router.post(
+  '/lockfile',
+  express.text({
+    type: ['text/*', 'application/yaml', 'application/x-yaml'],
+    limit: process.env.REQUEST_BODY_LIMIT || '50mb'
+  }),
+  ingestLockfile
+);
+
+/**
+ * GET /api/dependencies/graphs
+ * 
+ * List stored lockfile graphs (id, package, lockfile format, statistics)
+ */
+router.get('/graphs', listGraphs);
+
+/**
+ * GET /api/dependencies/graphs/:graphId
+ * 
+ * Get a stored lockfile graph
+ * 
+ * Query params:
+ * - format: string (optional) - json (default) or an export format, as for /indirect
+ */
+router.get('/graphs/:graphId', getGraph);
+
 export default router;
 
@@ -10,6 +10,8 @@ const router = express.Router();
  * - packageName: string (required)
  * - version: string (optional) - defaults to latest
  * - includeTransitive: boolean (optional) - include transitive dependencies licenses
+ * - graphId: string (optional) - instead of packageName, report the license of
+ *   every package in a graph from POST /api/dependencies/lockfile
  * 
  * Example: /api/license-info?packageName=express&includeTransitive=true
  */
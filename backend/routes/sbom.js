@@ -10,6 +10,8 @@ const router = express.Router();
  * - packageName: string (required)
  * - version: string (optional) - defaults to latest
  * - format: string (optional) - 'spdx', 'cyclonedx', 'json' (default: 'json')
+ * - graphId: string (optional) - instead of packageName, describe every package
+ *   and dependency edge of a graph from POST /api/dependencies/lockfile
  * 
  * Example: /api/sbom?packageName=express&format=spdx
  * 
@@ -0,0 +1,70 @@
+import express from 'express';
+import {
+  listSchedules,
+  createSchedule,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule
+} from '../controllers/scheduleController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/schedules
+ * 
+ * List recurring collection schedules with last-run status and next-run time
+ */
+router.get('/', listSchedules);
+
+/**
+ * POST /api/schedules
+ * 
+ * Create a recurring collection schedule
+ * 
+ * Body params:
+ * - name: string (required)
+ * - description: string (optional)
+ * - cronExpression: string (required) - e.g. '0 2 * * *' (5 fields, or 6 with seconds)
+ * - timezone: string (optional) - IANA timezone, defaults to server time
+ * - enabled: boolean (optional, default: true)
+ * - task: object (required)
+ *   - type: 'vulnerability-databases' | 'malicious-packages' | 'training-data' | 'watchlist'
+ *   - options: object (optional) - passed to the collection, e.g.
+ *     { daysBack: 1 } or { packages: [{ name: 'express' }], includeGitHubData: false }
+ */
+router.post('/', createSchedule);
+
+/**
+ * GET /api/schedules/:id
+ * 
+ * Get a schedule with its run history
+ * 
+ * Query params:
+ * - historyLimit: number (optional, default: 20)
+ */
+router.get('/:id', getSchedule);
+
+/**
+ * PUT /api/schedules/:id
+ * 
+ * Update any of name, description, cronExpression, timezone, task, enabled
+ */
+router.put('/:id', updateSchedule);
+
+/**
+ * DELETE /api/schedules/:id
+ * 
+ * Delete a schedule (jobs already enqueued keep running)
+ */
+router.delete('/:id', deleteSchedule);
+
+/**
+ * POST /api/schedules/:id/run
+ * 
+ * Trigger a schedule immediately. Responds with 409 if the previous run is
+ * still in progress.
+ */
+router.post('/:id/run', runSchedule);
+
+export default router;
@@ -0,0 +1,69 @@
+import express from 'express';
+import {
+  generateVEX,
+  listStatements,
+  saveStatement,
+  deleteStatement
+} from '../controllers/vexController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/vex
+ * 
+ * Query params:
+ * - packageName: string (required)
+ * - version: string (optional) - defaults to latest
+ * - format: string (optional) - 'openvex' (default) or 'cyclonedx'
+ * 
+ * Example: /api/vex?packageName=lodash&version=4.17.20&format=cyclonedx
+ * 
+ * Generates a VEX document for the package version from its vulnerabilities
+ * (all sources). Each vulnerability gets a status of affected, not_affected,
+ * fixed or under_investigation: a saved analyst statement when one exists for
+ * the vulnerability or any alias, otherwise derived from version matching
+ * (fixed when the version is outside every affected range and at or above a
+ * patched version, not_affected when it is outside every range otherwise,
+ * under_investigation when no source carried range data).
+ */
+router.get('/', generateVEX);
+
+/**
+ * GET /api/vex/statements
+ * 
+ * Query params:
+ * - vulnerability: string (optional) - e.g. 'GHSA-35jh-r3h4-6jhm'
+ * - packageName: string (optional) - statements for any version of the package
+ * 
+ * List saved analyst statements, most recently updated first
+ */
+router.get('/statements', listStatements);
+
+/**
+ * POST /api/vex/statements
+ * 
+ * Save an analyst statement, replacing any existing one for the same
+ * vulnerability and product. It is applied to every later VEX document.
+ * 
+ * Body params:
+ * - vulnerability: string (required) - advisory id or alias (GHSA, CVE, ...)
+ * - product: string (required) - package URL; 'pkg:npm/lodash' applies to all
+ *   versions, 'pkg:npm/lodash@4.17.20' to one and takes precedence. Scoped
+ *   names may be written as @scope or %40scope
+ * - status: 'affected' | 'not_affected' | 'fixed' | 'under_investigation' (required)
+ * - justification: string (optional) - OpenVEX justification, e.g.
+ *   'vulnerable_code_not_in_execute_path'
+ * - impactStatement: string (optional) - required for not_affected without a justification
+ * - actionStatement: string (optional) - required for affected
+ * - author: string (optional)
+ */
+router.post('/statements', saveStatement);
+
+/**
+ * DELETE /api/vex/statements/:id
+ * 
+ * Delete an analyst statement
+ */
+router.delete('/statements/:id', deleteStatement);
+
+export default router;
@@ -1,5 +1,11 @@
 import express from 'express';
-import { getVulnerabilities } from '../controllers/vulnerabilitiesController.js';
+import {
+  getVulnerabilities,
+  getRemediation,
+  getOsvLocalStatus,
+  getExploitIntelStatus,
+  auditDependencies
+} from '../controllers/vulnerabilitiesController.js';
 
 const router = express.Router();
 
@@ -9,11 +15,76 @@ const router = express.Router();
  * Query params:
  * - packageName: string (required)
  * - version: string (optional) - defaults to latest
- * - source: string (optional) - filter by source: 'nvd', 'osv', 'github', 'npm', 'all'
+ * - source: string (optional) - filter by source: 'nvd', 'osv', 'osv-local', 'github', 'npm', 'ossindex', 'all'
+ *   ('all' includes OSS Index only when OSS_INDEX_USERNAME/OSS_INDEX_TOKEN are set)
+ *   ('osv-local' reads the imported OSV dump; with OSV_SOURCE=local, 'osv' and 'all' do too)
+ * - prioritize: 'true' (optional) - sort by risk (affected, KEV, EPSS, CVSS) and add riskRank
+ * 
+ * Findings are checked against the resolved version and carry
+ * affected (true/false, null when it cannot be evaluated) and matchedRange.
+ * Findings for the same issue from different sources (matched by id,
+ * aliases, CVE ids and advisory URLs) are merged into one entry with ids,
+ * sources, the reconciled (highest) severity and the source findings under
+ * records. Each entry has a rating computed from its CVSS v3.x/v4.0 vectors
+ * (computedCvss holds the score and decoded metrics), falling back to the
+ * source's severity string. Summary counts bucket by that rating and only
+ * include entries that affect the version. Entries with CVE ids carry epss
+ * ({ cveId, score, percentile }) and kev ({ known, dateAdded, ... }) once
+ * those feeds are imported with POST /api/collection/exploit-intel.
  * 
  * Example: /api/vulnerabilities?packageName=express&source=all
  */
 router.get('/', getVulnerabilities);
 
+/**
+ * GET /api/vulnerabilities/remediation
+ * 
+ * Upgrade options for a vulnerable package version: the lowest version fixing
+ * every affecting advisory (with crossesMajor), the latest version in the
+ * same major and the latest release, each with the advisories they leave
+ * unfixed, plus the lowest fixing version per advisory. Advisories without
+ * range data (OSS Index) are listed in withoutRangeData and as unverified on
+ * each option instead of blocking every upgrade
+ * 
+ * Query params:
+ * - packageName: string (required)
+ * - version: string (optional) - defaults to latest
+ * - source: string (optional) - vulnerability source, as above
+ * - includePrerelease: 'true' (optional) - consider prerelease versions
+ * 
+ * Example: /api/vulnerabilities/remediation?packageName=lodash&version=4.17.15
+ */
+router.get('/remediation', getRemediation);
+
+/**
+ * GET /api/vulnerabilities/osv-local
+ * 
+ * Status of the local OSV index (last import time, source path, record and
+ * package counts). Imports are started with POST /api/collection/osv-import.
+ */
+router.get('/osv-local', getOsvLocalStatus);
+
+/**
+ * GET /api/vulnerabilities/exploit-intel
+ * 
+ * Status of the imported EPSS scores and CISA KEV catalog (source, date and
+ * entry count of each feed)
+ */
+router.get('/exploit-intel', getExploitIntelStatus);
+
+/**
+ * POST /api/vulnerabilities/npm-audit
+ * 
+ * Audit a resolved dependency set against the npm registry's bulk advisory
+ * endpoint in a single request
+ * 
+ * Body params:
+ * - packages: array of { name, version } or object of name → version(s)
+ *   Only exact versions are audited, tags and ranges are skipped
+ * - graphId: string - instead of packages, audit every package in a graph
+ *   from POST /api/dependencies/lockfile
+ */
+router.post('/npm-audit', auditDependencies);
+
 export default router;
 
@@ -0,0 +1,31 @@
+/**
+ * Import an offline OSV npm dump into the local index
+ *
+ * Usage: npm run import:osv -- <path to all.zip | directory | file.json>
+ *
+ * Writes to the storage configured with STORAGE_ADAPTER/STORAGE_DIR, so the
+ * server picks the index up without a restart when both share the file adapter.
+ */
+
+import dotenv from 'dotenv';
+import { osvLocalService } from '../services/osvLocalService.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+const dumpPath = process.argv[2];
+
+if (!dumpPath) {
+  console.error('Usage: npm run import:osv -- <path to all.zip | directory | file.json>');
+  process.exit(1);
+}
+
+try {
+  const result = await osvLocalService.importDump(dumpPath, {
+    onProgress: ({ records, packages }) => logger.info(`  → ${records} records, ${packages} packages`)
+  });
+  logger.info(`OSV import complete: ${result.records} records for ${result.packages} packages (${result.skipped} skipped)`);
+} catch (error) {
+  logger.error(`OSV import failed: ${error.message}`);
+  process.exit(1);
+}
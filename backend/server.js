@@ -12,6 +12,11 @@ import staticAnalysisRoutes from './routes/static-analysis.js';
 import maliciousPackagesRoutes from './routes/malicious-packages.js';
 import benignPackagesRoutes from './routes/benign-packages.js';
 import collectionRoutes from './routes/collection.js';
+import collectedRoutes from './routes/collected.js';
+import scheduleRoutes from './routes/schedules.js';
+import vexRoutes from './routes/vex.js';
+import { jobManager } from './services/collectionJobs.js';
+import { scheduler } from './services/schedulerService.js';
 
 dotenv.config();
 
@@ -20,6 +25,9 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
+// Lockfiles can be large, see POST /api/dependencies/lockfile. The larger
+// limit applies to that route only, it is parsed before the default parser
+app.use('/api/dependencies/lockfile', express.json({ limit: process.env.REQUEST_BODY_LIMIT || '50mb' }));
 app.use(express.json());
 
 // Request logging middleware
@@ -40,6 +48,9 @@ app.use('/api/static-analysis', staticAnalysisRoutes);
 app.use('/api/malicious-packages', maliciousPackagesRoutes);
 app.use('/api/benign-packages', benignPackagesRoutes);
 app.use('/api/collection', collectionRoutes);
+app.use('/api/collected', collectedRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/vex', vexRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -67,5 +78,11 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
+
+  jobManager.recoverInterrupted()
+    .then(() => scheduler.start())
+    .catch(error => {
+      console.error('Error starting background jobs:', error);
+    });
 });
 
@@ -0,0 +1,134 @@
+/**
+ * Collection job definitions
+ *
+ * Wires the shared DataCollectionOrchestrator into the JobManager so long
+ * running collections can be enqueued from the API and polled for status.
+ */
+
+import { DataCollectionOrchestrator } from './collectionOrchestrator.js';
+import { JobManager } from './jobManager.js';
+import { maliciousPackageService } from './maliciousPackageService.js';
+import { osvLocalService } from './osvLocalService.js';
+import { exploitIntelService } from './exploitIntelService.js';
+import { getStorage } from '../storage/index.js';
+
+export const JOB_TYPES = {
+  BATCH_COLLECTION: 'batch-collection',
+  TRAINING_DATA: 'training-data',
+  VULNERABILITY_DATABASES: 'vulnerability-databases',
+  MALICIOUS_PACKAGES: 'malicious-packages',
+  OSV_IMPORT: 'osv-import',
+  EXPLOIT_INTEL_IMPORT: 'exploit-intel-import'
+};
+
+export const orchestrator = new DataCollectionOrchestrator(getStorage());
+export const jobManager = new JobManager(getStorage());
+
+/**
+ * Batch collection: runs the pending packages of a batch checkpoint, so the
+ * same job type starts new batches, resumes interrupted ones and retries
+ * failed packages. Full results are persisted by the orchestrator, the job
+ * only keeps a compact entry per collected package.
+ *
+ * Payload: { checkpointId, retryFailed }
+ */
+jobManager.register(JOB_TYPES.BATCH_COLLECTION, async (payload, context) => {
+  const { checkpointId, retryFailed = false } = payload;
+
+  const runOptions = {
+    keepResults: false,
+    signal: context.signal,
+    onProgress: ({ processed, total, successful, failed, results, errors }) => {
+      context.setTotal(total);
+      results.forEach(r => context.addResult({
+        name: r.packageName,
+        version: r.data.metadata?.version || r.version,
+        collectedAt: r.collectedAt
+      }));
+      errors.forEach(e => context.addError(e));
+      context.reportProgress({ processed, successful, failed });
+    }
+  };
+
+  const result = retryFailed
+    ? await orchestrator.retryFailedPackages(checkpointId, runOptions)
+    : await orchestrator.resumeBatch(checkpointId, runOptions);
+
+  return {
+    checkpointId: result.checkpointId,
+    cancelled: result.cancelled,
+    summary: result.summary,
+    checkpoint: result.checkpoint
+  };
+});
+
+/**
+ * Training data collection: the labeled package lists are kept as the job
+ * result, while the full data of each package is persisted separately
+ */
+jobManager.register(JOB_TYPES.TRAINING_DATA, async (payload, context) => {
+  const result = await orchestrator.collectLabeledTrainingData({
+    ...payload,
+    signal: context.signal,
+    onProgress: ({ processed, total, successful, failed, package: pkg }) => {
+      context.setTotal(total);
+      context.addResult(pkg);
+      context.reportProgress({ processed, successful, failed });
+    }
+  });
+
+  const stripFullData = ({ fullData, ...pkg }) => ({ ...pkg, hasFullData: Boolean(fullData) });
+
+  return {
+    ...result,
+    malicious: result.malicious.map(stripFullData),
+    benign: result.benign.map(stripFullData)
+  };
+});
+
+/**
+ * Vulnerability database collection
+ *
+ * Payload: { daysBack, sources }
+ */
+jobManager.register(JOB_TYPES.VULNERABILITY_DATABASES, async (payload) => {
+  return orchestrator.collectVulnerabilityDatabases(payload);
+});
+
+/**
+ * Refresh of the known malicious package list from all sources
+ */
+jobManager.register(JOB_TYPES.MALICIOUS_PACKAGES, async () => {
+  const packages = await maliciousPackageService.collectAllMaliciousPackages();
+  return {
+    count: packages.length,
+    packages
+  };
+});
+
+/**
+ * Import of an offline OSV npm dump into the local index
+ *
+ * Payload: { path }
+ */
+jobManager.register(JOB_TYPES.OSV_IMPORT, async (payload, context) => {
+  return osvLocalService.importDump(payload.path, {
+    signal: context.signal,
+    onProgress: ({ records }) => context.reportProgress({ processed: records, successful: records })
+  });
+});
+
+/**
+ * Import of EPSS scores and the CISA KEV catalog
+ *
+ * Payload: { sources, epssPath, epssUrl, kevPath, kevUrl }
+ */
+jobManager.register(JOB_TYPES.EXPLOIT_INTEL_IMPORT, async (payload) => {
+  return exploitIntelService.importAll(payload);
+});
+
+export default {
+  JOB_TYPES,
+  orchestrator,
+  jobManager
+};
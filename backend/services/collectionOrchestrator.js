@@ -16,11 +16,25 @@ import { staticAnalysisService } from './staticAnalysisService.js';
 import { githubService } from './githubService.js';
 import { maliciousPackageService } from './maliciousPackageService.js';
 import { benignPackageService } from './benignPackageService.js';
+import { PackageRepository } from '../storage/packageRepository.js';
+import {
+  CheckpointRepository,
+  CHECKPOINT_STATUS,
+  ENTRY_STATUS,
+  countEntries
+} from '../storage/checkpointRepository.js';
 import { logger } from '../utils/logger.js';
 
+const CHECKPOINT_INTERVAL_MS = 2000;
+
 export class DataCollectionOrchestrator {
+  /**
+   * @param {Object|null} dbConnection - Storage adapter (see storage/index.js)
+   */
   constructor(dbConnection = null) {
     this.db = dbConnection;
+    this.packageRepository = dbConnection ? new PackageRepository(dbConnection) : null;
+    this.checkpoints = dbConnection ? new CheckpointRepository(dbConnection) : null;
   }
 
   /**
@@ -126,7 +140,8 @@ export class DataCollectionOrchestrator {
   async collectVulnerabilityDatabases(options = {}) {
     const {
       daysBack = 30,
-      sources = ['nvd', 'github']
+      sources = ['nvd', 'github'],
+      fullGitHubSync = false
     } = options;
 
     logger.info('Collecting vulnerability databases...');
@@ -144,27 +159,43 @@ export class DataCollectionOrchestrator {
       // Collect from NVD
       if (sources.includes('nvd')) {
         logger.info('  → Collecting NVD data...');
-        // In real implementation:
-        // const nvdData = await vulnerabilitiesService.collectNVDData(
-        //   startDate.toISOString(),
-        //   new Date().toISOString()
-        // );
-        // results.sources.nvd = nvdData;
-        results.sources.nvd = { note: 'NVD collection not yet implemented' };
+        try {
+          const nvdData = await vulnerabilitiesService.collectNVDData(
+            startDate.toISOString(),
+            new Date().toISOString()
+          );
+          results.sources.nvd = nvdData;
+          results.summary.nvd = {
+            fetched: nvdData.fetched,
+            npmRelevant: nvdData.npmRelevant
+          };
+
+          if (this.db) {
+            await this.saveVulnerabilityRecords('nvd', nvdData.vulnerabilities);
+          }
+        } catch (error) {
+          logger.warn(`  → Error collecting NVD data: ${error.message}`);
+          results.sources.nvd = { error: error.message };
+        }
       }
 
       // Collect from GitHub Advisories
       if (sources.includes('github')) {
         logger.info('  → Collecting GitHub advisories...');
-        // In real implementation:
-        // const githubAdvisories = await vulnerabilitiesService.collectGitHubAdvisories();
-        // results.sources.github = githubAdvisories;
-        results.sources.github = { note: 'GitHub advisories collection not yet implemented' };
-      }
-
-      // Save to database if available
-      if (this.db) {
-        // await this.db.saveVulnerabilityDatabase(results);
+        try {
+          // Advisories are stored in the local mirror by the sync itself
+          const githubAdvisories = await vulnerabilitiesService.collectGitHubAdvisories({
+            full: fullGitHubSync
+          });
+          results.sources.github = githubAdvisories;
+          results.summary.github = {
+            mode: githubAdvisories.mode,
+            fetched: githubAdvisories.fetched
+          };
+        } catch (error) {
+          logger.warn(`  → Error collecting GitHub advisories: ${error.message}`);
+          results.sources.github = { error: error.message };
+        }
       }
 
       logger.info('✅ Completed vulnerability database collection');
@@ -178,11 +209,16 @@ export class DataCollectionOrchestrator {
 
   /**
    * Collect labeled training data
+   *
+   * Accepts the same signal/onProgress options as batchCollectPackages;
+   * progress is reported while full data is collected for each package.
    */
   async collectLabeledTrainingData(options = {}) {
     const {
       maliciousCount = 1000,
-      benignCount = 10000
+      benignCount = 10000,
+      signal,
+      onProgress
     } = options;
 
     logger.info('Collecting labeled training data...');
@@ -206,8 +242,19 @@ export class DataCollectionOrchestrator {
       results.benign = benignPackages;
 
       // 3. Collect full data for each package
-      logger.info('  → Collecting full data for malicious packages...');
-      for (const pkg of results.malicious.slice(0, 10)) { // Limit for demo
+      const fullDataTargets = [
+        ...results.malicious.slice(0, 10), // Limit for demo
+        ...results.benign.slice(0, 50) // Limit for demo
+      ];
+      const progress = { processed: 0, total: fullDataTargets.length, successful: 0, failed: 0 };
+
+      logger.info('  → Collecting full data for malicious and benign packages...');
+      for (const pkg of fullDataTargets) {
+        if (signal?.aborted) {
+          logger.warn('  → Training data collection cancelled');
+          break;
+        }
+
         try {
           const packageData = await this.collectPackageData(pkg.name, pkg.version, {
             includeStaticAnalysis: false,
@@ -215,22 +262,18 @@ export class DataCollectionOrchestrator {
             includeVulnerabilities: true
           });
           pkg.fullData = packageData;
+          progress.successful++;
         } catch (error) {
           logger.warn(`  → Error collecting full data for ${pkg.name}: ${error.message}`);
+          progress.failed++;
         }
-      }
 
-      logger.info('  → Collecting full data for benign packages...');
-      for (const pkg of results.benign.slice(0, 50)) { // Limit for demo
-        try {
-          const packageData = await this.collectPackageData(pkg.name, pkg.version, {
-            includeStaticAnalysis: false,
-            includeGitHubData: true,
-            includeVulnerabilities: true
+        progress.processed++;
+        if (onProgress) {
+          onProgress({
+            ...progress,
+            package: { name: pkg.name, version: pkg.version, label: pkg.label, collected: Boolean(pkg.fullData) }
           });
-          pkg.fullData = packageData;
-        } catch (error) {
-          logger.warn(`  → Error collecting full data for ${pkg.name}: ${error.message}`);
         }
       }
 
@@ -267,35 +310,136 @@ export class DataCollectionOrchestrator {
     }
 
     try {
-      // In real implementation, save to database:
-      // await this.db.savePackageMetadata(collectionResults.data.metadata);
-      // await this.db.saveDependencies(collectionResults.data.dependencies);
-      // await this.db.saveVulnerabilities(collectionResults.data.vulnerabilities);
-      // etc.
-      
-      logger.info('  → Saved to database');
+      const entry = await this.packageRepository.savePackageCollection(collectionResults);
+      logger.info(`  → Saved ${entry.id} to database (${entry.sections.join(', ')})`);
     } catch (error) {
       logger.error('  → Error saving to database:', error);
     }
   }
 
+  /**
+   * Save normalized vulnerability records, keyed by id, into a collection
+   */
+  async saveVulnerabilityRecords(collection, records) {
+    try {
+      await this.db.putMany(collection, records.map(record => ({ id: record.id, record })));
+      logger.info(`  → Saved ${records.length} ${collection} records to database`);
+    } catch (error) {
+      logger.error(`  → Error saving ${collection} records to database:`, error);
+    }
+  }
+
   /**
    * Batch collect packages
+   *
+   * When storage is available the batch is checkpointed (see
+   * createBatchCheckpoint) so it can be resumed with resumeBatch after a
+   * crash or restart; the checkpoint id is returned as checkpointId.
+   *
+   * @param {Array} packageList - Array of { name, version } objects
+   * @param {Object} options - Collection options
+   * @param {number} options.concurrency - Packages collected in parallel
+   * @param {boolean} options.keepResults - Accumulate full results in the return value
+   *   (disable for large batches where results are persisted or streamed via onProgress)
+   * @param {AbortSignal} options.signal - Stops the batch between chunks when aborted
+   * @param {Function} options.onProgress - Called after every chunk with
+   *   { processed, total, successful, failed, results, errors } for that chunk
    */
   async batchCollectPackages(packageList, options = {}) {
-    const {
-      concurrency = 5,
-      ...collectOptions
-    } = options;
+    const { keepResults, signal, onProgress, ...batchOptions } = options;
+
+    const checkpoint = this.checkpoints
+      ? await this.createBatchCheckpoint(packageList, batchOptions)
+      : {
+        id: null,
+        options: batchOptions,
+        entries: packageList.map(({ name, version = 'latest' }, index) => ({
+          index, name, version, status: ENTRY_STATUS.PENDING, attempts: 0
+        }))
+      };
 
-    logger.info(`Batch collecting ${packageList.length} packages with concurrency ${concurrency}...`);
+    return this.runBatch(checkpoint, { keepResults, signal, onProgress });
+  }
+
+  /**
+   * Create a persisted checkpoint for a batch without starting it
+   *
+   * Only collection options are stored; they are reused on resume and retry.
+   */
+  async createBatchCheckpoint(packageList, options = {}) {
+    if (!this.checkpoints) {
+      throw new Error('Batch checkpoints require a database connection');
+    }
+
+    const { keepResults, signal, onProgress, ...batchOptions } = options;
+    return this.checkpoints.create(packageList, batchOptions);
+  }
+
+  /**
+   * Resume a checkpointed batch, collecting only its pending packages
+   *
+   * @param {string} checkpointId - Checkpoint id returned by batchCollectPackages
+   * @param {Object} runOptions - keepResults, signal and onProgress as in batchCollectPackages
+   */
+  async resumeBatch(checkpointId, runOptions = {}) {
+    const checkpoint = await this.checkpoints?.get(checkpointId);
+    if (!checkpoint) {
+      const error = new Error(`Batch checkpoint ${checkpointId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    return this.runBatch(checkpoint, runOptions);
+  }
+
+  /**
+   * Retry every failed package of a checkpointed batch with its original options
+   */
+  async retryFailedPackages(checkpointId, runOptions = {}) {
+    const checkpoint = await this.checkpoints?.resetFailed(checkpointId);
+    if (!checkpoint) {
+      const error = new Error(`Batch checkpoint ${checkpointId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    return this.runBatch(checkpoint, runOptions);
+  }
+
+  /**
+   * Collect the pending entries of a checkpoint
+   */
+  async runBatch(checkpoint, runOptions = {}) {
+    const { keepResults = true, signal, onProgress } = runOptions;
+    const { concurrency = 5, ...collectOptions } = checkpoint.options;
+
+    const pending = checkpoint.entries.filter(entry => entry.status === ENTRY_STATUS.PENDING);
+    const alreadyDone = checkpoint.entries.length - pending.length;
+
+    logger.info(
+      `Batch collecting ${pending.length} packages with concurrency ${concurrency}` +
+      (alreadyDone > 0 ? ` (${alreadyDone} already processed)...` : '...')
+    );
+
+    if (checkpoint.id) {
+      checkpoint.status = CHECKPOINT_STATUS.IN_PROGRESS;
+      await this.checkpoints.save(checkpoint);
+    }
 
     const results = [];
     const errors = [];
+    let processed = 0;
+    let successful = 0;
+    let lastSavedAt = Date.now();
 
     // Process in batches
-    for (let i = 0; i < packageList.length; i += concurrency) {
-      const batch = packageList.slice(i, i + concurrency);
+    for (let i = 0; i < pending.length; i += concurrency) {
+      if (signal?.aborted) {
+        logger.warn(`  → Batch cancelled after ${processed}/${pending.length} packages`);
+        break;
+      }
+
+      const batch = pending.slice(i, i + concurrency);
       
       const batchResults = await Promise.allSettled(
         batch.map(({ name, version }) => 
@@ -303,28 +447,76 @@ export class DataCollectionOrchestrator {
         )
       );
 
+      const chunkResults = [];
+      const chunkErrors = [];
+      const now = new Date().toISOString();
+
       batchResults.forEach((result, index) => {
+        const entry = batch[index];
+        entry.attempts++;
+        entry.updatedAt = now;
+
         if (result.status === 'fulfilled') {
-          results.push(result.value);
+          entry.status = ENTRY_STATUS.COMPLETED;
+          entry.error = null;
+          entry.resolvedVersion = result.value.data.metadata?.version || null;
+          chunkResults.push(result.value);
         } else {
-          errors.push({
-            package: batch[index],
+          entry.status = ENTRY_STATUS.FAILED;
+          entry.error = result.reason.message;
+          chunkErrors.push({
+            package: { name: entry.name, version: entry.version },
             error: result.reason.message
           });
         }
       });
 
-      logger.info(`  → Processed ${Math.min(i + concurrency, packageList.length)}/${packageList.length} packages`);
+      if (keepResults) {
+        results.push(...chunkResults);
+      }
+      errors.push(...chunkErrors);
+      processed += batch.length;
+      successful += chunkResults.length;
+
+      logger.info(`  → Processed ${processed}/${pending.length} packages`);
+
+      // Checkpoint at most every few seconds; a crash only repeats the last chunks
+      if (checkpoint.id && Date.now() - lastSavedAt >= CHECKPOINT_INTERVAL_MS) {
+        await this.checkpoints.save(checkpoint);
+        lastSavedAt = Date.now();
+      }
+
+      if (onProgress) {
+        onProgress({
+          processed,
+          total: pending.length,
+          successful,
+          failed: errors.length,
+          results: chunkResults,
+          errors: chunkErrors
+        });
+      }
+    }
+
+    const counts = countEntries(checkpoint.entries);
+
+    if (checkpoint.id) {
+      checkpoint.status = counts.pending === 0 ? CHECKPOINT_STATUS.COMPLETED : CHECKPOINT_STATUS.PAUSED;
+      await this.checkpoints.save(checkpoint);
     }
 
     return {
+      checkpointId: checkpoint.id,
       results,
       errors,
+      cancelled: Boolean(signal?.aborted),
       summary: {
-        total: packageList.length,
-        successful: results.length,
+        total: pending.length,
+        processed,
+        successful,
         failed: errors.length
-      }
+      },
+      checkpoint: counts
     };
   }
 }
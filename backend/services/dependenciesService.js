@@ -4,38 +4,194 @@
  * Fetches dependencies from npm registry and builds dependency tree
  */
 
+import fs from 'fs/promises';
+import path from 'path';
 import { metadataService } from './metadataService.js';
+import { staticAnalysisService } from './staticAnalysisService.js';
+import { parseDependencySpec, pickVersion, checkPlatform } from '../utils/dependencySpec.js';
+import { DependencyGraph, nodeId } from '../utils/dependencyGraph.js';
+import { degreeCentrality, betweennessCentrality, duplicateVersions, subtreeAggregates } from '../utils/graphMetrics.js';
+import { RequestCache } from '../utils/requestCache.js';
 import { apiCallWithRetry, rateLimiters } from '../utils/rateLimiter.js';
+import { getStorage } from '../storage/index.js';
+import { PackageRepository } from '../storage/packageRepository.js';
 import axios from 'axios';
 
 const NPM_REGISTRY_BASE = 'https://registry.npmjs.org';
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_MAX_NODES = 5000;
+const DEFAULT_MAX_EDGES = 20000;
+// Server-side ceilings for the caller-supplied limits
+const MAX_CONCURRENCY = 32;
+const MAX_NODES_CEILING = 50000;
+const MAX_EDGES_CEILING = 200000;
+// Largest graph calculateGraphMetrics accepts: betweenness and the subtree
+// walks visit every node from every node, synchronously
+const METRICS_MAX_NODES = 3000;
+
+/**
+ * Positive integer limit, falling back to the default when missing or
+ * invalid (NaN, zero, negative) and capped at the ceiling
+ */
+export function boundedLimit(value, fallback, ceiling) {
+  const parsed = typeof value === 'string' ? parseInt(value, 10) : value;
+  if (!Number.isInteger(parsed) || parsed < 1) return fallback;
+  return Math.min(parsed, ceiling);
+}
+
+/**
+ * Flat list of the non-root nodes of a graph, with depth and first parent
+ */
+function transitiveList(graph) {
+  return [...graph.nodes.values()]
+    .filter(node => node.type !== 'root')
+    .map(node => ({
+      name: node.name,
+      version: node.version,
+      type: 'transitive',
+      depth: node.depth,
+      parent: graph.getNode(node.parent).name,
+      parentId: node.parent,
+      ...(node.alias && { alias: node.alias }),
+      ...(node.registry === false && { registry: false, spec: node.spec }),
+      ...(node.bundled && { bundled: true, bundledBy: node.bundledBy }),
+      ...(node.versionVerified === false && { versionVerified: false })
+    }));
+}
+
+/**
+ * Runtime dependencies declared by a manifest, typed the way npm installs them
+ *
+ * optionalDependencies override dependencies of the same name (npm publishes
+ * them in both). Peers are listed unless the package also depends on them
+ * directly; names only in peerDependenciesMeta are peers of any version.
+ * bundleDependencies (or bundledDependencies, true meaning all) marks
+ * dependencies shipped inside the package tarball.
+ *
+ * @returns {Array} - { name, range, dependencyType, optional, bundled }
+ *   with dependencyType 'prod', 'optional', 'peer' or 'bundled'
+ */
+function declaredDependencies(manifest) {
+  const declared = new Map();
+
+  for (const [name, range] of Object.entries(manifest.dependencies || {})) {
+    declared.set(name, { name, range, dependencyType: 'prod', optional: false, bundled: false });
+  }
+  for (const [name, range] of Object.entries(manifest.optionalDependencies || {})) {
+    declared.set(name, { name, range, dependencyType: 'optional', optional: true, bundled: false });
+  }
+
+  const peerMeta = manifest.peerDependenciesMeta || {};
+  const peers = {
+    ...Object.fromEntries(Object.keys(peerMeta).map(name => [name, '*'])),
+    ...manifest.peerDependencies
+  };
+  for (const [name, range] of Object.entries(peers)) {
+    if (declared.has(name)) continue;
+    declared.set(name, { name, range, dependencyType: 'peer', optional: Boolean(peerMeta[name]?.optional), bundled: false });
+  }
+
+  const bundle = manifest.bundleDependencies ?? manifest.bundledDependencies;
+  const bundledNames = bundle === true ? Object.keys(manifest.dependencies || {}) : [].concat(bundle || []);
+  for (const name of bundledNames) {
+    const dep = declared.get(name);
+    if (dep && dep.dependencyType !== 'peer') {
+      Object.assign(dep, { dependencyType: 'bundled', bundled: true });
+    }
+  }
+
+  return [...declared.values()];
+}
+
+/**
+ * Node id for a package shipped inside another package's tarball
+ *
+ * Bundled code is not the registry copy of name@version, so it gets its own node.
+ */
+function bundledNodeId(bundlerId, name, version) {
+  return `${nodeId(name, version)} (bundled in ${bundlerId})`;
+}
+
+/**
+ * Node module resolution inside an extracted tarball: the dependency's own
+ * node_modules first, then each enclosing node_modules
+ */
+function resolveBundlePath(bundle, fromPath, name) {
+  let base = fromPath;
+  while (true) {
+    const candidate = `${base ? `${base}/` : ''}node_modules/${name}`;
+    if (bundle.has(candidate)) return candidate;
+    if (!base) return null;
+    const index = base.lastIndexOf('/node_modules/');
+    base = index === -1 ? '' : base.slice(0, index);
+  }
+}
+
+/**
+ * Read the manifests under an extracted package's node_modules, keyed by
+ * path (e.g. 'node_modules/a', 'node_modules/a/node_modules/@s/b')
+ */
+async function readBundledManifests(packagePath, relativePath = 'node_modules', manifests = new Map()) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(packagePath, relativePath), { withFileTypes: true });
+  } catch (error) {
+    return manifests;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+    if (entry.name.startsWith('@')) {
+      await readBundledManifests(packagePath, `${relativePath}/${entry.name}`, manifests);
+      continue;
+    }
+
+    const packageDir = `${relativePath}/${entry.name}`;
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(packagePath, packageDir, 'package.json'), 'utf8'));
+      const name = packageDir.slice(packageDir.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      manifests.set(packageDir, { ...manifest, name: manifest.name || name });
+    } catch (error) {
+      continue;
+    }
+    await readBundledManifests(packagePath, `${packageDir}/node_modules`, manifests);
+  }
+
+  return manifests;
+}
 
 export const dependenciesService = {
   /**
    * Fetch direct dependencies from npm registry
+   *
+   * dependencies lists the runtime dependencies: dependencies,
+   * optionalDependencies, peerDependencies (with peerDependenciesMeta) and
+   * bundleDependencies, each typed by dependencyType. Entries npm would not
+   * install with the package are marked skipped: 'optional-peer' for
+   * optional peers, 'platform' for optional dependencies whose os/cpu rule
+   * out options.platform.
+   *
+   * @param {Object} options - { platform: { os, cpu }, packuments }; platform
+   *   checks are made only for the fields given, packuments is a RequestCache
+   *   shared by the requests of one operation (see createPackumentCache)
    */
-  async fetchDependencies(packageName, version = 'latest') {
-    const metadata = await metadataService.fetchFromNpmRegistry(packageName, version);
-    const versionData = metadata.versions?.[metadata.version];
+  async fetchDependencies(packageName, version = 'latest', options = {}) {
+    const packument = await this.fetchPackument(packageName, options);
+    const targetVersion = packument['dist-tags']?.[version || 'latest'] || version;
+    const versionData = packument.versions?.[targetVersion];
     
     if (!versionData) {
-      throw new Error(`Version ${metadata.version} not found for package ${packageName}`);
+      throw new Error(`Version ${targetVersion} not found for package ${packageName}`);
     }
 
-    const dependencies = [];
     const devDependencies = [];
 
-    // Process dependencies
-    if (versionData.dependencies) {
-      for (const [depName, depVersion] of Object.entries(versionData.dependencies)) {
-        dependencies.push({
-          name: depName,
-          version: depVersion,
-          type: 'direct',
-          resolved: `https://registry.npmjs.org/${depName}/-/${depName}-${depVersion}.tgz`
-        });
-      }
-    }
+    // Process runtime dependencies, resolving each specifier to a published version
+    const declared = declaredDependencies(versionData);
+    const resolutions = await Promise.all(declared.map(dep => this.resolveSpec(dep.name, dep.range, options)));
+    const dependencies = declared.map((dep, index) => this.dependencyEntry(dep, resolutions[index], options.platform));
 
     // Process devDependencies
     if (versionData.devDependencies) {
@@ -48,10 +204,13 @@ export const dependenciesService = {
       }
     }
 
+    const countOf = dependencyType => dependencies.filter(dep => dep.dependencyType === dependencyType).length;
+
     return {
       package: {
         name: packageName,
-        version: metadata.version
+        version: targetVersion,
+        tarball: versionData.dist?.tarball || null
       },
       dependencies,
       devDependencies,
@@ -59,76 +218,533 @@ export const dependenciesService = {
         totalDependencies: dependencies.length,
         totalDevDependencies: devDependencies.length,
         directDependencies: dependencies.length,
+        optionalDependencies: countOf('optional'),
+        peerDependencies: countOf('peer'),
+        bundledDependencies: countOf('bundled'),
+        skippedDependencies: dependencies.filter(dep => dep.skipped).length,
         transitiveDependencies: 0
       }
     };
   },
 
   /**
-   * Build transitive dependency tree
+   * Build a dependency entry from a declared dependency and its resolution
+   *
+   * @param {Object} declared - { name, range, dependencyType, optional, bundled }
+   * @param {Object} resolution - resolveSpec result
+   * @param {Object} platform - { os, cpu } to check the resolved version against
    */
-  async buildDependencyTree(packageName, version = 'latest', maxDepth = 5, currentDepth = 0, visited = new Set()) {
-    if (currentDepth >= maxDepth) {
-      return [];
-    }
+  dependencyEntry(declared, resolution, platform = {}) {
+    const platformCheck = resolution.version
+      ? checkPlatform(resolution, platform)
+      : { compatible: true, reason: null };
 
-    const key = `${packageName}@${version}`;
-    if (visited.has(key)) {
-      return []; // Circular dependency detected
+    let skipped = null;
+    if (declared.dependencyType === 'peer' && declared.optional) {
+      skipped = 'optional-peer';
+    } else if (declared.optional && !platformCheck.compatible) {
+      skipped = 'platform';
     }
-    visited.add(key);
 
+    return {
+      name: declared.name,
+      version: resolution.version,
+      range: declared.range,
+      type: 'direct',
+      dependencyType: declared.dependencyType,
+      optional: declared.optional,
+      ...(declared.bundled && { bundled: true }),
+      specType: resolution.type,
+      registry: resolution.registry,
+      ...(resolution.packageName !== declared.name && { packageName: resolution.packageName }),
+      resolved: resolution.tarball,
+      ...(resolution.os && { os: resolution.os }),
+      ...(resolution.cpu && { cpu: resolution.cpu }),
+      ...(!platformCheck.compatible && { platformCompatible: false, platformReason: platformCheck.reason }),
+      ...(skipped && { skipped }),
+      ...(resolution.reason && { unresolvedReason: resolution.reason })
+    };
+  },
+
+  /**
+   * Read the packages bundled in a package tarball
+   *
+   * @returns {Promise<Map>} - path inside the package → manifest
+   */
+  async inspectBundledDependencies(packageName, version, tarball) {
+    const packagePath = await staticAnalysisService.downloadPackageSource(packageName, version, tarball);
     try {
-      const deps = await this.fetchDependencies(packageName, version);
-      const transitiveDeps = [];
-
-      for (const dep of deps.dependencies) {
-        // Resolve version from range (simplified - in production use semver)
-        const resolvedVersion = await this.resolveVersion(dep.name, dep.version);
-        
-        transitiveDeps.push({
-          name: dep.name,
-          version: resolvedVersion,
-          type: 'transitive',
-          depth: currentDepth + 1,
-          parent: packageName
-        });
+      return await readBundledManifests(packagePath);
+    } finally {
+      await staticAnalysisService.cleanupTempDirectory(path.dirname(packagePath));
+    }
+  },
+
+  /**
+   * Build the transitive dependency graph of a package
+   *
+   * Traverses breadth first, so every resolved name@version becomes one node
+   * at its shallowest depth and is expanded once. Each declared dependency
+   * becomes an edge from its exact parent node with the declared range and
+   * its dependencyType; dependencies leading back to a node already on the
+   * path are kept as edges marked cycle: true. Nodes at maxDepth are not
+   * expanded.
+   *
+   * Dependencies npm would skip (optional peers, optional dependencies for
+   * another platform) are listed in the parent's skippedDependencies instead.
+   * Bundled dependencies get their own nodes (bundled: true, bundledBy). With
+   * options.inspectBundled the parent tarball is downloaded and the bundled
+   * packages, and what they depend on inside the bundle, are read from it
+   * (versionSource: 'tarball'); otherwise their version is the registry
+   * resolution of the declared range (versionSource: 'registry'), which need
+   * not be what the tarball ships, so they are marked versionVerified: false,
+   * counted in statistics.unverifiedBundledPackages and not expanded.
+   *
+   * Each level of the tree is fetched in parallel. Packuments come from a
+   * cache shared by the whole build (options.packuments, created when not
+   * given), so every package is requested once and at most
+   * options.concurrency registry requests run at a time. The graph stops
+   * growing at options.maxNodes nodes and options.maxEdges edges; nodes whose
+   * dependencies were cut off are marked truncated: true. Invalid limits fall
+   * back to the defaults and all three are capped (32 requests, 50000 nodes,
+   * 200000 edges).
+   *
+   * @param {Object} options - { platform: { os, cpu }, inspectBundled,
+   *   packuments, concurrency = 8, maxNodes = 5000, maxEdges = 20000 }
+   * @returns {DependencyGraph}
+   */
+  async buildDependencyGraph(packageName, version = 'latest', maxDepth = 5, options = {}) {
+    const concurrency = boundedLimit(options.concurrency, DEFAULT_CONCURRENCY, MAX_CONCURRENCY);
+    const maxNodes = boundedLimit(options.maxNodes, DEFAULT_MAX_NODES, MAX_NODES_CEILING);
+    const maxEdges = boundedLimit(options.maxEdges, DEFAULT_MAX_EDGES, MAX_EDGES_CEILING);
+    const run = { ...options, packuments: options.packuments || this.createPackumentCache({ concurrency }) };
 
-        // Recursively get transitive dependencies
-        if (currentDepth + 1 < maxDepth) {
-          const subDeps = await this.buildDependencyTree(
-            dep.name,
-            resolvedVersion,
-            maxDepth,
-            currentDepth + 1,
-            new Set(visited)
-          );
-          transitiveDeps.push(...subDeps);
+    const rootDeps = await this.fetchDependencies(packageName, version, run);
+    const graph = new DependencyGraph({ maxNodes, maxEdges });
+    const root = graph.setRoot({ name: packageName, version: rootDeps.package.version });
+    let level = [{ node: root, deps: rootDeps }];
+    let nextLevel = [];
+
+    // Add a dependency node and the edge to it, marking the parent truncated
+    // when a graph limit refuses either
+    const link = (parent, node, edgeAttributes) => {
+      const isNew = !graph.hasNode(node.id);
+      const target = graph.addNode(node);
+      if (!target || !graph.addEdge(parent.id, target.id, edgeAttributes)) {
+        parent.truncated = true;
+        return null;
+      }
+      return { target, isNew };
+    };
+
+    const addRegistryDependency = (node, dep) => {
+      // Aliases are nodes of the package they install; non-registry
+      // dependencies keep their specifier in place of a version
+      const linked = link(node, {
+        id: nodeId(dep.packageName || dep.name, dep.version || dep.range),
+        name: dep.packageName || dep.name,
+        version: dep.version,
+        depth: node.depth + 1,
+        type: node.depth === 0 ? 'direct' : 'transitive',
+        parent: node.id,
+        ...(dep.packageName && { alias: dep.name }),
+        ...(!dep.registry && { registry: false, spec: dep.range }),
+        ...(dep.platformCompatible === false && { platformCompatible: false }),
+        ...(dep.unresolvedReason && { unresolvedReason: dep.unresolvedReason })
+      }, { range: dep.range, dependencyType: dep.dependencyType });
+
+      if (linked?.isNew && dep.version && linked.target.depth < maxDepth) {
+        nextLevel.push({ node: linked.target });
+      }
+    };
+
+    // Add a bundled package read from the tarball, and what it requires from
+    // the bundle; requirements missing from the bundle come from the registry
+    const addTarballDependency = async (bundler, bundle, bundlePath, parent, range, dependencyType) => {
+      const manifest = bundle.get(bundlePath);
+      const scripts = manifest.scripts || {};
+
+      const linked = link(parent, {
+        id: bundledNodeId(bundler.id, manifest.name, manifest.version),
+        name: manifest.name,
+        version: manifest.version,
+        depth: parent.depth + 1,
+        type: parent.depth === 0 ? 'direct' : 'transitive',
+        parent: parent.id,
+        bundled: true,
+        bundledBy: bundler.id,
+        versionSource: 'tarball',
+        ...(INSTALL_SCRIPTS.some(script => scripts[script]) && { hasInstallScript: true })
+      }, { range, dependencyType });
+
+      if (!linked?.isNew || linked.target.depth >= maxDepth) return;
+      const { target } = linked;
+
+      for (const declared of declaredDependencies(manifest)) {
+        if (declared.dependencyType === 'peer') continue;
+
+        const dependencyPath = resolveBundlePath(bundle, bundlePath, declared.name);
+        if (dependencyPath) {
+          await addTarballDependency(bundler, bundle, dependencyPath, target, declared.range, declared.dependencyType);
+          continue;
+        }
+
+        const dep = this.dependencyEntry(declared, await this.resolveSpec(declared.name, declared.range, run), run.platform);
+        if (dep.skipped) {
+          target.skippedDependencies = [...(target.skippedDependencies || []), { name: dep.name, range: dep.range, reason: dep.skipped }];
+        } else {
+          addRegistryDependency(target, { ...dep, dependencyType: declared.optional ? 'optional' : 'prod' });
         }
       }
+    };
+
+    while (level.length > 0) {
+      // Fetch the whole level at once; the packument cache bounds and
+      // coalesces the registry requests
+      const expanded = await Promise.all(level.map(async ({ node, deps }) => {
+        if (deps) return { node, deps };
+        try {
+          return { node, deps: await this.fetchDependencies(node.name, node.version, run) };
+        } catch (error) {
+          console.warn(`Error fetching dependencies for ${node.id}:`, error.message);
+          return { node, deps: null };
+        }
+      }));
+      nextLevel = [];
+
+      // Link in level order so depths, parents and limits do not depend on
+      // which request finished first
+      for (const { node, deps } of expanded) {
+        if (!deps) continue;
 
-      return transitiveDeps;
+        let bundle = null;
+        if (run.inspectBundled && deps.package.tarball && deps.dependencies.some(dep => dep.bundled)) {
+          try {
+            bundle = await this.inspectBundledDependencies(node.name, node.version, deps.package.tarball);
+          } catch (error) {
+            console.warn(`Error inspecting bundled dependencies of ${node.id}:`, error.message);
+          }
+        }
+
+        for (const dep of deps.dependencies) {
+          if (dep.skipped) {
+            node.skippedDependencies = [
+              ...(node.skippedDependencies || []),
+              { name: dep.name, range: dep.range, dependencyType: dep.dependencyType, reason: dep.skipped }
+            ];
+            continue;
+          }
+
+          if (!dep.bundled) {
+            addRegistryDependency(node, dep);
+            continue;
+          }
+
+          const bundlePath = bundle && resolveBundlePath(bundle, '', dep.name);
+          if (bundlePath) {
+            await addTarballDependency(node, bundle, bundlePath, node, dep.range, 'bundled');
+            continue;
+          }
+
+          const name = dep.packageName || dep.name;
+          link(node, {
+            id: bundledNodeId(node.id, name, dep.version || dep.range),
+            name,
+            version: dep.version,
+            depth: node.depth + 1,
+            type: node.depth === 0 ? 'direct' : 'transitive',
+            parent: node.id,
+            bundled: true,
+            bundledBy: node.id,
+            versionSource: 'registry',
+            versionVerified: false
+          }, { range: dep.range, dependencyType: 'bundled' });
+        }
+      }
+
+      level = nextLevel;
+    }
+
+    graph.markCycles();
+    return graph;
+  },
+
+  /**
+   * Build transitive dependency tree
+   *
+   * @returns {Array} - One entry per package, with its depth and first parent
+   */
+  async buildDependencyTree(packageName, version = 'latest', maxDepth = 5, options = {}) {
+    const graph = await this.buildDependencyGraph(packageName, version, maxDepth, options);
+    return transitiveList(graph);
+  },
+
+  /**
+   * Packument cache for one operation: each package is fetched once, and
+   * concurrent requests for it share the request in flight
+   *
+   * @param {Object} options - { concurrency } maximum parallel registry requests
+   * @returns {RequestCache}
+   */
+  createPackumentCache({ concurrency } = {}) {
+    return new RequestCache(name => metadataService.fetchPackument(name), {
+      concurrency: boundedLimit(concurrency, DEFAULT_CONCURRENCY, MAX_CONCURRENCY)
+    });
+  },
+
+  /**
+   * Fetch a packument, through options.packuments when given
+   */
+  async fetchPackument(packageName, options = {}) {
+    return options.packuments
+      ? options.packuments.get(packageName)
+      : metadataService.fetchPackument(packageName);
+  },
+
+  /**
+   * Resolve a dependency specifier against the package's published versions
+   *
+   * Handles exact versions, ranges (caret, tilde, x-ranges, hyphen ranges,
+   * '||'), dist-tags and npm: aliases. Git, remote tarball, file, link and
+   * workspace specifiers are returned unresolved with registry: false.
+   *
+   * @param {string} packageName - Dependency name (the key in the dependencies map)
+   * @param {string} spec - Specifier, e.g. '^1.2.0', 'next', 'npm:lodash@^4'
+   * @param {Object} options - { packuments } packument cache, see fetchDependencies
+   * @returns {Object} - { name, packageName, spec, type, registry, range,
+   *   version, tarball, deprecated, os, cpu, reason }; version is null when the
+   *   specifier is not a registry one or nothing published satisfies it
+   */
+  async resolveSpec(packageName, spec, options = {}) {
+    const parsed = parseDependencySpec(packageName, spec);
+    const result = {
+      name: packageName,
+      packageName: parsed.packageName,
+      spec: parsed.spec,
+      type: parsed.type,
+      registry: parsed.registry,
+      range: parsed.fetchSpec,
+      version: null,
+      tarball: null,
+      deprecated: null,
+      os: null,
+      cpu: null,
+      reason: null
+    };
+
+    if (!parsed.registry) {
+      result.reason = parsed.type === 'invalid'
+        ? `Invalid version specifier '${parsed.spec}'`
+        : `${parsed.type} specifier is not resolved from the registry`;
+      return result;
+    }
+
+    let packument;
+    try {
+      packument = await this.fetchPackument(parsed.packageName, options);
     } catch (error) {
-      console.warn(`Error fetching dependencies for ${packageName}@${version}:`, error.message);
-      return [];
+      result.reason = error.message;
+      return result;
     }
+
+    const { version, reason } = pickVersion(packument, parsed.aliasType || parsed.type, parsed.fetchSpec);
+    result.version = version;
+    result.reason = reason;
+
+    if (version) {
+      const versionData = packument.versions[version];
+      result.tarball = versionData.dist?.tarball || null;
+      result.deprecated = versionData.deprecated || null;
+      result.os = versionData.os || null;
+      result.cpu = versionData.cpu || null;
+    }
+
+    return result;
   },
 
   /**
-   * Resolve version from semver range (simplified)
+   * Resolve a dependency specifier to a published version
+   *
+   * @returns {string|null} - The resolved version, null for non-registry or
+   *   unsatisfiable specifiers
    */
   async resolveVersion(packageName, versionRange) {
-    try {
-      const metadata = await metadataService.fetchFromNpmRegistry(packageName, 'latest');
-      // In production, use semver library to resolve ranges
-      // For now, return latest if range is not exact
-      if (versionRange.match(/^\d+\.\d+\.\d+$/)) {
-        return versionRange;
+    const resolution = await this.resolveSpec(packageName, versionRange);
+    return resolution.version;
+  },
+
+  /**
+   * Add collected package data to graph nodes
+   *
+   * Sets license, vulnerabilityCount and hasInstallScript on each node whose
+   * name@version has been collected (see PackageRepository). Values already
+   * on the node, e.g. from a lockfile, are kept; attributes without collected
+   * data are left unset.
+   *
+   * @param {Array} nodes - Graph nodes
+   * @returns {Promise<Array>} - Annotated copies of the nodes
+   */
+  async annotateNodes(nodes) {
+    const packageRepository = new PackageRepository(getStorage());
+    const annotated = [];
+
+    for (const node of nodes) {
+      const collected = node.version
+        ? await packageRepository.getPackage(node.name, node.version, ['metadata', 'vulnerabilities', 'staticAnalysis'])
+        : null;
+      const { metadata, vulnerabilities, staticAnalysis } = collected?.data || {};
+      const scripts = metadata?.versions?.[node.version]?.scripts;
+
+      const license = node.license ?? metadata?.license;
+      const vulnerabilityCount = vulnerabilities?.summary?.total;
+      const hasInstallScript = node.hasInstallScript
+        ?? staticAnalysis?.hasInstallScripts
+        ?? (scripts ? INSTALL_SCRIPTS.some(script => scripts[script]) : undefined);
+
+      annotated.push({
+        ...node,
+        ...(license && { license }),
+        ...(typeof vulnerabilityCount === 'number' && { vulnerabilityCount }),
+        ...(typeof hasInstallScript === 'boolean' && { hasInstallScript })
+      });
+    }
+
+    return annotated;
+  },
+
+  /**
+   * Risk metrics over a resolved graph (see utils/graphMetrics)
+   *
+   * Per node: degree and betweenness centrality, maintainer count (from the
+   * version's manifest, else the packument), deprecation, install scripts
+   * and the vulnerability count of collected packages (annotateNodes), plus
+   * the same figures summed over the node's subtree. Maintainers are null
+   * and singleMaintainer false when the packument could not be fetched or
+   * lists no maintainers.
+   *
+   * Graphs over 3000 nodes are rejected with a 400 error, as the metrics
+   * take time quadratic in the node count and would block the server.
+   *
+   * @param {DependencyGraph} graph
+   * @param {Object} options - { packuments, top = 10 } top: length of the
+   *   chokepoints and depthHotspots lists
+   */
+  async calculateGraphMetrics(graph, options = {}) {
+    const { top = 10 } = options;
+    if (graph.nodes.size > METRICS_MAX_NODES) {
+      const error = new Error(
+        `Graph metrics are limited to ${METRICS_MAX_NODES} nodes (graph has ${graph.nodes.size}); lower depth or maxNodes`
+      );
+      error.status = 400;
+      throw error;
+    }
+    const packuments = options.packuments || this.createPackumentCache();
+    const annotated = new Map((await this.annotateNodes([...graph.nodes.values()])).map(node => [node.id, node]));
+
+    const attributes = new Map(await Promise.all([...graph.nodes.values()].map(async (node) => {
+      let manifest = null;
+      let maintainers = null;
+      if (node.version && node.registry !== false) {
+        try {
+          const packument = await packuments.get(node.name);
+          manifest = packument.versions?.[node.version] || null;
+          const names = (manifest?.maintainers || packument.maintainers || [])
+            .map(maintainer => (typeof maintainer === 'string' ? maintainer.replace(/\s*<.*$/, '') : maintainer?.name))
+            .filter(Boolean);
+          maintainers = names.length > 0 ? new Set(names.map(name => name.toLowerCase())).size : null;
+        } catch (error) {
+          console.warn(`Error fetching metadata for ${node.name}:`, error.message);
+        }
       }
-      return metadata.version;
-    } catch (error) {
-      return versionRange;
+
+      const scripts = manifest?.scripts;
+      const vulnerabilityCount = annotated.get(node.id)?.vulnerabilityCount ?? null;
+      return [node.id, {
+        maintainers,
+        singleMaintainer: maintainers === 1,
+        deprecated: Boolean(manifest?.deprecated),
+        hasInstallScript: Boolean(
+          annotated.get(node.id)?.hasInstallScript || manifest?.hasInstallScript ||
+          (scripts && INSTALL_SCRIPTS.some(script => scripts[script]))
+        ),
+        vulnerabilityCount
+      }];
+    })));
+
+    const degrees = degreeCentrality(graph);
+    const betweenness = betweennessCentrality(graph);
+    const subtrees = subtreeAggregates(graph, (node) => {
+      const { singleMaintainer, deprecated, hasInstallScript, vulnerabilityCount } = attributes.get(node.id);
+      return {
+        vulnerabilities: vulnerabilityCount || 0,
+        vulnerablePackages: vulnerabilityCount > 0 ? 1 : 0,
+        installScripts: hasInstallScript ? 1 : 0,
+        deprecated: deprecated ? 1 : 0,
+        singleMaintainer: singleMaintainer ? 1 : 0
+      };
+    });
+
+    const nodes = [...graph.nodes.values()].map(node => ({
+      id: node.id,
+      name: node.name,
+      version: node.version,
+      depth: node.depth,
+      ...degrees.get(node.id),
+      betweenness: betweenness.get(node.id),
+      ...attributes.get(node.id),
+      subtree: subtrees.get(node.id)
+    }));
+    const dependencies = nodes.filter(node => node.id !== graph.rootId);
+
+    const depthDistribution = new Map();
+    for (const node of dependencies) {
+      depthDistribution.set(node.depth, (depthDistribution.get(node.depth) || 0) + 1);
     }
+
+    const duplicates = duplicateVersions(graph);
+    const n = graph.nodes.size;
+
+    return {
+      nodes,
+      chokepoints: dependencies
+        .filter(node => node.betweenness > 0)
+        .sort((a, b) => b.betweenness - a.betweenness)
+        .slice(0, top)
+        .map(({ id, betweenness: score, inDegree, subtree }) => ({ id, betweenness: score, inDegree, subtreePackages: subtree.packages })),
+      // Packages whose subtrees reach deepest below the root
+      depthHotspots: dependencies
+        .filter(node => node.subtree.height > 0)
+        .sort((a, b) => (b.depth + b.subtree.height) - (a.depth + a.subtree.height) || b.subtree.packages - a.subtree.packages)
+        .slice(0, top)
+        .map(({ id, depth, subtree }) => ({ id, depth, height: subtree.height, reaches: depth + subtree.height, subtreePackages: subtree.packages })),
+      depthDistribution: [...depthDistribution.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([depth, packages]) => ({ depth, packages })),
+      duplicates,
+      busFactor: {
+        singleMaintainerPackages: dependencies.filter(node => node.singleMaintainer).map(node => node.id),
+        unknownMaintainers: dependencies.filter(node => node.maintainers === null).length
+      },
+      subtreeRisk: graph.getOutgoingEdges(graph.rootId)
+        .map(edge => nodes.find(node => node.id === edge.target))
+        .filter(Boolean)
+        .map(({ id, subtree }) => ({ id, ...subtree }))
+        .sort((a, b) => b.vulnerabilities - a.vulnerabilities || b.installScripts - a.installScripts || b.packages - a.packages),
+      summary: {
+        nodes: n,
+        edges: graph.edges.size,
+        density: n > 1 ? graph.edges.size / (n * (n - 1)) : 0,
+        averageDegree: n > 0 ? (2 * graph.edges.size) / n : 0,
+        maxBetweenness: dependencies.reduce((max, node) => Math.max(max, node.betweenness), 0),
+        singleMaintainerPackages: dependencies.filter(node => node.singleMaintainer).length,
+        deprecatedPackages: dependencies.filter(node => node.deprecated).length,
+        installScriptPackages: dependencies.filter(node => node.hasInstallScript).length,
+        vulnerablePackages: dependencies.filter(node => node.vulnerabilityCount > 0).length,
+        packagesWithVulnerabilityData: dependencies.filter(node => node.vulnerabilityCount !== null).length,
+        duplicatePackages: duplicates.length,
+        extraCopies: duplicates.reduce((sum, duplicate) => sum + duplicate.count - 1, 0)
+      }
+    };
   },
 
   /**
@@ -140,50 +756,24 @@ export const dependenciesService = {
 
   /**
    * Get indirect/transitive dependencies
+   *
+   * With options.metrics the result also carries the graph's risk metrics
+   * (see calculateGraphMetrics).
    */
-  async getIndirectDependencies(packageName, version = 'latest', maxDepth = 5) {
-    const metadata = await metadataService.fetchFromNpmRegistry(packageName, version);
-    const transitiveDeps = await this.buildDependencyTree(packageName, metadata.version, parseInt(maxDepth));
-
-    // Build graph structure
-    const nodes = [
-      { id: `${packageName}@${metadata.version}`, name: packageName, version: metadata.version, depth: 0, type: 'root' }
-    ];
-    const edges = [];
-
-    // Group dependencies by depth and build graph
-    const depsByDepth = {};
-    transitiveDeps.forEach(dep => {
-      if (!depsByDepth[dep.depth]) {
-        depsByDepth[dep.depth] = [];
-      }
-      depsByDepth[dep.depth].push(dep);
-      
-      nodes.push({
-        id: `${dep.name}@${dep.version}`,
-        name: dep.name,
-        version: dep.version,
-        depth: dep.depth,
-        type: 'transitive'
-      });
+  async getIndirectDependencies(packageName, version = 'latest', maxDepth = 5, options = {}) {
+    const packuments = options.packuments || this.createPackumentCache(options);
+    const graph = await this.buildDependencyGraph(packageName, version, parseInt(maxDepth), { ...options, packuments });
+    const { nodes, edges } = graph.toJSON();
+    const root = graph.getNode(graph.rootId);
+    const statistics = graph.getStatistics();
 
-      edges.push({
-        source: `${dep.parent}@*`,
-        target: `${dep.name}@${dep.version}`,
-        type: 'depends_on'
-      });
-    });
-
-    const depths = Object.keys(depsByDepth).map(Number);
-    const maxDepthReached = depths.length > 0 ? Math.max(...depths) : 0;
-    const avgDepth = depths.length > 0 
-      ? depths.reduce((sum, d) => sum + d * depsByDepth[d].length, 0) / transitiveDeps.length 
-      : 0;
+    const transitiveDeps = transitiveList(graph);
+    const skipped = nodes.flatMap(node => node.skippedDependencies || []);
 
     return {
       package: {
         name: packageName,
-        version: metadata.version
+        version: root.version
       },
       dependencyGraph: {
         nodes,
@@ -192,11 +782,20 @@ export const dependenciesService = {
       transitiveDependencies: transitiveDeps,
       statistics: {
         totalTransitiveDependencies: transitiveDeps.length,
-        maxDepth: maxDepthReached,
-        averageDepth: avgDepth,
-        maxDepthReached: parseInt(maxDepth)
-      }
+        totalEdges: statistics.totalEdges,
+        cycleEdges: statistics.cycleEdges,
+        maxDepth: statistics.maxDepth,
+        averageDepth: statistics.averageDepth,
+        bundledPackages: nodes.filter(node => node.bundled).length,
+        unverifiedBundledPackages: nodes.filter(node => node.versionVerified === false).length,
+        skippedDependencies: skipped.length,
+        maxDepthReached: parseInt(maxDepth),
+        truncated: statistics.truncated,
+        truncatedNodes: statistics.truncatedNodes,
+        truncatedEdges: statistics.truncatedEdges,
+        registryRequests: packuments.getStatistics()
+      },
+      ...(options.metrics && { metrics: await this.calculateGraphMetrics(graph, { packuments }) })
     };
   }
 };
-
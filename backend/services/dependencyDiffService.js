@@ -0,0 +1,254 @@
+/**
+ * Service for comparing the dependencies of two versions of a package
+ *
+ * Diffs the declared direct dependencies (fetchDependencies) and the resolved
+ * trees (dependenciesService.buildDependencyGraph) of both versions, then
+ * looks at what the newer tree brings in: install scripts, maintainers not
+ * seen in the older tree, and new dependencies that are very young or barely
+ * downloaded - the usual shape of a malicious patch release.
+ */
+
+import semver from 'semver';
+import { dependenciesService } from './dependenciesService.js';
+import { registryService } from './registryService.js';
+
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function compareVersions(a, b) {
+  return semver.valid(a) && semver.valid(b) ? semver.compare(a, b) : String(a).localeCompare(String(b));
+}
+
+/**
+ * Diff two lists of entries keyed by name, reporting the listed fields that changed
+ */
+function diffEntries(fromEntries, toEntries, fields) {
+  const fromByName = new Map(fromEntries.map(entry => [entry.name, entry]));
+  const toByName = new Map(toEntries.map(entry => [entry.name, entry]));
+
+  const added = toEntries.filter(entry => !fromByName.has(entry.name));
+  const removed = fromEntries.filter(entry => !toByName.has(entry.name));
+  const changed = [];
+
+  for (const entry of toEntries) {
+    const previous = fromByName.get(entry.name);
+    if (!previous) continue;
+
+    const changes = {};
+    for (const field of fields) {
+      if ((previous[field] ?? null) !== (entry[field] ?? null)) {
+        changes[field] = { from: previous[field] ?? null, to: entry[field] ?? null };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ name: entry.name, changes });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Versions of each package in a resolved tree (the root excluded)
+ */
+function versionsByName(graph) {
+  const versions = new Map();
+  for (const node of graph.nodes.values()) {
+    if (node.type === 'root') continue;
+    if (!versions.has(node.name)) versions.set(node.name, new Set());
+    versions.get(node.name).add(node.version ?? node.spec);
+  }
+  return versions;
+}
+
+function diffTrees(fromGraph, toGraph) {
+  const fromVersions = versionsByName(fromGraph);
+  const toVersions = versionsByName(toGraph);
+  const sorted = set => [...set].sort(compareVersions);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [name, versions] of toVersions) {
+    const previous = fromVersions.get(name);
+    if (!previous) {
+      added.push({ name, versions: sorted(versions) });
+    } else if (sorted(previous).join() !== sorted(versions).join()) {
+      changed.push({ name, from: sorted(previous), to: sorted(versions) });
+    }
+  }
+  for (const [name, versions] of fromVersions) {
+    if (!toVersions.has(name)) removed.push({ name, versions: sorted(versions) });
+  }
+
+  return { added, removed, changed };
+}
+
+function installScriptsOf(manifest) {
+  const scripts = manifest?.scripts || {};
+  return Object.fromEntries(INSTALL_SCRIPTS.filter(script => scripts[script]).map(script => [script, scripts[script]]));
+}
+
+/**
+ * Maintainer names of a published version: its maintainers and publisher,
+ * falling back to the package's current maintainers
+ */
+function maintainersOf(packument, version) {
+  const manifest = packument.versions?.[version] || {};
+  const names = (manifest.maintainers || packument.maintainers || [])
+    .map(maintainer => (typeof maintainer === 'string' ? maintainer.replace(/\s*<.*$/, '') : maintainer?.name))
+    .filter(Boolean);
+  if (manifest._npmUser?.name) names.push(manifest._npmUser.name);
+  return new Set(names.map(name => name.toLowerCase()));
+}
+
+export const dependencyDiffService = {
+  /**
+   * Compare the dependencies of two versions of a package
+   *
+   * @param {string} packageName - Package name
+   * @param {string} from - Older version (or dist-tag)
+   * @param {string} to - Newer version (or dist-tag)
+   * @param {Object} options - { maxDepth = 5, youngDays = 30,
+   *   minWeeklyDownloads = 1000 }
+   */
+  async diffVersions(packageName, from, to, options = {}) {
+    const { maxDepth = 5, youngDays = 30, minWeeklyDownloads = 1000 } = options;
+
+    // Both trees and the checks below share one packument cache; one
+    // packument per package name covers every version in both trees
+    const packuments = dependenciesService.createPackumentCache();
+    const run = { packuments };
+
+    const fromDirect = await dependenciesService.fetchDependencies(packageName, from, run);
+    const toDirect = await dependenciesService.fetchDependencies(packageName, to, run);
+    const fromGraph = await dependenciesService.buildDependencyGraph(packageName, fromDirect.package.version, maxDepth, run);
+    const toGraph = await dependenciesService.buildDependencyGraph(packageName, toDirect.package.version, maxDepth, run);
+
+    const packumentOf = async (name) => {
+      try {
+        return await packuments.get(name);
+      } catch (error) {
+        console.warn(`Error fetching metadata for ${name}:`, error.message);
+        return null;
+      }
+    };
+
+    const registryNodes = graph => [...graph.nodes.values()].filter(node => node.version && node.registry !== false);
+    const fromIds = new Set(fromGraph.nodes.keys());
+    const fromNames = new Set([...fromGraph.nodes.values()].map(node => node.name));
+
+    // Maintainers and install scripts of the older tree, per package name
+    const fromMaintainers = new Set();
+    const fromScripts = new Map();
+    for (const node of registryNodes(fromGraph)) {
+      const packument = await packumentOf(node.name);
+      if (!packument) continue;
+      maintainersOf(packument, node.version).forEach(name => fromMaintainers.add(name));
+      if (!fromScripts.has(node.name)) fromScripts.set(node.name, []);
+      fromScripts.get(node.name).push(installScriptsOf(packument.versions[node.version]));
+    }
+
+    const installScripts = [];
+    const newMaintainers = new Map();
+    const newDependencies = [];
+
+    for (const node of registryNodes(toGraph)) {
+      if (fromIds.has(node.id)) continue;
+      const packument = await packumentOf(node.name);
+      if (!packument) continue;
+
+      // Install scripts the older tree did not run for this package
+      const scripts = installScriptsOf(packument.versions[node.version]);
+      const previousScripts = fromScripts.get(node.name) || [];
+      const newScripts = Object.fromEntries(Object.entries(scripts).filter(([script, command]) =>
+        !previousScripts.some(previous => previous[script] === command)
+      ));
+      if (Object.keys(newScripts).length > 0) {
+        installScripts.push({
+          name: node.name,
+          version: node.version,
+          scripts: newScripts,
+          change: previousScripts.length === 0 ? 'new-package' : (
+            previousScripts.some(previous => Object.keys(previous).length > 0) ? 'changed-script' : 'new-script'
+          ),
+          depth: node.depth
+        });
+      }
+
+      for (const maintainer of maintainersOf(packument, node.version)) {
+        if (fromMaintainers.has(maintainer)) continue;
+        if (!newMaintainers.has(maintainer)) newMaintainers.set(maintainer, []);
+        newMaintainers.get(maintainer).push(node.id);
+      }
+
+      if (!fromNames.has(node.name)) {
+        newDependencies.push({ node, packument });
+      }
+    }
+
+    // Age and popularity of packages new to the tree
+    const riskyNewDependencies = [];
+    for (const { node, packument } of newDependencies) {
+      const createdAt = packument.time?.created || null;
+      const publishedAt = packument.time?.[node.version] || null;
+      const ageDays = createdAt ? Math.floor((Date.now() - new Date(createdAt).getTime()) / DAY_MS) : null;
+      // null when the downloads API could not be reached: unknown, not unpopular
+      const weeklyDownloads = await registryService.fetchWeeklyDownloads(node.name);
+
+      const reasons = [];
+      if (ageDays !== null && ageDays < youngDays) {
+        reasons.push(`Package created ${ageDays} days ago`);
+      }
+      if (weeklyDownloads !== null && weeklyDownloads < minWeeklyDownloads) {
+        reasons.push(`${weeklyDownloads} downloads last week`);
+      }
+
+      if (reasons.length > 0) {
+        riskyNewDependencies.push({
+          name: node.name,
+          version: node.version,
+          depth: node.depth,
+          parent: node.parent,
+          createdAt,
+          publishedAt,
+          ageDays,
+          weeklyDownloads,
+          reasons
+        });
+      }
+    }
+
+    const direct = diffEntries(fromDirect.dependencies, toDirect.dependencies, ['range', 'version', 'dependencyType']);
+    const devDependencies = diffEntries(fromDirect.devDependencies, toDirect.devDependencies, ['version']);
+    const tree = diffTrees(fromGraph, toGraph);
+
+    return {
+      package: { name: packageName },
+      from: { version: fromDirect.package.version, totalPackages: fromGraph.nodes.size - 1 },
+      to: { version: toDirect.package.version, totalPackages: toGraph.nodes.size - 1 },
+      direct,
+      devDependencies,
+      tree,
+      installScripts,
+      newMaintainers: [...newMaintainers.entries()].map(([maintainer, packages]) => ({ maintainer, packages })),
+      riskyNewDependencies,
+      statistics: {
+        directAdded: direct.added.length,
+        directRemoved: direct.removed.length,
+        directChanged: direct.changed.length,
+        packagesAdded: tree.added.length,
+        packagesRemoved: tree.removed.length,
+        packagesChanged: tree.changed.length,
+        newInstallScripts: installScripts.length,
+        newMaintainers: newMaintainers.size,
+        riskyNewDependencies: riskyNewDependencies.length,
+        maxDepthReached: maxDepth,
+        truncated: fromGraph.getStatistics().truncated || toGraph.getStatistics().truncated
+      }
+    };
+  }
+};
+
+export default dependencyDiffService;
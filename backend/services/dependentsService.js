@@ -0,0 +1,357 @@
+/**
+ * Service for reverse dependency (dependents) lookups
+ *
+ * Inverts the dependency graphs we hold locally: lockfile graphs stored by
+ * lockfileService and the direct dependencies recorded for collected
+ * packages. When DEPENDENTS_SEARCH_URL is set, that endpoint is also asked
+ * for the dependents of each package reached:
+ *
+ *   GET {DEPENDENTS_SEARCH_URL}?name=<name>&version=<version>
+ *   → { dependents: [{ name, version, range, dependencyType }] } (or the array)
+ *
+ * The traversal mirrors dependenciesService.buildDependencyGraph, breadth
+ * first from the target up through its dependents, one node per name@version
+ * at its shallowest depth.
+ *
+ * The reverse index is built once and reused until a graph or collected
+ * package is saved or deleted.
+ */
+
+import axios from 'axios';
+import semver from 'semver';
+import { registryService } from './registryService.js';
+import { getStorage } from '../storage/index.js';
+import { DependencyGraphRepository, getGraphsRevision } from '../storage/dependencyGraphRepository.js';
+import { PackageRepository, getPackagesRevision } from '../storage/packageRepository.js';
+import { DependencyGraph, nodeId } from '../utils/dependencyGraph.js';
+import { apiCallWithRetry, rateLimiters } from '../utils/rateLimiter.js';
+import { RequestCache } from '../utils/requestCache.js';
+
+const BLAST_RADIUS_LEVELS = [
+  { level: 'critical', minScore: 75 },
+  { level: 'high', minScore: 50 },
+  { level: 'medium', minScore: 25 },
+  { level: 'low', minScore: 0 }
+];
+
+// Weekly downloads (weighted) at which the blast radius score reaches 100
+const MAX_WEIGHTED_DOWNLOADS = 1e9;
+
+function getSearchUrl() {
+  return process.env.DEPENDENTS_SEARCH_URL || null;
+}
+
+/**
+ * Whether a dependent's declared range admits the version being looked up
+ */
+function rangeAdmits(range, version) {
+  if (!range || !version || !semver.valid(version) || !semver.validRange(range)) return true;
+  return semver.satisfies(version, range, { includePrerelease: true });
+}
+
+/**
+ * Reverse index of the locally stored graphs: dependency id → dependents
+ */
+class DependentsIndex {
+  constructor() {
+    this.incoming = new Map();
+    this.idsByName = new Map();
+  }
+
+  add(dependency, dependent, { range = null, dependencyType = 'prod', source }) {
+    const id = nodeId(dependency.name, dependency.version);
+    if (!this.idsByName.has(dependency.name)) this.idsByName.set(dependency.name, new Set());
+    this.idsByName.get(dependency.name).add(id);
+
+    if (!this.incoming.has(id)) this.incoming.set(id, []);
+    this.incoming.get(id).push({ dependent, range, dependencyType, source });
+  }
+
+  /**
+   * Dependents of name@version, or of every indexed version of name
+   */
+  dependentsOf(name, version) {
+    const ids = version ? [nodeId(name, version)] : [...(this.idsByName.get(name) || [])];
+    return ids.flatMap(id => this.incoming.get(id) || []);
+  }
+}
+
+// { graphsRevision, packagesRevision, promise } of the current reverse index
+let cachedIndex = null;
+
+export const dependentsService = {
+  /**
+   * Get the reverse index, rebuilding it when graphs or collected packages changed
+   *
+   * @returns {Promise<Object>} - { index, counts }
+   */
+  async getIndex() {
+    const graphsRevision = getGraphsRevision();
+    const packagesRevision = getPackagesRevision();
+
+    if (
+      !cachedIndex ||
+      cachedIndex.graphsRevision !== graphsRevision ||
+      cachedIndex.packagesRevision !== packagesRevision
+    ) {
+      const promise = this.buildIndex();
+      cachedIndex = { graphsRevision, packagesRevision, promise };
+      promise.catch(() => {
+        if (cachedIndex?.promise === promise) cachedIndex = null;
+      });
+    }
+
+    return cachedIndex.promise;
+  },
+
+  /**
+   * Build the reverse index from stored lockfile graphs and collected packages
+   */
+  async buildIndex() {
+    const storage = getStorage();
+    const graphRepository = new DependencyGraphRepository(storage);
+    const packageRepository = new PackageRepository(storage);
+    const index = new DependentsIndex();
+    const counts = { graphs: 0, collectedPackages: 0 };
+
+    for (const summary of await graphRepository.list()) {
+      const graph = await graphRepository.get(summary.id);
+      if (!graph?.dependencyGraph) continue;
+      counts.graphs++;
+
+      const nodes = new Map(graph.dependencyGraph.nodes.map(node => [node.id, node]));
+      for (const edge of graph.dependencyGraph.edges) {
+        const source = nodes.get(edge.source);
+        const target = nodes.get(edge.target);
+        if (!source || !target?.version) continue;
+
+        index.add(target, {
+          name: source.name,
+          version: source.version,
+          // The lockfile's root and its workspace packages are local projects
+          ...((source.type === 'root' || source.workspace) && { project: true, graphId: graph.id })
+        }, { range: edge.range, dependencyType: edge.dependencyType, source: `graph:${graph.id}` });
+      }
+    }
+
+    for (const record of await packageRepository.listSection('dependencies')) {
+      counts.collectedPackages++;
+      for (const dep of record.data?.dependencies || []) {
+        if (!dep.version || dep.skipped) continue;
+        index.add(
+          { name: dep.packageName || dep.name, version: dep.version },
+          { name: record.name, version: record.version },
+          { range: dep.range, dependencyType: dep.dependencyType || 'prod', source: 'collected' }
+        );
+      }
+    }
+
+    return { index, counts };
+  },
+
+  /**
+   * Ask the configured search stand-in for the dependents of a package
+   *
+   * @returns {Promise<Array>} - { dependent, range, dependencyType, source } entries
+   */
+  async searchDependents(name, version) {
+    const searchUrl = getSearchUrl();
+    if (!searchUrl) return [];
+
+    const response = await rateLimiters.npm.makeRequest(() =>
+      apiCallWithRetry(
+        () => axios.get(searchUrl, {
+          params: { name, ...(version && { version }) },
+          headers: { 'User-Agent': 'ChainGuard-DataCollector/1.0' },
+          timeout: 30000
+        }),
+        { maxRetries: 2 }
+      )
+    );
+
+    const dependents = Array.isArray(response.data) ? response.data : response.data?.dependents || [];
+    return dependents
+      .filter(entry => entry?.name && rangeAdmits(entry.range, version))
+      .map(entry => ({
+        dependent: { name: entry.name, version: entry.version || null },
+        range: entry.range || null,
+        dependencyType: entry.dependencyType || 'prod',
+        source: 'search'
+      }));
+  },
+
+  /**
+   * Find the direct and transitive dependents of a package
+   *
+   * @param {string} packageName - Package name
+   * @param {string} version - Exact version; all known versions when omitted
+   * @param {Object} options - { maxDepth = 5, limit = 1000, search = true,
+   *   maxDownloadLookups = 50 }
+   */
+  async getDependents(packageName, version = null, options = {}) {
+    const { maxDepth = 5, limit = 1000, search = true, maxDownloadLookups = 50 } = options;
+    const useSearch = search && Boolean(getSearchUrl());
+    const { index, counts } = await this.getIndex();
+
+    const graph = new DependencyGraph();
+    const root = graph.setRoot({ id: nodeId(packageName, version || '*'), name: packageName, version: version || null });
+    const queue = [root];
+    let truncated = false;
+    let searchErrors = 0;
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      const incoming = index.dependentsOf(node.name, node.version);
+
+      if (useSearch) {
+        try {
+          incoming.push(...await this.searchDependents(node.name, node.version));
+        } catch (error) {
+          searchErrors++;
+          console.warn(`Error searching dependents of ${node.id}:`, error.message);
+        }
+      }
+
+      for (const { dependent, range, dependencyType, source } of incoming) {
+        const id = dependent.version ? nodeId(dependent.name, dependent.version) : dependent.name;
+        const isNew = !graph.hasNode(id);
+
+        if (isNew && graph.nodes.size >= limit) {
+          truncated = true;
+          continue;
+        }
+
+        const added = graph.addNode({
+          id,
+          name: dependent.name,
+          version: dependent.version,
+          depth: node.depth + 1,
+          type: node.depth === 0 ? 'direct' : 'transitive',
+          parent: node.id,
+          sources: [],
+          ...(dependent.project && { project: true }),
+          ...(dependent.graphId && { graphId: dependent.graphId })
+        });
+        if (!added.sources.includes(source)) added.sources.push(source);
+
+        // Edges keep the dependency direction: dependent → package it depends on
+        const edge = graph.addEdge(id, node.id, { range, dependencyType, sources: [] });
+        if (!edge.sources.includes(source)) edge.sources.push(source);
+
+        if (isNew && added.depth < maxDepth) {
+          queue.push(added);
+        }
+      }
+    }
+
+    const dependents = [...graph.nodes.values()]
+      .filter(node => node.type !== 'root')
+      .map(node => {
+        const edge = graph.getOutgoingEdges(node.id).find(candidate => candidate.target === node.parent);
+        return {
+          name: node.name,
+          version: node.version,
+          depth: node.depth,
+          via: node.parent,
+          range: edge?.range ?? null,
+          dependencyType: edge?.dependencyType ?? null,
+          sources: node.sources,
+          ...(node.project && { project: true, graphId: node.graphId })
+        };
+      });
+
+    const blastRadius = await this.calculateBlastRadius(dependents, { maxDownloadLookups });
+    const { nodes, edges } = graph.toJSON();
+
+    return {
+      package: { name: packageName, version: version || null },
+      dependents: {
+        direct: dependents.filter(dep => dep.depth === 1),
+        transitive: dependents.filter(dep => dep.depth > 1)
+      },
+      affectedProjects: dependents
+        .filter(dep => dep.project)
+        .map(({ name, version: projectVersion, graphId }) => ({ name, version: projectVersion, graphId })),
+      blastRadius,
+      dependentsGraph: { nodes, edges },
+      sources: {
+        graphs: counts.graphs,
+        collectedPackages: counts.collectedPackages,
+        search: useSearch ? getSearchUrl() : null,
+        ...(searchErrors > 0 && { searchErrors })
+      },
+      statistics: {
+        totalDependents: dependents.length,
+        directDependents: dependents.filter(dep => dep.depth === 1).length,
+        transitiveDependents: dependents.filter(dep => dep.depth > 1).length,
+        maxDepth: graph.getStatistics().maxDepth,
+        maxDepthReached: maxDepth,
+        truncated
+      }
+    };
+  },
+
+  /**
+   * Blast radius of a compromise: the weekly downloads of the dependents,
+   * each package counted once at its shallowest depth and divided by that
+   * depth, so direct dependents weigh most
+   *
+   * Downloads are looked up for the closest maxDownloadLookups packages,
+   * concurrency at a time; projects from lockfiles (roots and workspace
+   * packages) are not published and count only in affectedProjects. Lookups
+   * that fail are left out of the sums and counted in downloadLookupsFailed.
+   * The score maps weighted downloads onto 0-100 on a log scale (1e9
+   * weighted weekly downloads → 100).
+   *
+   * Adds weeklyDownloads to each dependent whose lookup succeeded.
+   */
+  async calculateBlastRadius(dependents, { maxDownloadLookups = 50, concurrency = 4 } = {}) {
+    const depthByName = new Map();
+    for (const dep of dependents) {
+      if (dep.project) continue;
+      depthByName.set(dep.name, Math.min(dep.depth, depthByName.get(dep.name) ?? Infinity));
+    }
+
+    const lookups = [...depthByName.entries()]
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, maxDownloadLookups);
+
+    const cache = new RequestCache(name => registryService.fetchWeeklyDownloads(name), { concurrency });
+    const results = await Promise.all(lookups.map(([name]) => cache.get(name)));
+
+    const downloads = new Map();
+    lookups.forEach(([name], i) => {
+      if (results[i] !== null) downloads.set(name, results[i]);
+    });
+    const failedLookups = lookups.length - downloads.size;
+
+    let weeklyDownloads = 0;
+    let weightedDownloads = 0;
+    for (const [name, weekly] of downloads) {
+      weeklyDownloads += weekly;
+      weightedDownloads += weekly / depthByName.get(name);
+    }
+
+    for (const dep of dependents) {
+      if (downloads.has(dep.name)) dep.weeklyDownloads = downloads.get(dep.name);
+    }
+
+    const score = weightedDownloads > 0
+      ? Math.min(100, Math.round((Math.log10(1 + weightedDownloads) / Math.log10(MAX_WEIGHTED_DOWNLOADS)) * 100))
+      : 0;
+
+    return {
+      score,
+      level: BLAST_RADIUS_LEVELS.find(({ minScore }) => score >= minScore).level,
+      weightedDownloads: Math.round(weightedDownloads),
+      weeklyDownloads,
+      dependentPackages: depthByName.size,
+      affectedProjects: dependents.filter(dep => dep.project).length,
+      downloadLookups: lookups.length,
+      downloadLookupsFailed: failedLookups,
+      downloadsIncomplete: downloads.size < depthByName.size
+    };
+  }
+};
+
+export default dependentsService;
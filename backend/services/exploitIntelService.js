@@ -0,0 +1,285 @@
+/**
+ * Service for exploit-likelihood data used to prioritize vulnerabilities
+ *
+ * Imports two feeds, each from a local file or a URL:
+ * - EPSS scores CSV (optionally gzipped): cve,epss,percentile
+ *   Default URL: EPSS_DATA_URL or https://epss.empiricalsecurity.com/epss_scores-current.csv.gz
+ * - CISA Known Exploited Vulnerabilities catalog JSON
+ *   Default URL: KEV_DATA_URL or https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json
+ *
+ * Each feed is stored as a single record in the 'exploitIntel' collection
+ * and cached in memory after the first lookup.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { gunzipSync } from 'zlib';
+import axios from 'axios';
+import { apiCallWithRetry } from '../utils/rateLimiter.js';
+import { getStorage } from '../storage/index.js';
+import { logger } from '../utils/logger.js';
+
+const COLLECTION = 'exploitIntel';
+
+export const EXPLOIT_INTEL_SOURCES = {
+  epss: {
+    urlVariable: 'EPSS_DATA_URL',
+    defaultUrl: 'https://epss.empiricalsecurity.com/epss_scores-current.csv.gz'
+  },
+  kev: {
+    urlVariable: 'KEV_DATA_URL',
+    defaultUrl: 'https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json'
+  }
+};
+
+const cache = new Map();
+
+/**
+ * Read a feed from a local path or URL, gunzipping when needed
+ */
+async function readFeed(source, options = {}) {
+  let buffer;
+  let location;
+
+  if (options.path) {
+    location = path.resolve(options.path);
+    try {
+      buffer = await fs.readFile(location);
+    } catch {
+      const error = new Error(`${source} data file not found: ${location}`);
+      error.status = 400;
+      throw error;
+    }
+  } else {
+    const { urlVariable, defaultUrl } = EXPLOIT_INTEL_SOURCES[source];
+    location = options.url || process.env[urlVariable] || defaultUrl;
+    const response = await apiCallWithRetry(
+      () => axios.get(location, {
+        responseType: 'arraybuffer',
+        headers: { 'User-Agent': 'ChainGuard-DataCollector/1.0' }
+      }),
+      { maxRetries: 3 }
+    );
+    buffer = Buffer.from(response.data);
+  }
+
+  // gzip magic number
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = gunzipSync(buffer);
+  }
+
+  return { content: buffer.toString('utf8'), location };
+}
+
+/**
+ * Parse the EPSS CSV
+ *
+ * The first line is a comment carrying the model version and score date:
+ * #model_version:v2025.03.14,score_date:2025-06-01T00:00:00+0000
+ */
+function parseEpssCsv(content) {
+  const scores = {};
+  let modelVersion = null;
+  let scoreDate = null;
+  let columns = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    if (line.startsWith('#')) {
+      modelVersion = line.match(/model_version:([^,]+)/)?.[1] || modelVersion;
+      scoreDate = line.match(/score_date:([^,]+)/)?.[1] || scoreDate;
+      continue;
+    }
+
+    const fields = line.split(',').map(field => field.trim());
+    if (!columns) {
+      columns = {
+        cve: fields.indexOf('cve'),
+        epss: fields.indexOf('epss'),
+        percentile: fields.indexOf('percentile')
+      };
+      if (Object.values(columns).some(index => index === -1)) {
+        throw new Error('EPSS CSV is missing the cve, epss or percentile column');
+      }
+      continue;
+    }
+
+    const cve = fields[columns.cve]?.toUpperCase();
+    if (cve) {
+      scores[cve] = [parseFloat(fields[columns.epss]), parseFloat(fields[columns.percentile])];
+    }
+  }
+
+  return { modelVersion, scoreDate, scores };
+}
+
+/**
+ * Parse the CISA KEV catalog
+ */
+function parseKevCatalog(content) {
+  const catalog = JSON.parse(content);
+  if (!Array.isArray(catalog.vulnerabilities)) {
+    throw new Error('KEV catalog has no vulnerabilities array');
+  }
+
+  const entries = {};
+  for (const vuln of catalog.vulnerabilities) {
+    if (!vuln.cveID) continue;
+    entries[vuln.cveID.toUpperCase()] = {
+      dateAdded: vuln.dateAdded,
+      dueDate: vuln.dueDate,
+      vulnerabilityName: vuln.vulnerabilityName,
+      requiredAction: vuln.requiredAction,
+      knownRansomwareCampaignUse: vuln.knownRansomwareCampaignUse
+    };
+  }
+
+  return {
+    catalogVersion: catalog.catalogVersion,
+    dateReleased: catalog.dateReleased,
+    entries
+  };
+}
+
+export const exploitIntelService = {
+  /**
+   * Import EPSS scores
+   *
+   * @param {Object} options - { path } for a local file, or { url } (defaults to EPSS_DATA_URL)
+   */
+  async importEpss(options = {}) {
+    const { content, location } = await readFeed('epss', options);
+    const { modelVersion, scoreDate, scores } = parseEpssCsv(content);
+
+    const record = {
+      importedAt: new Date().toISOString(),
+      source: location,
+      modelVersion,
+      scoreDate,
+      count: Object.keys(scores).length,
+      scores
+    };
+    await getStorage().put(COLLECTION, 'epss', record);
+    cache.set('epss', record);
+
+    logger.info(`Imported ${record.count} EPSS scores from ${location}`);
+
+    return { source: location, modelVersion, scoreDate, count: record.count };
+  },
+
+  /**
+   * Import the CISA KEV catalog
+   *
+   * @param {Object} options - { path } for a local file, or { url } (defaults to KEV_DATA_URL)
+   */
+  async importKev(options = {}) {
+    const { content, location } = await readFeed('kev', options);
+    const { catalogVersion, dateReleased, entries } = parseKevCatalog(content);
+
+    const record = {
+      importedAt: new Date().toISOString(),
+      source: location,
+      catalogVersion,
+      dateReleased,
+      count: Object.keys(entries).length,
+      entries
+    };
+    await getStorage().put(COLLECTION, 'kev', record);
+    cache.set('kev', record);
+
+    logger.info(`Imported ${record.count} KEV entries from ${location}`);
+
+    return { source: location, catalogVersion, dateReleased, count: record.count };
+  },
+
+  /**
+   * Import several feeds, collecting per-feed errors
+   *
+   * @param {Object} options
+   * @param {Array} options.sources - Feeds to import (default: ['epss', 'kev'])
+   * @param {string} options.epssPath / options.epssUrl - Location of the EPSS CSV
+   * @param {string} options.kevPath / options.kevUrl - Location of the KEV catalog
+   */
+  async importAll(options = {}) {
+    const { sources = ['epss', 'kev'] } = options;
+    const results = {};
+
+    if (sources.includes('epss')) {
+      try {
+        results.epss = await this.importEpss({ path: options.epssPath, url: options.epssUrl });
+      } catch (error) {
+        logger.error('Error importing EPSS scores:', error.message);
+        results.epss = { error: error.message };
+      }
+    }
+
+    if (sources.includes('kev')) {
+      try {
+        results.kev = await this.importKev({ path: options.kevPath, url: options.kevUrl });
+      } catch (error) {
+        logger.error('Error importing KEV catalog:', error.message);
+        results.kev = { error: error.message };
+      }
+    }
+
+    return results;
+  },
+
+  async load(source) {
+    if (!cache.has(source)) {
+      cache.set(source, await getStorage().get(COLLECTION, source));
+    }
+    return cache.get(source);
+  },
+
+  /**
+   * Import metadata for both feeds, without the data itself
+   */
+  async getStatus() {
+    const status = {};
+    for (const source of Object.keys(EXPLOIT_INTEL_SOURCES)) {
+      const record = await this.load(source);
+      if (record) {
+        const { scores, entries, ...meta } = record;
+        status[source] = meta;
+      } else {
+        status[source] = null;
+      }
+    }
+    return status;
+  },
+
+  /**
+   * Look up EPSS and KEV data for a set of CVE ids
+   *
+   * @param {Array} cveIds - CVE ids of one vulnerability (a finding and its aliases)
+   * @returns {Object} - { epss, kev }: epss is the highest-scoring CVE or null,
+   *   kev is { known, ... } or null when no KEV catalog has been imported
+   */
+  async lookup(cveIds) {
+    const [epssData, kevData] = await Promise.all([this.load('epss'), this.load('kev')]);
+    const ids = cveIds.map(id => id.toUpperCase());
+
+    let epss = null;
+    for (const cveId of ids) {
+      const entry = epssData?.scores[cveId];
+      if (entry && (!epss || entry[0] > epss.score)) {
+        epss = { cveId, score: entry[0], percentile: entry[1], scoreDate: epssData.scoreDate };
+      }
+    }
+
+    let kev = kevData ? { known: false } : null;
+    for (const cveId of ids) {
+      const entry = kevData?.entries[cveId];
+      if (entry) {
+        kev = { known: true, cveId, ...entry };
+        break;
+      }
+    }
+
+    return { epss, kev };
+  }
+};
+
+export default exploitIntelService;
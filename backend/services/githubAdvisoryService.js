@@ -0,0 +1,279 @@
+/**
+ * Service for mirroring GitHub Security Advisories for the npm ecosystem
+ *
+ * Pages through all reviewed npm advisories from
+ * {GITHUB_API_BASE}/advisories?ecosystem=npm&type=reviewed, sorted by update
+ * time, and stores them locally. Later syncs only request advisories updated
+ * since the last one seen, so the mirror can answer per-package lookups
+ * without spending GitHub quota on every package.
+ *
+ * Storage collections:
+ * - githubAdvisories: raw advisories keyed by GHSA id
+ * - githubAdvisoryIndex: { name, advisories: [ghsaId] } keyed by package name
+ * - syncState: 'github-advisories' → { lastUpdatedAt, lastSyncedAt, ... }
+ */
+
+import axios from 'axios';
+import { apiCallWithRetry, rateLimiters } from '../utils/rateLimiter.js';
+import { getStorage } from '../storage/index.js';
+import { logger } from '../utils/logger.js';
+
+const ADVISORIES_COLLECTION = 'githubAdvisories';
+const INDEX_COLLECTION = 'githubAdvisoryIndex';
+const SYNC_STATE_COLLECTION = 'syncState';
+const SYNC_STATE_ID = 'github-advisories';
+const PER_PAGE = 100;
+
+function getGitHubApiBase() {
+  return process.env.GITHUB_API_BASE || 'https://api.github.com';
+}
+
+function getRefreshIntervalMs() {
+  return parseInt(process.env.GITHUB_ADVISORY_REFRESH_MINUTES || '60') * 60 * 1000;
+}
+
+// Failed background refreshes are retried after 5, 10, 20... minutes, up to
+// the refresh interval
+const RETRY_BASE_MS = 5 * 60 * 1000;
+
+function getRetryDelayMs(failures) {
+  return Math.min(getRefreshIntervalMs(), RETRY_BASE_MS * 2 ** Math.max(0, failures - 1));
+}
+
+/**
+ * Extract the rel="next" URL from a Link header
+ */
+function getNextLink(linkHeader) {
+  if (!linkHeader) return null;
+  const match = linkHeader.split(',').find(part => /rel="next"/.test(part));
+  return match ? match.match(/<([^>]+)>/)?.[1] || null : null;
+}
+
+// { full, promise } of the latest started sync. Every sync goes through it
+// so two syncs never update the per-package index at the same time.
+let inFlightSync = null;
+
+export const githubAdvisoryService = {
+  async getSyncState() {
+    return getStorage().get(SYNC_STATE_COLLECTION, SYNC_STATE_ID);
+  },
+
+  /**
+   * Whether a mirror has been synced at least once
+   */
+  async isMirrorAvailable() {
+    const state = await this.getSyncState();
+    return Boolean(state?.lastSyncedAt);
+  },
+
+  /**
+   * Add advisories to the per-package index
+   */
+  async indexAdvisories(advisories) {
+    const storage = getStorage();
+    const byPackage = new Map();
+
+    for (const advisory of advisories) {
+      for (const vuln of advisory.vulnerabilities || []) {
+        const name = vuln.package?.name;
+        if (!name || vuln.package.ecosystem !== 'npm') continue;
+        if (!byPackage.has(name)) byPackage.set(name, new Set());
+        byPackage.get(name).add(advisory.ghsa_id);
+      }
+    }
+
+    const entries = [];
+    for (const [name, ids] of byPackage) {
+      const existing = await storage.get(INDEX_COLLECTION, name);
+      const merged = new Set([...(existing?.advisories || []), ...ids]);
+      entries.push({ id: name, record: { name, advisories: [...merged] } });
+    }
+
+    await storage.putMany(INDEX_COLLECTION, entries);
+    return entries.length;
+  },
+
+  /**
+   * Sync reviewed npm advisories into the local mirror
+   *
+   * Callers share the running sync when it covers their request (any sync
+   * covers an incremental one, only a full sync covers a full one); otherwise
+   * the new sync starts once the running one has finished.
+   *
+   * @param {Object} options
+   * @param {boolean} options.full - Ignore the stored cursor and re-fetch everything
+   */
+  async syncAdvisories(options = {}) {
+    const full = Boolean(options.full);
+
+    if (inFlightSync && (inFlightSync.full || !full)) {
+      return inFlightSync.promise;
+    }
+
+    const previous = inFlightSync ? inFlightSync.promise.catch(() => null) : Promise.resolve();
+    const promise = previous
+      .then(() => this.runSync({ full }))
+      .finally(() => {
+        if (inFlightSync?.promise === promise) {
+          inFlightSync = null;
+        }
+      });
+
+    inFlightSync = { full, promise };
+    return promise;
+  },
+
+  /**
+   * Fetch and store advisories, use syncAdvisories() instead of calling this
+   * directly
+   */
+  async runSync({ full }) {
+    const storage = getStorage();
+    const state = (await this.getSyncState()) || {};
+    const since = full ? null : state.lastUpdatedAt;
+
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': 'ChainGuard-DataCollector/1.0'
+    };
+    if (process.env.GITHUB_TOKEN) {
+      headers['Authorization'] = `token ${process.env.GITHUB_TOKEN}`;
+    } else {
+      logger.warn('GITHUB_TOKEN is not set, advisory sync is limited to 60 requests/hour');
+    }
+
+    logger.info(`Syncing GitHub advisories (${since ? `updated since ${since}` : 'full'})...`);
+
+    let url = `${getGitHubApiBase()}/advisories`;
+    let params = {
+      ecosystem: 'npm',
+      type: 'reviewed',
+      sort: 'updated',
+      direction: 'asc',
+      per_page: PER_PAGE,
+      ...(since && { updated: `>=${since}` })
+    };
+
+    let fetched = 0;
+    let packagesIndexed = 0;
+    let lastUpdatedAt = since;
+
+    while (url) {
+      const response = await rateLimiters.github.makeRequest(() =>
+        apiCallWithRetry(
+          () => axios.get(url, { params, headers }),
+          { maxRetries: 3 }
+        )
+      );
+
+      const advisories = Array.isArray(response.data) ? response.data : [];
+      if (advisories.length === 0) break;
+
+      await storage.putMany(ADVISORIES_COLLECTION, advisories.map(advisory => ({
+        id: advisory.ghsa_id,
+        record: advisory
+      })));
+      packagesIndexed += await this.indexAdvisories(advisories);
+      fetched += advisories.length;
+
+      // Results are sorted by update time, so the cursor can advance per page
+      for (const advisory of advisories) {
+        if (advisory.updated_at && (!lastUpdatedAt || advisory.updated_at > lastUpdatedAt)) {
+          lastUpdatedAt = advisory.updated_at;
+        }
+      }
+      await storage.put(SYNC_STATE_COLLECTION, SYNC_STATE_ID, { ...state, lastUpdatedAt });
+
+      // The next link already carries all query parameters
+      url = getNextLink(response.headers?.link);
+      params = undefined;
+    }
+
+    const syncState = {
+      lastUpdatedAt,
+      lastSyncedAt: new Date().toISOString(),
+      lastSyncMode: since ? 'incremental' : 'full',
+      lastSyncFetched: fetched
+    };
+    await storage.put(SYNC_STATE_COLLECTION, SYNC_STATE_ID, syncState);
+
+    logger.info(`Synced ${fetched} GitHub advisories`);
+
+    return {
+      mode: syncState.lastSyncMode,
+      fetched,
+      packagesIndexed,
+      lastUpdatedAt,
+      syncedAt: syncState.lastSyncedAt
+    };
+  },
+
+  /**
+   * Start an incremental sync in the background if the mirror is older than
+   * the refresh interval
+   *
+   * Lookups never wait for the sync. A failed sync is recorded in the sync
+   * state (lastAttemptAt, failedAttempts) and not retried before its backoff
+   * has passed.
+   *
+   * @returns {Promise<boolean>} - Whether a sync was started
+   */
+  async refreshIfStale() {
+    if (inFlightSync) {
+      return false;
+    }
+
+    const state = await this.getSyncState();
+    if (!state?.lastSyncedAt) {
+      return false;
+    }
+
+    const now = Date.now();
+    if (now - new Date(state.lastSyncedAt).getTime() < getRefreshIntervalMs()) {
+      return false;
+    }
+    if (state.lastAttemptAt && now - new Date(state.lastAttemptAt).getTime() < getRetryDelayMs(state.failedAttempts || 0)) {
+      return false;
+    }
+
+    const storage = getStorage();
+    await storage.put(SYNC_STATE_COLLECTION, SYNC_STATE_ID, { ...state, lastAttemptAt: new Date(now).toISOString() });
+
+    this.syncAdvisories().catch(async (error) => {
+      logger.warn(`Incremental GitHub advisory sync failed: ${error.message}`);
+      try {
+        const current = (await this.getSyncState()) || {};
+        await storage.put(SYNC_STATE_COLLECTION, SYNC_STATE_ID, {
+          ...current,
+          failedAttempts: (current.failedAttempts || 0) + 1,
+          lastError: error.message
+        });
+      } catch (stateError) {
+        logger.warn(`Error recording failed GitHub advisory sync: ${stateError.message}`);
+      }
+    });
+
+    return true;
+  },
+
+  /**
+   * Get mirrored advisories affecting a package, excluding withdrawn ones
+   */
+  async getAdvisoriesForPackage(packageName) {
+    const storage = getStorage();
+    const index = await storage.get(INDEX_COLLECTION, packageName);
+    if (!index) {
+      return [];
+    }
+
+    const advisories = [];
+    for (const ghsaId of index.advisories) {
+      const advisory = await storage.get(ADVISORIES_COLLECTION, ghsaId);
+      if (advisory && !advisory.withdrawn_at) {
+        advisories.push(advisory);
+      }
+    }
+
+    return advisories;
+  }
+};
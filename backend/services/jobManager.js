@@ -0,0 +1,288 @@
+/**
+ * Background job manager
+ *
+ * Runs long collections (batch collection, training data collection) outside
+ * of the HTTP request. Jobs are executed through RequestQueues in priority
+ * order, and job state is persisted through the storage adapter so status can
+ * be queried after the request has returned.
+ *
+ * Jobs run in lanes: API-triggered jobs share the 'default' lane, which runs
+ * JOB_CONCURRENCY jobs at once (default 2), while scheduled jobs get their own
+ * 'scheduled' lane (SCHEDULED_JOB_CONCURRENCY, default 1) so a long batch
+ * never holds up recurring collections.
+ */
+
+import { randomUUID } from 'crypto';
+import { RateLimiter, RequestQueue } from '../utils/rateLimiter.js';
+import { logger } from '../utils/logger.js';
+
+const JOBS_COLLECTION = 'jobs';
+const PERSIST_INTERVAL_MS = 2000;
+
+export const JOB_LANES = {
+  DEFAULT: 'default',
+  SCHEDULED: 'scheduled'
+};
+
+function parseConcurrency(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  INTERRUPTED: 'interrupted'
+};
+
+const FINISHED_STATUSES = [
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED,
+  JOB_STATUS.INTERRUPTED
+];
+
+export class JobManager {
+  /**
+   * @param {Object} storage - Storage adapter
+   * @param {Object} options
+   * @param {number} options.concurrency - Jobs run at once in the default lane
+   * @param {number} options.scheduledConcurrency - Jobs run at once in the scheduled lane
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.handlers = new Map();
+    this.activeJobs = new Map();
+
+    const {
+      concurrency = parseConcurrency(process.env.JOB_CONCURRENCY, 2),
+      scheduledConcurrency = parseConcurrency(process.env.SCHEDULED_JOB_CONCURRENCY, 1)
+    } = options;
+
+    // Jobs are not rate limited, the queues only bound how many run at once
+    this.lanes = {
+      [JOB_LANES.DEFAULT]: new RequestQueue(new RateLimiter(Infinity, 1000), concurrency),
+      [JOB_LANES.SCHEDULED]: new RequestQueue(new RateLimiter(Infinity, 1000), scheduledConcurrency)
+    };
+  }
+
+  /**
+   * Register a handler for a job type
+   *
+   * Handlers are called with (payload, context) where context exposes:
+   * - jobId
+   * - signal: AbortSignal triggered when the job is cancelled
+   * - setTotal(total)
+   * - reportProgress({ processed, successful, failed })
+   * - addResult(result) / addError(error)
+   * The handler's return value is stored as the job result.
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Enqueue a job and return its initial state
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const { priority = 'normal', lane = JOB_LANES.DEFAULT, metadata = {} } = options;
+
+    if (!this.lanes[lane]) {
+      throw new Error(`Unknown job lane: ${lane}`);
+    }
+
+    const job = {
+      id: randomUUID(),
+      type,
+      status: JOB_STATUS.QUEUED,
+      priority,
+      lane,
+      payload,
+      metadata,
+      progress: {
+        total: null,
+        processed: 0,
+        successful: 0,
+        failed: 0
+      },
+      results: [],
+      errors: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    await this.storage.put(JOBS_COLLECTION, job.id, job);
+
+    this.lanes[lane].enqueue(() => this.runJob(job.id), priority).catch(error => {
+      logger.error(`Job ${job.id} crashed:`, error);
+    });
+
+    return job;
+  }
+
+  /**
+   * Execute a queued job
+   */
+  async runJob(jobId) {
+    const job = await this.storage.get(JOBS_COLLECTION, jobId);
+    if (!job || job.status !== JOB_STATUS.QUEUED) {
+      return; // Cancelled while waiting in the queue
+    }
+
+    const controller = new AbortController();
+    const active = { job, controller, lastPersistedAt: 0, persisting: Promise.resolve() };
+    this.activeJobs.set(jobId, active);
+
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    await this.persist(active, true);
+
+    logger.info(`Job ${jobId} (${job.type}) started`);
+
+    const context = {
+      jobId,
+      signal: controller.signal,
+      setTotal: (total) => {
+        job.progress.total = total;
+        this.persist(active);
+      },
+      reportProgress: (progress) => {
+        Object.assign(job.progress, progress);
+        this.persist(active);
+      },
+      addResult: (result) => {
+        job.results.push(result);
+      },
+      addError: (error) => {
+        job.errors.push(error);
+      }
+    };
+
+    try {
+      const handler = this.handlers.get(job.type);
+      job.result = await handler(job.payload, context);
+      job.status = controller.signal.aborted ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED;
+    } catch (error) {
+      logger.error(`Job ${jobId} (${job.type}) failed:`, error);
+      job.status = controller.signal.aborted ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED;
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.activeJobs.delete(jobId);
+      await this.persist(active, true);
+      logger.info(`Job ${jobId} (${job.type}) ${job.status}`);
+    }
+  }
+
+  /**
+   * Persist job state, throttled unless forced
+   *
+   * Writes of a job are chained so they land in order: a progress write still
+   * in flight can never overwrite the final state.
+   */
+  async persist(active, force = false) {
+    const now = Date.now();
+    if (!force && now - active.lastPersistedAt < PERSIST_INTERVAL_MS) {
+      return active.persisting;
+    }
+    active.lastPersistedAt = now;
+
+    active.persisting = active.persisting.then(async () => {
+      try {
+        await this.storage.put(JOBS_COLLECTION, active.job.id, active.job);
+      } catch (error) {
+        logger.warn(`Error persisting job ${active.job.id}: ${error.message}`);
+      }
+    });
+
+    return active.persisting;
+  }
+
+  /**
+   * Get current job state
+   */
+  async getJob(jobId) {
+    const active = this.activeJobs.get(jobId);
+    if (active) {
+      return active.job;
+    }
+    return this.storage.get(JOBS_COLLECTION, jobId);
+  }
+
+  /**
+   * List jobs, newest first
+   */
+  async listJobs(options = {}) {
+    const { status, type, limit = 50 } = options;
+
+    const jobs = await this.storage.list(JOBS_COLLECTION, {
+      filter: (job) => (!status || job.status === status) && (!type || job.type === type)
+    });
+
+    return jobs
+      .map(job => this.activeJobs.get(job.id)?.job || job)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Cancel a queued or running job
+   *
+   * Queued jobs are cancelled immediately. Running jobs are signalled and
+   * stop at the next point where the handler checks the abort signal.
+   */
+  async cancelJob(jobId) {
+    const active = this.activeJobs.get(jobId);
+    if (active) {
+      active.controller.abort();
+      return active.job;
+    }
+
+    const job = await this.storage.get(JOBS_COLLECTION, jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      job.status = JOB_STATUS.CANCELLED;
+      job.finishedAt = new Date().toISOString();
+      await this.storage.put(JOBS_COLLECTION, jobId, job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Mark jobs left queued or running by a previous process as interrupted
+   */
+  async recoverInterrupted() {
+    const stale = await this.storage.list(JOBS_COLLECTION, {
+      filter: (job) => !FINISHED_STATUSES.includes(job.status) && !this.activeJobs.has(job.id)
+    });
+
+    for (const job of stale) {
+      job.status = JOB_STATUS.INTERRUPTED;
+      job.finishedAt = new Date().toISOString();
+      job.error = 'Server stopped before the job finished';
+      await this.storage.put(JOBS_COLLECTION, job.id, job);
+    }
+
+    if (stale.length > 0) {
+      logger.warn(`Marked ${stale.length} unfinished job(s) as interrupted`);
+    }
+
+    return stale;
+  }
+}
+
+export default JobManager;
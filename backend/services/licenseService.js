@@ -84,9 +84,9 @@ export const licenseService = {
       const deps = await dependenciesService.fetchDependencies(packageName, metadata.version);
       const transitiveLicenses = [];
 
-      for (const dep of deps.dependencies) {
+      for (const dep of deps.dependencies.filter(dep => dep.version && !dep.skipped)) {
         try {
-          const depMetadata = await metadataService.fetchFromNpmRegistry(dep.name, dep.version);
+          const depMetadata = await metadataService.fetchFromNpmRegistry(dep.packageName || dep.name, dep.version);
           const depLicense = this.normalizeLicense(depMetadata.license);
           
           transitiveLicenses.push({
@@ -121,6 +121,73 @@ export const licenseService = {
     }
 
     return licenseInfo;
+  },
+
+  /**
+   * License of each package in a lockfile graph
+   *
+   * Uses the license recorded in the lockfile (package-lock v2+) and falls
+   * back to the registry manifest of the locked version.
+   *
+   * @returns {Map} - License keyed by node id (name@version)
+   */
+  async resolveGraphLicenses(graph) {
+    const licenses = new Map();
+
+    for (const node of graph.dependencyGraph.nodes) {
+      if (node.type === 'root') continue;
+
+      if (node.license || node.workspace) {
+        licenses.set(node.id, this.normalizeLicense(node.license));
+        continue;
+      }
+
+      try {
+        const depMetadata = await metadataService.fetchFromNpmRegistry(node.name, node.version);
+        licenses.set(node.id, this.normalizeLicense(depMetadata.license));
+      } catch (error) {
+        // Workspace, git and file packages have no registry manifest
+        licenses.set(node.id, 'UNKNOWN');
+      }
+    }
+
+    return licenses;
+  },
+
+  /**
+   * License information for every package in a stored lockfile graph
+   */
+  async getGraphLicenseInfo(graph) {
+    const licenses = await this.resolveGraphLicenses(graph);
+
+    const transitiveLicenses = graph.dependencyGraph.nodes
+      .filter(node => node.type !== 'root')
+      .map(node => ({
+        package: node.id,
+        license: licenses.get(node.id),
+        spdxId: licenses.get(node.id),
+        depth: node.depth,
+        dev: node.dev,
+        compatibility: 'compatible' // Simplified
+      }));
+
+    const licenseCounts = {};
+    transitiveLicenses.forEach(tl => {
+      licenseCounts[tl.license] = (licenseCounts[tl.license] || 0) + 1;
+    });
+
+    return {
+      package: graph.package,
+      graphId: graph.id,
+      transitiveLicenses,
+      licenseSummary: {
+        totalPackages: transitiveLicenses.length,
+        uniqueLicenses: Object.keys(licenseCounts),
+        licenseDistribution: licenseCounts,
+        conflicts: [], // Would need more sophisticated analysis
+        riskLevel: 'low' // Simplified
+      }
+    };
   }
 };
 
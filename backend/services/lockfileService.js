@@ -0,0 +1,712 @@
+/**
+ * Service for building dependency graphs from lockfiles
+ *
+ * Supports:
+ * - package-lock.json / npm-shrinkwrap.json, lockfileVersion 1, 2 and 3
+ * - yarn.lock, classic (v1) and berry (v2+)
+ * - pnpm-lock.yaml, lockfileVersion 5.x, 6.x and 9.x
+ *
+ * Each parser reduces its format to the same shape, packages keyed by a
+ * format-specific key with their dependencies already resolved to keys, from
+ * which the graph is built in the structure returned by
+ * dependenciesService.getIndirectDependencies, with exact versions, integrity
+ * hashes and dev/optional flags. Graphs are stored so other endpoints can use
+ * them in place of a registry package (graphId).
+ */
+
+import path from 'path';
+import yaml from 'js-yaml';
+import semver from 'semver';
+import { getStorage } from '../storage/index.js';
+import { DependencyGraphRepository } from '../storage/dependencyGraphRepository.js';
+import { DependencyGraph } from '../utils/dependencyGraph.js';
+
+export const LOCKFILE_FORMATS = ['package-lock', 'yarn', 'pnpm'];
+
+let repository = null;
+
+function getRepository() {
+  if (!repository) {
+    repository = new DependencyGraphRepository(getStorage());
+  }
+  return repository;
+}
+
+function parseError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Split a 'name@range' descriptor, keeping the scope's '@'
+ */
+function splitDescriptor(descriptor) {
+  const at = descriptor.indexOf('@', descriptor.startsWith('@') ? 1 : 0);
+  return at === -1
+    ? { name: descriptor, range: '' }
+    : { name: descriptor.slice(0, at), range: descriptor.slice(at + 1) };
+}
+
+function dependencyList(map, type) {
+  return Object.entries(map || {}).map(([name, range]) => ({ name, range, type }));
+}
+
+// ---------------------------------------------------------------------------
+// package-lock.json
+// ---------------------------------------------------------------------------
+
+/**
+ * Flatten a v1 lockfile's nested dependencies into v2-style path entries
+ */
+function flattenPackageLockV1(lock) {
+  const entries = {
+    '': { name: lock.name, version: lock.version }
+  };
+
+  const walk = (dependencies, parentPath) => {
+    for (const [name, entry] of Object.entries(dependencies || {})) {
+      const entryPath = `${parentPath ? `${parentPath}/` : ''}node_modules/${name}`;
+      let version = entry.version;
+      let packageName;
+
+      // Aliases are recorded as 'npm:real-name@1.2.3'
+      if (version?.startsWith('npm:')) {
+        const target = splitDescriptor(version.slice(4));
+        packageName = target.name;
+        version = target.range;
+      }
+
+      entries[entryPath] = {
+        ...(packageName && { name: packageName }),
+        version,
+        resolved: entry.resolved,
+        integrity: entry.integrity,
+        dev: entry.dev,
+        optional: entry.optional,
+        dependencies: entry.requires
+      };
+      walk(entry.dependencies, entryPath);
+    }
+  };
+  walk(lock.dependencies, '');
+
+  return entries;
+}
+
+function parsePackageLock(lock) {
+  const lockfileVersion = lock.lockfileVersion || 1;
+  const entries = lock.packages || flattenPackageLockV1(lock);
+  const packages = new Map();
+
+  // Node's module resolution: look in each enclosing node_modules up to the root
+  const resolveKey = (fromPath, name) => {
+    let base = fromPath;
+    for (;;) {
+      const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+      if (entries[candidate]) {
+        const entry = entries[candidate];
+        return entry.link ? entry.resolved : candidate;
+      }
+      if (!base) return null;
+      const index = base.lastIndexOf('/node_modules/');
+      base = index === -1 ? '' : base.slice(0, index);
+    }
+  };
+
+  const dependenciesOf = (entryPath, entry) => {
+    // devDependencies only matter for the root and workspace packages
+    const isInstalled = entryPath.includes('node_modules/');
+    const peerMeta = entry.peerDependenciesMeta || {};
+    return [
+      ...dependencyList(entry.dependencies, 'prod'),
+      ...dependencyList(entry.optionalDependencies, 'optional'),
+      ...dependencyList(entry.peerDependencies, 'peer')
+        .map(dep => (peerMeta[dep.name]?.optional ? { ...dep, type: 'optional' } : dep)),
+      ...(isInstalled ? [] : dependencyList(entry.devDependencies, 'dev'))
+    ].map(dep => ({ ...dep, key: resolveKey(entryPath, dep.name) }));
+  };
+
+  for (const [entryPath, entry] of Object.entries(entries)) {
+    if (entryPath === '' || entry.link) continue;
+
+    packages.set(entryPath, {
+      name: entry.name || entryPath.slice(entryPath.lastIndexOf('node_modules/') + 'node_modules/'.length),
+      version: entry.version,
+      resolved: entry.resolved || null,
+      integrity: entry.integrity || null,
+      license: entry.license || null,
+      hasInstallScript: entry.hasInstallScript === true ? true : undefined,
+      workspace: !entryPath.includes('node_modules/'),
+      dev: Boolean(entry.dev),
+      optional: Boolean(entry.optional),
+      dependencies: dependenciesOf(entryPath, entry)
+    });
+  }
+
+  const rootEntry = entries[''] || {};
+  const rootDependencies = lock.packages ? dependenciesOf('', rootEntry) : null;
+
+  // Workspace packages are linked into the root node_modules without being listed
+  if (rootDependencies) {
+    for (const [entryPath, entry] of Object.entries(entries)) {
+      const name = entryPath.slice('node_modules/'.length);
+      if (entry.link && !name.includes('/node_modules/') && !rootDependencies.some(dep => dep.name === name)) {
+        rootDependencies.push({ name, range: `file:${entry.resolved}`, type: 'prod', key: entry.resolved });
+      }
+    }
+  }
+
+  return {
+    format: 'package-lock',
+    lockfileVersion,
+    root: { name: rootEntry.name || lock.name, version: rootEntry.version || lock.version },
+    // v1 lockfiles do not record the root package's own dependency ranges
+    rootDependencies,
+    resolveRoot: (name) => resolveKey('', name),
+    packages
+  };
+}
+
+// ---------------------------------------------------------------------------
+// yarn.lock
+// ---------------------------------------------------------------------------
+
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+/**
+ * Split 'key value' where either side may be quoted
+ */
+function splitKeyValue(text) {
+  const match = text.match(/^("(?:[^"\\]|\\.)*"|\S+)\s+(.*)$/);
+  return match ? [unquote(match[1]), unquote(match[2].trim())] : [unquote(text), ''];
+}
+
+/**
+ * Parse the yarn classic (v1) lockfile format into descriptor → entry
+ */
+function parseYarnClassicText(content) {
+  const descriptors = {};
+  let current = null;
+  let section = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+
+    const indent = line.length - line.trimStart().length;
+    const text = line.trim();
+
+    if (indent === 0) {
+      current = {};
+      section = null;
+      const keys = text.replace(/:$/, '').match(/"[^"]*"|[^,\s][^,]*/g) || [];
+      for (const key of keys) {
+        descriptors[unquote(key.trim())] = current;
+      }
+    } else if (indent <= 2 && current) {
+      if (text.endsWith(':')) {
+        section = text.slice(0, -1);
+        current[section] = {};
+      } else {
+        const [key, value] = splitKeyValue(text);
+        current[key] = value;
+        section = null;
+      }
+    } else if (section && current) {
+      const [key, value] = splitKeyValue(text);
+      current[section][key] = value;
+    }
+  }
+
+  return descriptors;
+}
+
+function buildYarnPackages(descriptors, toPackage) {
+  const keyByEntry = new Map();
+  const keyByDescriptor = new Map();
+
+  for (const [descriptor, entry] of Object.entries(descriptors)) {
+    if (!keyByEntry.has(entry)) keyByEntry.set(entry, descriptor);
+    keyByDescriptor.set(descriptor, keyByEntry.get(entry));
+  }
+
+  // Berry keys normalize bare ranges to the npm: protocol
+  const resolveKey = (name, range) =>
+    keyByDescriptor.get(`${name}@${range}`) || keyByDescriptor.get(`${name}@npm:${range}`) || null;
+
+  const packages = new Map();
+  for (const [entry, key] of keyByEntry) {
+    const pkg = toPackage(entry, key);
+    pkg.dependencies = pkg.dependencies.map(dep => ({ ...dep, key: resolveKey(dep.name, dep.range) }));
+    packages.set(key, pkg);
+  }
+
+  return { packages, resolveKey };
+}
+
+function parseYarnClassic(content) {
+  const descriptors = parseYarnClassicText(content);
+
+  const { packages, resolveKey } = buildYarnPackages(descriptors, (entry, key) => {
+    const { name, range } = splitDescriptor(key);
+    return {
+      name: range.startsWith('npm:') ? splitDescriptor(range.slice(4)).name : name,
+      version: entry.version,
+      resolved: entry.resolved || null,
+      integrity: entry.integrity || null,
+      dependencies: [
+        ...dependencyList(entry.dependencies, 'prod'),
+        ...dependencyList(entry.optionalDependencies, 'optional')
+      ]
+    };
+  });
+
+  return {
+    format: 'yarn',
+    lockfileVersion: 1,
+    root: {},
+    rootDependencies: null,
+    resolveRoot: resolveKey,
+    packages
+  };
+}
+
+function parseYarnBerry(document) {
+  const { __metadata: metadata, ...descriptors } = document;
+  const entries = {};
+  for (const [keys, entry] of Object.entries(descriptors)) {
+    for (const descriptor of keys.split(/,\s*/)) {
+      entries[descriptor.trim()] = entry;
+    }
+  }
+
+  const { packages, resolveKey } = buildYarnPackages(entries, (entry, key) => {
+    const meta = entry.dependenciesMeta || {};
+    const peerMeta = entry.peerDependenciesMeta || {};
+    return {
+      name: splitDescriptor(entry.resolution || key).name,
+      version: entry.version,
+      resolved: entry.resolution || null,
+      // Berry checksums hash Yarn's cache archive, they are not SRI integrity strings
+      integrity: null,
+      checksum: entry.checksum || null,
+      workspace: /@workspace:/.test(entry.resolution || ''),
+      dependencies: [
+        ...dependencyList(entry.dependencies, 'prod')
+          .map(dep => (meta[dep.name]?.optional ? { ...dep, type: 'optional' } : dep)),
+        ...dependencyList(entry.peerDependencies, 'peer')
+          .filter(dep => !peerMeta[dep.name]?.optional)
+      ]
+    };
+  });
+
+  const rootKey = [...packages.keys()].find(key => packages.get(key).resolved?.endsWith('@workspace:.'));
+  const rootPackage = rootKey ? packages.get(rootKey) : null;
+  if (rootKey) packages.delete(rootKey);
+
+  return {
+    format: 'yarn',
+    lockfileVersion: metadata?.version ? `berry-${metadata.version}` : 'berry',
+    root: rootPackage ? { name: rootPackage.name, version: rootPackage.version } : {},
+    rootDependencies: rootPackage ? rootPackage.dependencies : null,
+    resolveRoot: resolveKey,
+    packages
+  };
+}
+
+// ---------------------------------------------------------------------------
+// pnpm-lock.yaml
+// ---------------------------------------------------------------------------
+
+/**
+ * Name and version from a package key, without the peer suffix
+ *
+ * v5: /name/1.2.3_peer@1.0.0, v6: /name@1.2.3(peer@1.0.0), v9: name@1.2.3(peer@1.0.0)
+ */
+function parsePnpmKey(major, key) {
+  const bare = key.replace(/^\//, '').replace(/\(.*$/, '');
+  if (major < 6) {
+    const index = bare.lastIndexOf('/');
+    return { name: bare.slice(0, index), version: bare.slice(index + 1).replace(/_.*$/, '') };
+  }
+  const { name, range } = splitDescriptor(bare);
+  return { name, version: range };
+}
+
+/**
+ * Package key for a dependency reference
+ *
+ * References are a version (with peer suffix), an alias target
+ * ('/real/1.0.0', '/real@1.0.0' or 'real@1.0.0') or 'link:path'.
+ */
+function pnpmKey(major, name, reference) {
+  if (major >= 9) {
+    return /^\d/.test(reference) ? `${name}@${reference}` : reference;
+  }
+  if (reference.startsWith('/')) return reference;
+  return major >= 6 ? `/${name}@${reference}` : `/${name}/${reference}`;
+}
+
+function parsePnpm(document) {
+  const major = parseInt(String(document.lockfileVersion), 10);
+  const importers = document.importers || {
+    '.': {
+      dependencies: document.dependencies,
+      devDependencies: document.devDependencies,
+      optionalDependencies: document.optionalDependencies,
+      specifiers: document.specifiers
+    }
+  };
+  // v9 keeps resolution metadata in packages and the dependency graph in snapshots
+  const snapshots = document.snapshots || document.packages || {};
+  const metadata = document.packages || {};
+  const packages = new Map();
+
+  const toDependency = (name, value, type, importerPath, specifiers) => {
+    const reference = typeof value === 'object' ? value.version : String(value);
+    const range = typeof value === 'object' ? value.specifier : (specifiers?.[name] || reference);
+
+    if (reference.startsWith('link:')) {
+      const target = path.posix.join(importerPath, reference.slice(5));
+      return { name, range, type, key: importers[target] ? `importer:${target}` : null };
+    }
+    return { name, range, type, key: pnpmKey(major, name, reference) };
+  };
+
+  const importerDependencies = (importerPath) => {
+    const importer = importers[importerPath] || {};
+    return [
+      ['dependencies', 'prod'],
+      ['optionalDependencies', 'optional'],
+      ['devDependencies', 'dev']
+    ].flatMap(([field, type]) =>
+      Object.entries(importer[field] || {}).map(([name, value]) =>
+        toDependency(name, value, type, importerPath, importer.specifiers)
+      )
+    );
+  };
+
+  for (const [key, snapshot] of Object.entries(snapshots)) {
+    const parsed = parsePnpmKey(major, key);
+    const meta = metadata[key.replace(/\(.*$/, '')] || snapshot;
+
+    packages.set(key, {
+      name: meta.name || parsed.name,
+      version: meta.version || parsed.version,
+      resolved: meta.resolution?.tarball || null,
+      integrity: meta.resolution?.integrity || null,
+      hasInstallScript: meta.requiresBuild === true ? true : undefined,
+      dev: typeof snapshot.dev === 'boolean' ? snapshot.dev : undefined,
+      optional: typeof snapshot.optional === 'boolean' ? snapshot.optional : undefined,
+      dependencies: [
+        ...Object.entries(snapshot.dependencies || {})
+          .map(([name, value]) => toDependency(name, value, 'prod', '.')),
+        ...Object.entries(snapshot.optionalDependencies || {})
+          .map(([name, value]) => toDependency(name, value, 'optional', '.'))
+      ]
+    });
+  }
+
+  // Workspace packages linked from the root importer
+  for (const importerPath of Object.keys(importers)) {
+    if (importerPath === '.') continue;
+    packages.set(`importer:${importerPath}`, {
+      name: path.posix.basename(importerPath),
+      version: `link:${importerPath}`,
+      resolved: null,
+      integrity: null,
+      workspace: true,
+      dependencies: importerDependencies(importerPath)
+    });
+  }
+
+  return {
+    format: 'pnpm',
+    lockfileVersion: String(document.lockfileVersion),
+    root: {},
+    rootDependencies: importerDependencies('.'),
+    packages
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Graph construction
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the graph from a parsed lockfile, breadth first so each package gets
+ * its shortest depth
+ */
+function buildGraph(parsed) {
+  const graph = new DependencyGraph();
+  const root = graph.setRoot({ name: parsed.root.name || 'root', version: parsed.root.version || '0.0.0' });
+  const lockfileFlags = new Map();
+  const unresolved = [];
+  const visited = new Set();
+  const queue = [{ id: root.id, dependencies: parsed.rootDependencies, depth: 0 }];
+
+  while (queue.length > 0) {
+    const { id, dependencies, depth } = queue.shift();
+
+    for (const dep of dependencies) {
+      const pkg = dep.key ? parsed.packages.get(dep.key) : null;
+      if (!pkg) {
+        // Optional and peer dependencies are legitimately missing (other platforms, not installed)
+        if (dep.type === 'prod' || dep.type === 'dev') {
+          unresolved.push({ from: id, name: dep.name, range: dep.range });
+        }
+        continue;
+      }
+
+      const target = graph.addNode({
+        name: pkg.name,
+        version: pkg.version,
+        depth: depth + 1,
+        type: depth === 0 ? 'direct' : 'transitive',
+        parent: id,
+        resolved: pkg.resolved || null,
+        integrity: pkg.integrity || null,
+        ...(pkg.checksum && { checksum: pkg.checksum }),
+        ...(pkg.license && { license: pkg.license }),
+        ...(pkg.hasInstallScript && { hasInstallScript: true }),
+        ...(pkg.workspace && { workspace: true })
+      });
+      lockfileFlags.set(target.id, pkg);
+      graph.addEdge(id, target.id, { range: dep.range, dependencyType: dep.type });
+
+      if (!visited.has(dep.key)) {
+        visited.add(dep.key);
+        queue.push({ id: target.id, dependencies: pkg.dependencies, depth: depth + 1 });
+      }
+    }
+  }
+
+  // Flags the lockfile does not record are derived from reachability
+  const production = graph.reachableFrom(root.id, ['prod', 'optional', 'peer']);
+  const required = graph.reachableFrom(root.id, ['prod', 'peer', 'dev']);
+  for (const node of graph.nodes.values()) {
+    if (node.type === 'root') continue;
+    const pkg = lockfileFlags.get(node.id);
+    node.dev = pkg.dev ?? !production.has(node.id);
+    node.optional = pkg.optional ?? !required.has(node.id);
+  }
+
+  graph.markCycles();
+
+  return { graph, unresolved };
+}
+
+/**
+ * Root dependencies as recorded by the lockfile, else from package.json, else
+ * inferred as the packages no other package depends on
+ */
+function rootDependenciesFor(parsed, packageJson) {
+  if (parsed.rootDependencies) return parsed.rootDependencies;
+
+  if (packageJson?.dependencies || packageJson?.devDependencies || packageJson?.optionalDependencies) {
+    return [
+      ...dependencyList(packageJson.dependencies, 'prod'),
+      ...dependencyList(packageJson.optionalDependencies, 'optional'),
+      ...dependencyList(packageJson.devDependencies, 'dev')
+    ].map(dep => ({ ...dep, key: parsed.resolveRoot(dep.name, dep.range) }));
+  }
+
+  const dependedOn = new Set();
+  for (const pkg of parsed.packages.values()) {
+    for (const dep of pkg.dependencies) {
+      if (dep.key) dependedOn.add(dep.key);
+    }
+  }
+
+  // Nested package-lock v1 entries are always another package's dependency
+  const candidates = [...parsed.packages.keys()].filter(key => !key.includes('/node_modules/'));
+  const roots = candidates.filter(key => !dependedOn.has(key));
+
+  // Packages only depended on within a cycle are roots too
+  const reached = new Set();
+  const reach = (key) => {
+    const stack = [key];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (reached.has(current)) continue;
+      reached.add(current);
+      for (const dep of parsed.packages.get(current)?.dependencies || []) {
+        if (dep.key) stack.push(dep.key);
+      }
+    }
+  };
+  roots.forEach(reach);
+  for (const key of candidates) {
+    if (!reached.has(key)) {
+      roots.push(key);
+      reach(key);
+    }
+  }
+
+  return roots.map(key => {
+    const pkg = parsed.packages.get(key);
+    return {
+      name: pkg.name,
+      range: pkg.version,
+      type: pkg.dev ? 'dev' : pkg.optional ? 'optional' : 'prod',
+      key
+    };
+  });
+}
+
+export const lockfileService = {
+  /**
+   * Detect the lockfile format from the file name or content
+   *
+   * @returns {string} - 'package-lock', 'yarn' or 'pnpm'
+   */
+  detectFormat(content, filename) {
+    const base = filename ? path.basename(filename) : '';
+    if (/^(package-lock|npm-shrinkwrap)\.json$/.test(base)) return 'package-lock';
+    if (base === 'yarn.lock') return 'yarn';
+    if (/^pnpm-lock\.ya?ml$/.test(base)) return 'pnpm';
+
+    const text = content.trimStart();
+    if (text.startsWith('{')) return 'package-lock';
+    if (/^# yarn lockfile v1/m.test(text) || /^__metadata:/m.test(text)) return 'yarn';
+    if (/^lockfileVersion:/m.test(text)) return 'pnpm';
+
+    throw parseError('Could not detect the lockfile format, pass format or filename');
+  },
+
+  /**
+   * Parse a lockfile into the common package shape
+   *
+   * @param {string|Object} content - Lockfile text, or an already parsed package-lock object
+   * @param {Object} options - { format, filename }
+   */
+  parse(content, options = {}) {
+    const text = typeof content === 'string' ? content : null;
+    const format = options.format || (text === null ? 'package-lock' : this.detectFormat(text, options.filename));
+
+    if (!LOCKFILE_FORMATS.includes(format)) {
+      throw parseError(`format must be one of: ${LOCKFILE_FORMATS.join(', ')}`);
+    }
+
+    try {
+      if (format === 'package-lock') {
+        const lock = text === null ? content : JSON.parse(text);
+        if (!lock.packages && !lock.dependencies) {
+          throw new Error('no packages or dependencies');
+        }
+        return parsePackageLock(lock);
+      }
+
+      if (format === 'yarn') {
+        return /^__metadata:/m.test(text) ? parseYarnBerry(yaml.load(text)) : parseYarnClassic(text);
+      }
+
+      const document = yaml.load(text);
+      if (!document?.lockfileVersion) {
+        throw new Error('missing lockfileVersion');
+      }
+      return parsePnpm(document);
+    } catch (error) {
+      throw parseError(`Invalid ${format} lockfile: ${error.message}`);
+    }
+  },
+
+  /**
+   * Build and store the dependency graph of a lockfile
+   *
+   * @param {string|Object} content - Lockfile text, or a parsed package-lock object
+   * @param {Object} options
+   * @param {string} options.format - 'package-lock', 'yarn' or 'pnpm' (detected when omitted)
+   * @param {string} options.filename - Original file name, used for detection
+   * @param {Object} options.packageJson - The project's package.json, supplies the
+   *   root name, version and direct dependencies where the lockfile lacks them
+   *   (package-lock v1, yarn classic)
+   * @returns {Object} - Graph in the getIndirectDependencies structure, with graphId
+   */
+  async ingest(content, options = {}) {
+    const parsed = this.parse(content, options);
+    const { packageJson } = options;
+
+    if (packageJson?.name) {
+      parsed.root = { name: packageJson.name, version: packageJson.version || parsed.root.version };
+    }
+    parsed.rootDependencies = rootDependenciesFor(parsed, packageJson);
+
+    const { graph: dependencyGraph, unresolved } = buildGraph(parsed);
+    const { nodes, edges } = dependencyGraph.toJSON();
+    const [root, ...dependencies] = nodes;
+    const statistics = dependencyGraph.getStatistics();
+
+    const graph = {
+      package: {
+        name: root.name,
+        version: root.version
+      },
+      lockfile: {
+        format: parsed.format,
+        lockfileVersion: parsed.lockfileVersion,
+        filename: options.filename || null
+      },
+      dependencyGraph: {
+        nodes,
+        edges
+      },
+      transitiveDependencies: dependencies.map(node => ({
+        name: node.name,
+        version: node.version,
+        type: node.type,
+        depth: node.depth,
+        parent: dependencyGraph.getNode(node.parent).name,
+        parentId: node.parent,
+        dev: node.dev,
+        optional: node.optional
+      })),
+      unresolved,
+      statistics: {
+        totalTransitiveDependencies: dependencies.length,
+        directDependencies: dependencies.filter(node => node.type === 'direct').length,
+        devDependencies: dependencies.filter(node => node.dev).length,
+        optionalDependencies: dependencies.filter(node => node.optional).length,
+        unresolvedDependencies: unresolved.length,
+        totalEdges: statistics.totalEdges,
+        cycleEdges: statistics.cycleEdges,
+        maxDepth: statistics.maxDepth,
+        averageDepth: statistics.averageDepth
+      }
+    };
+
+    const saved = await getRepository().save(graph, { source: `lockfile:${parsed.format}` });
+    return { graphId: saved.id, ...graph };
+  },
+
+  /**
+   * Load a stored graph, throwing a 404 error when it does not exist
+   */
+  async getGraph(graphId) {
+    const graph = await getRepository().get(graphId);
+    if (!graph) {
+      const error = new Error(`Dependency graph ${graphId} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return graph;
+  },
+
+  async listGraphs() {
+    return getRepository().list();
+  },
+
+  /**
+   * Registry packages of a graph as { name, version } (root and workspace
+   * packages excluded), for auditing, license and SBOM lookups
+   */
+  graphPackages(graph) {
+    return graph.dependencyGraph.nodes
+      .filter(node => node.type !== 'root' && !node.workspace && semver.valid(node.version))
+      .map(node => ({ name: node.name, version: node.version }));
+  }
+};
+
+export default lockfileService;
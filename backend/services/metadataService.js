@@ -12,11 +12,12 @@ const NPM_DOWNLOADS_BASE = 'https://api.npmjs.org';
 
 export const metadataService = {
   /**
-   * Fetch metadata from npm registry
+   * Fetch the registry document (packument) of a package as published,
+   * without download statistics
    */
-  async fetchFromNpmRegistry(packageName, version = 'latest') {
+  async fetchPackument(packageName) {
     try {
-      const response = await rateLimiters.npm.makeRequest(() =>
+      const response = await rateLimiters.npmRegistry.makeRequest(() =>
         apiCallWithRetry(
           () => axios.get(`${NPM_REGISTRY_BASE}/${packageName}`, {
             headers: {
@@ -27,8 +28,21 @@ export const metadataService = {
           { maxRetries: 3 }
         )
       );
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Package ${packageName} not found`);
+      }
+      throw error;
+    }
+  },
 
-      const packageData = response.data;
+  /**
+   * Fetch metadata from npm registry
+   */
+  async fetchFromNpmRegistry(packageName, version = 'latest') {
+    try {
+      const packageData = await this.fetchPackument(packageName);
       
       // Determine version to use
       let targetVersion = version;
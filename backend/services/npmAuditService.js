@@ -0,0 +1,104 @@
+/**
+ * Service for auditing packages against the npm registry's advisory database
+ *
+ * Uses the bulk advisory endpoint npm audit itself calls:
+ * POST {NPM_REGISTRY_BASE}/-/npm/v1/security/advisories/bulk
+ *
+ * The request body maps package names to the versions to check, e.g.
+ * { "lodash": ["4.17.20"], "minimist": ["0.0.8", "1.2.0"] }, and the
+ * response maps each name to the advisories affecting any of those versions.
+ */
+
+import axios from 'axios';
+import { apiCallWithRetry, rateLimiters } from '../utils/rateLimiter.js';
+import { isConcreteVersion, isVersionInRange } from '../utils/versionRanges.js';
+
+function getRegistryBase() {
+  return (process.env.NPM_REGISTRY_BASE || 'https://registry.npmjs.org').replace(/\/$/, '');
+}
+
+/**
+ * Group a dependency set into the { name: [versions] } body the endpoint expects
+ *
+ * Accepts [{ name, version }] or { name: version | [versions] }. Versions
+ * that are not concrete (tags, ranges) cannot be audited and are skipped.
+ */
+function toBulkRequest(packages) {
+  const entries = Array.isArray(packages)
+    ? packages.map(pkg => [pkg.name, pkg.version])
+    : Object.entries(packages);
+
+  const body = {};
+  for (const [name, versions] of entries) {
+    for (const version of [].concat(versions)) {
+      if (!name || !isConcreteVersion(version)) continue;
+      body[name] = [...new Set([...(body[name] || []), version])];
+    }
+  }
+  return body;
+}
+
+/**
+ * Map a bulk advisory to the npm-audit finding shape
+ */
+function toFinding(advisory, name, version) {
+  return {
+    id: advisory.id ? String(advisory.id) : `npm-audit-${name}`,
+    source: 'npm-audit',
+    severity: advisory.severity || 'unknown',
+    title: advisory.title || '',
+    description: advisory.overview || '',
+    recommendation: advisory.recommendation || (advisory.patched_versions ? `Upgrade to version ${advisory.patched_versions}` : ''),
+    dependency: name,
+    version,
+    vulnerableVersionRange: advisory.vulnerable_versions,
+    path: name,
+    cvss: advisory.cvss,
+    cwes: advisory.cwe || [],
+    moreInfo: advisory.url || (advisory.id ? `https://npmjs.com/advisories/${advisory.id}` : null)
+  };
+}
+
+export const npmAuditService = {
+  /**
+   * Audit a resolved dependency set in a single request
+   *
+   * @param {Array|Object} packages - [{ name, version }] or { name: version | [versions] }
+   * @returns {Array} - One npm-audit finding per advisory and affected version
+   */
+  async auditPackages(packages) {
+    const body = toBulkRequest(packages);
+    if (Object.keys(body).length === 0) {
+      return [];
+    }
+
+    const response = await rateLimiters.npm.makeRequest(() =>
+      apiCallWithRetry(
+        () => axios.post(`${getRegistryBase()}/-/npm/v1/security/advisories/bulk`, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'ChainGuard-DataCollector/1.0'
+          }
+        }),
+        { maxRetries: 3 }
+      )
+    );
+
+    const findings = [];
+    for (const [name, advisories] of Object.entries(response.data || {})) {
+      for (const advisory of advisories || []) {
+        // The response is per package, attribute each advisory to the versions it covers
+        const versions = (body[name] || []).filter(version =>
+          !advisory.vulnerable_versions || isVersionInRange(version, advisory.vulnerable_versions)
+        );
+        for (const version of versions) {
+          findings.push(toFinding(advisory, name, version));
+        }
+      }
+    }
+
+    return findings;
+  }
+};
+
+export default npmAuditService;
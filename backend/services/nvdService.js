@@ -0,0 +1,266 @@
+/**
+ * Service for ingesting CVEs from the National Vulnerability Database
+ *
+ * Fetches from NVD CVE API 2.0: {NVD_API_BASE}/rest/json/cves/2.0
+ *
+ * The base URL defaults to https://services.nvd.nist.gov and can be pointed at
+ * a local stand-in with NVD_API_BASE. Setting NVD_API_KEY raises the rate
+ * limit from 5 to 50 requests per 30 seconds.
+ */
+
+import axios from 'axios';
+import { apiCallWithRetry, rateLimiters } from '../utils/rateLimiter.js';
+
+const RESULTS_PER_PAGE = 2000;
+// NVD rejects lastModified ranges longer than 120 days
+const MAX_RANGE_DAYS = 120;
+const NPM_TARGET_SOFTWARE = ['node.js', 'nodejs', 'npm'];
+
+function getNvdApiBase() {
+  return process.env.NVD_API_BASE || 'https://services.nvd.nist.gov';
+}
+
+/**
+ * Split a date window into ranges NVD accepts
+ */
+function splitDateRange(startDate, endDate) {
+  const ranges = [];
+  const maxRangeMs = MAX_RANGE_DAYS * 24 * 60 * 60 * 1000;
+  let rangeStart = new Date(startDate);
+  const end = new Date(endDate);
+
+  while (rangeStart < end) {
+    const rangeEnd = new Date(Math.min(rangeStart.getTime() + maxRangeMs, end.getTime()));
+    ranges.push({ start: rangeStart, end: rangeEnd });
+    rangeStart = rangeEnd;
+  }
+
+  return ranges;
+}
+
+/**
+ * Parse a CPE 2.3 formatted string into its named components
+ *
+ * cpe:2.3:part:vendor:product:version:update:edition:language:sw_edition:target_sw:target_hw:other
+ */
+export function parseCpe(criteria) {
+  const fields = criteria.split(/(?<!\\):/).map(field => field.replace(/\\(.)/g, '$1'));
+  if (fields[0] !== 'cpe' || fields[1] !== '2.3') {
+    return null;
+  }
+
+  return {
+    part: fields[2],
+    vendor: fields[3],
+    product: fields[4],
+    version: fields[5],
+    update: fields[6],
+    targetSoftware: fields[10],
+    criteria
+  };
+}
+
+/**
+ * Check whether a CPE refers to a Node.js/npm package
+ */
+function isNpmCpe(cpe) {
+  return cpe?.part === 'a' && NPM_TARGET_SOFTWARE.includes(cpe.targetSoftware?.toLowerCase());
+}
+
+/**
+ * Convert an NVD cpeMatch entry into an OSV-style affected entry
+ *
+ * OSV's 'introduced' is inclusive, so versionStartExcluding becomes an
+ * 'introduced_exclusive' event (see utils/versionRanges.js).
+ */
+function cpeMatchToAffected(match, cpe) {
+  const events = [];
+  const hasExactVersion = cpe.version && !['*', '-'].includes(cpe.version);
+
+  if (!hasExactVersion) {
+    if (match.versionStartExcluding) {
+      events.push({ introduced_exclusive: match.versionStartExcluding });
+    } else {
+      events.push({ introduced: match.versionStartIncluding || '0' });
+    }
+    if (match.versionEndExcluding) {
+      events.push({ fixed: match.versionEndExcluding });
+    } else if (match.versionEndIncluding) {
+      events.push({ last_affected: match.versionEndIncluding });
+    }
+  }
+
+  return {
+    package: {
+      name: cpe.product,
+      ecosystem: 'npm'
+    },
+    ranges: events.length > 0 ? [{ type: 'SEMVER', events }] : [],
+    versions: hasExactVersion ? [cpe.version] : [],
+    database_specific: {
+      cpe: cpe.criteria,
+      vendor: cpe.vendor,
+      versionStartExcluding: match.versionStartExcluding,
+      versionEndIncluding: match.versionEndIncluding
+    }
+  };
+}
+
+/**
+ * Pick the most specific CVSS metric NVD provides
+ */
+function extractCvss(metrics = {}) {
+  const metric = metrics.cvssMetricV40?.[0] ||
+    metrics.cvssMetricV31?.[0] ||
+    metrics.cvssMetricV30?.[0] ||
+    metrics.cvssMetricV2?.[0];
+
+  if (!metric) {
+    return null;
+  }
+
+  return {
+    version: metric.cvssData?.version,
+    vectorString: metric.cvssData?.vectorString,
+    score: metric.cvssData?.baseScore,
+    severity: (metric.cvssData?.baseSeverity || metric.baseSeverity || '').toLowerCase() || null
+  };
+}
+
+export const nvdService = {
+  /**
+   * Extract npm-relevant affected entries from a CVE's configurations
+   */
+  extractNpmAffected(cve) {
+    const affected = [];
+
+    for (const configuration of cve.configurations || []) {
+      for (const node of configuration.nodes || []) {
+        for (const match of node.cpeMatch || []) {
+          if (!match.vulnerable) continue;
+          const cpe = parseCpe(match.criteria || '');
+          if (isNpmCpe(cpe)) {
+            affected.push(cpeMatchToAffected(match, cpe));
+          }
+        }
+      }
+    }
+
+    return affected;
+  },
+
+  /**
+   * Normalize an NVD CVE into the vulnerability shape produced by fetchFromOSV
+   */
+  normalizeCve(cve, affectedPackages) {
+    const description = cve.descriptions?.find(d => d.lang === 'en')?.value || '';
+    const cvss = extractCvss(cve.metrics);
+
+    return {
+      id: cve.id,
+      source: 'NVD',
+      severity: cvss?.severity || 'unknown',
+      summary: description.split(/(?<=\.)\s/)[0] || '',
+      details: description,
+      affectedPackages,
+      references: (cve.references || []).map(ref => ({
+        type: 'WEB',
+        url: ref.url,
+        tags: ref.tags || []
+      })),
+      publishedDate: cve.published,
+      modifiedDate: cve.lastModified,
+      cvss,
+      cwes: (cve.weaknesses || [])
+        .flatMap(w => w.description || [])
+        .map(d => d.value)
+        .filter(value => value && value.startsWith('CWE-')),
+      status: cve.vulnStatus
+    };
+  },
+
+  /**
+   * Fetch one page of CVEs modified within a date range
+   */
+  async fetchCvePage(start, end, startIndex) {
+    const apiKey = process.env.NVD_API_KEY;
+    const limiter = apiKey ? rateLimiters.nvdAuthenticated : rateLimiters.nvd;
+
+    // The limiter sits inside the retried call so every retry spends rate budget
+    const response = await apiCallWithRetry(
+      () => limiter.makeRequest(() => axios.get(`${getNvdApiBase()}/rest/json/cves/2.0`, {
+        params: {
+          lastModStartDate: start.toISOString(),
+          lastModEndDate: end.toISOString(),
+          startIndex,
+          resultsPerPage: RESULTS_PER_PAGE
+        },
+        headers: {
+          ...(apiKey && { apiKey }),
+          'User-Agent': 'ChainGuard-DataCollector/1.0'
+        }
+      })),
+      // NVD answers 403 when the rate limit is exceeded
+      {
+        maxRetries: 3,
+        baseDelay: 6000,
+        shouldRetry: (error) => {
+          const status = error.response?.status;
+          return status === 403 || status === 429 || (status >= 500 && status < 600);
+        }
+      }
+    );
+
+    return response.data;
+  },
+
+  /**
+   * Collect CVEs modified between two dates and keep npm-relevant ones
+   *
+   * @param {string|Date} startDate - Start of the lastModified window
+   * @param {string|Date} endDate - End of the lastModified window
+   * @returns {Object} - Window, counters and normalized npm-relevant vulnerabilities
+   */
+  async collectCves(startDate, endDate) {
+    // Keyed by CVE id, a CVE can show up on the boundary of two ranges
+    const vulnerabilities = new Map();
+    let totalResults = 0;
+    let fetched = 0;
+
+    for (const range of splitDateRange(startDate, endDate)) {
+      let startIndex = 0;
+      let rangeTotal = 0;
+
+      do {
+        const page = await this.fetchCvePage(range.start, range.end, startIndex);
+        rangeTotal = page.totalResults || 0;
+        const items = page.vulnerabilities || [];
+
+        for (const { cve } of items) {
+          const affected = this.extractNpmAffected(cve);
+          if (affected.length > 0) {
+            vulnerabilities.set(cve.id, this.normalizeCve(cve, affected));
+          }
+        }
+
+        fetched += items.length;
+        startIndex += page.resultsPerPage || items.length;
+
+        if (items.length === 0) break;
+      } while (startIndex < rangeTotal);
+
+      totalResults += rangeTotal;
+    }
+
+    return {
+      window: {
+        start: new Date(startDate).toISOString(),
+        end: new Date(endDate).toISOString()
+      },
+      totalResults,
+      fetched,
+      npmRelevant: vulnerabilities.size,
+      vulnerabilities: [...vulnerabilities.values()]
+    };
+  }
+};
@@ -0,0 +1,146 @@
+/**
+ * Service for querying Sonatype OSS Index
+ *
+ * Fetches from OSS Index REST API v3: {OSS_INDEX_API_BASE}/api/v3/component-report
+ *
+ * Components are identified by package URLs (pkg:npm/name@version) and sent
+ * in batches of up to 128 per request. The API requires basic auth with
+ * OSS_INDEX_USERNAME and OSS_INDEX_TOKEN. The base URL defaults to
+ * https://ossindex.sonatype.org and can be pointed at a local mock with
+ * OSS_INDEX_API_BASE.
+ */
+
+import axios from 'axios';
+import semver from 'semver';
+import { apiCallWithRetry, rateLimiters } from '../utils/rateLimiter.js';
+import { ratingForScore } from '../utils/cvss.js';
+import { normalizeVersionRange } from '../utils/versionRanges.js';
+
+const MAX_COORDINATES_PER_REQUEST = 128;
+
+/**
+ * Join OSS Index versionRanges into an npm range
+ *
+ * OSS Index often uses interval notation ('[1.0.0,1.2.6)'), which semver
+ * cannot evaluate. Those findings get no range, so they are matched on the
+ * reported version instead of being treated as not affecting it.
+ */
+function toVersionRange(versionRanges) {
+  if (!versionRanges?.length) return undefined;
+  const range = normalizeVersionRange(versionRanges.join(' || '));
+  return semver.validRange(range, { loose: true }) ? range : undefined;
+}
+
+function getOssIndexApiBase() {
+  return (process.env.OSS_INDEX_API_BASE || 'https://ossindex.sonatype.org').replace(/\/$/, '');
+}
+
+/**
+ * Build the package URL for an npm package version
+ *
+ * The scope's '@' is percent-encoded as required by the purl spec.
+ */
+export function toPurl(name, version) {
+  return `pkg:npm/${name.replace(/^@/, '%40')}@${version}`;
+}
+
+export const ossIndexService = {
+  /**
+   * Whether OSS Index credentials are configured
+   */
+  isConfigured() {
+    return Boolean(process.env.OSS_INDEX_USERNAME && process.env.OSS_INDEX_TOKEN);
+  },
+
+  /**
+   * Fetch component reports for a set of package versions
+   *
+   * @param {Array} packages - [{ name, version }]
+   * @returns {Map} - Component report keyed by 'name@version'
+   */
+  async getComponentReports(packages) {
+    if (!this.isConfigured()) {
+      throw new Error('OSS_INDEX_USERNAME and OSS_INDEX_TOKEN are required for OSS Index');
+    }
+
+    const byPurl = new Map(packages.map(pkg => [toPurl(pkg.name, pkg.version), `${pkg.name}@${pkg.version}`]));
+    const purls = [...byPurl.keys()];
+    const reports = new Map();
+
+    for (let i = 0; i < purls.length; i += MAX_COORDINATES_PER_REQUEST) {
+      const coordinates = purls.slice(i, i + MAX_COORDINATES_PER_REQUEST);
+
+      const response = await rateLimiters.ossIndex.makeRequest(() =>
+        apiCallWithRetry(
+          () => axios.post(`${getOssIndexApiBase()}/api/v3/component-report`, { coordinates }, {
+            auth: {
+              username: process.env.OSS_INDEX_USERNAME,
+              password: process.env.OSS_INDEX_TOKEN
+            },
+            headers: {
+              'Content-Type': 'application/vnd.ossindex.component-report-request.v1+json',
+              'Accept': 'application/vnd.ossindex.component-report.v1+json',
+              'User-Agent': 'ChainGuard-DataCollector/1.0'
+            }
+          }),
+          { maxRetries: 3 }
+        )
+      );
+
+      for (const report of response.data || []) {
+        // Reports echo the coordinates, decoded or not depending on the input
+        const key = byPurl.get(report.coordinates) || byPurl.get(report.coordinates?.replace('/@', '/%40'));
+        if (key) reports.set(key, report);
+      }
+    }
+
+    return reports;
+  },
+
+  /**
+   * Map an OSS Index vulnerability into the common finding shape
+   */
+  mapVulnerability(vuln, name, version) {
+    return {
+      id: vuln.id,
+      source: 'OSS-Index',
+      cveId: vuln.cve || null,
+      severity: ratingForScore(vuln.cvssScore) || 'unknown',
+      summary: vuln.title || vuln.displayName || '',
+      details: vuln.description || '',
+      cvss: vuln.cvssVector ? { score: vuln.cvssScore, vectorString: vuln.cvssVector } : null,
+      cwes: vuln.cwe ? [vuln.cwe] : [],
+      references: [vuln.reference, ...(vuln.externalReferences || [])]
+        .filter(Boolean)
+        .map(url => ({ type: 'WEB', url })),
+      reportedVersion: version,
+      vulnerableVersionRange: toVersionRange(vuln.versionRanges),
+      versionRanges: vuln.versionRanges || [],
+      dependency: name
+    };
+  },
+
+  /**
+   * Get findings for a set of package versions
+   *
+   * @param {Array} packages - [{ name, version }]
+   * @returns {Array} - Findings, each with dependency and reportedVersion
+   */
+  async getVulnerabilities(packages) {
+    const reports = await this.getComponentReports(packages);
+    const findings = [];
+
+    for (const [key, report] of reports) {
+      const at = key.lastIndexOf('@');
+      const name = key.slice(0, at);
+      const version = key.slice(at + 1);
+      for (const vuln of report.vulnerabilities || []) {
+        findings.push(this.mapVulnerability(vuln, name, version));
+      }
+    }
+
+    return findings;
+  }
+};
+
+export default ossIndexService;
@@ -0,0 +1,344 @@
+/**
+ * Service for querying an offline copy of the OSV npm database
+ *
+ * Imports the OSV ecosystem export (https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip)
+ * from a local path, so vulnerability lookups work without access to
+ * api.osv.dev. The import accepts the zip as downloaded, a directory of
+ * extracted JSON records or a single JSON file (one record or an array).
+ *
+ * Each import writes a fresh index collection and only points the sync state
+ * at it once the whole dump has been read, so a missing file, a corrupt zip or
+ * a cancelled job leaves the previous index in place.
+ *
+ * Storage collections:
+ * - osvIndex[-<import id>]: { name, vulnerabilities: [normalized record] } keyed by package name
+ * - syncState: 'osv-local' → { importedAt, source, records, packages, indexCollection, stagingCollection }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yauzl from 'yauzl';
+import { getStorage } from '../storage/index.js';
+import { matchOsvAffected } from '../utils/versionRanges.js';
+import { logger } from '../utils/logger.js';
+
+// Collection of indexes imported before imports were staged
+const INDEX_COLLECTION = 'osvIndex';
+const SYNC_STATE_COLLECTION = 'syncState';
+const SYNC_STATE_ID = 'osv-local';
+// Index entries are written every FLUSH_INTERVAL records to bound memory use
+const FLUSH_INTERVAL = 5000;
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Directory API clients may import dumps from
+ */
+function getDumpDir() {
+  return path.resolve(process.env.OSV_DUMP_DIR || path.join(__dirname, '../data/osv-dumps'));
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Normalize an OSV record into the vulnerability shape used across sources
+ */
+export function normalizeOsvRecord(vuln) {
+  return {
+    id: vuln.id,
+    source: 'OSV',
+    aliases: vuln.aliases || [],
+    severity: vuln.database_specific?.severity?.toLowerCase() || 'unknown',
+    cvssVectors: (vuln.severity || [])
+      .filter(entry => entry.type?.startsWith('CVSS_'))
+      .map(entry => entry.score),
+    summary: vuln.summary || '',
+    details: vuln.details || '',
+    affectedPackages: vuln.affected || [],
+    references: vuln.references || [],
+    publishedDate: vuln.published || vuln.modified || new Date().toISOString(),
+    modifiedDate: vuln.modified,
+    withdrawnDate: vuln.withdrawn
+  };
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Yield the raw OSV records contained in a zip, directory or JSON file
+ */
+async function* readDumpRecords(dumpPath) {
+  const stats = await fs.stat(dumpPath);
+
+  if (stats.isDirectory()) {
+    const files = (await fs.readdir(dumpPath)).filter(file => file.endsWith('.json')).sort();
+    for (const file of files) {
+      yield JSON.parse(await fs.readFile(path.join(dumpPath, file), 'utf8'));
+    }
+    return;
+  }
+
+  if (dumpPath.endsWith('.zip')) {
+    const zipfile = await yauzl.openPromise(dumpPath);
+    try {
+      for await (const entry of zipfile.eachEntry()) {
+        if (!entry.fileName.endsWith('.json')) continue;
+        const stream = await zipfile.openReadStreamPromise(entry);
+        yield JSON.parse(await readStream(stream));
+      }
+    } finally {
+      zipfile.close();
+    }
+    return;
+  }
+
+  const content = JSON.parse(await fs.readFile(dumpPath, 'utf8'));
+  yield* Array.isArray(content) ? content : [content];
+}
+
+let inFlightImport = null;
+
+export const osvLocalService = {
+  async getImportState() {
+    return getStorage().get(SYNC_STATE_COLLECTION, SYNC_STATE_ID);
+  },
+
+  /**
+   * Whether a dump has been imported at least once
+   */
+  async isIndexAvailable() {
+    const state = await this.getImportState();
+    return Boolean(state?.importedAt);
+  },
+
+  /**
+   * Resolve a dump path, throwing a 400 error when it does not exist
+   *
+   * With restricted set (API requests), the path is resolved against
+   * OSV_DUMP_DIR (default: backend/data/osv-dumps) and must stay inside it,
+   * symlinks included. Error messages never include the path so clients
+   * cannot probe the server's filesystem.
+   *
+   * @param {string} dumpPath - Path to the dump
+   * @param {Object} options - { restricted }
+   */
+  async resolveDumpPath(dumpPath, { restricted = false } = {}) {
+    const dumpDir = getDumpDir();
+    const resolvedPath = restricted ? path.resolve(dumpDir, dumpPath) : path.resolve(dumpPath);
+
+    let realPath;
+    try {
+      realPath = await fs.realpath(resolvedPath);
+    } catch {
+      throw badRequest(restricted ? 'OSV dump not found in the dump directory' : `OSV dump not found: ${resolvedPath}`);
+    }
+
+    if (restricted) {
+      const realDumpDir = await fs.realpath(dumpDir).catch(() => dumpDir);
+      const relative = path.relative(realDumpDir, realPath);
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw badRequest('OSV dump not found in the dump directory');
+      }
+    }
+
+    return realPath;
+  },
+
+  /**
+   * Collection holding the current index
+   */
+  async getIndexCollection() {
+    const state = await this.getImportState();
+    return state?.indexCollection || INDEX_COLLECTION;
+  },
+
+  /**
+   * Merge buffered records into the per-package index
+   */
+  async flushIndex(collection, buffer) {
+    const storage = getStorage();
+    const entries = [];
+
+    for (const [name, vulnerabilities] of buffer) {
+      const existing = await storage.get(collection, name);
+      entries.push({
+        id: name,
+        record: { name, vulnerabilities: [...(existing?.vulnerabilities || []), ...vulnerabilities] }
+      });
+    }
+
+    await storage.putMany(collection, entries);
+    buffer.clear();
+  },
+
+  /**
+   * Import an OSV npm dump, replacing the current index
+   *
+   * Only one import runs at a time, concurrent calls are rejected.
+   *
+   * @param {string} dumpPath - Path to all.zip, a directory of JSON records or a JSON file
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Stops the import when aborted, keeping the previous index
+   * @param {Function} options.onProgress - Called with { records, packages } after each flush
+   */
+  async importDump(dumpPath, options = {}) {
+    if (inFlightImport) {
+      const error = new Error('An OSV import is already running');
+      error.status = 409;
+      throw error;
+    }
+
+    inFlightImport = this.runImport(dumpPath, options).finally(() => {
+      inFlightImport = null;
+    });
+
+    return inFlightImport;
+  },
+
+  async runImport(dumpPath, options = {}) {
+    const { signal, onProgress } = options;
+    const storage = getStorage();
+    const resolvedPath = await this.resolveDumpPath(dumpPath);
+
+    logger.info(`Importing OSV dump from ${resolvedPath}...`);
+
+    // Drop what an interrupted earlier import left behind, then record the new
+    // staging collection so a crash during this import can be cleaned up too
+    const previousState = (await this.getImportState()) || {};
+    if (previousState.stagingCollection) {
+      await storage.clear(previousState.stagingCollection);
+    }
+
+    const stagingCollection = `${INDEX_COLLECTION}-${Date.now().toString(36)}`;
+    await storage.put(SYNC_STATE_COLLECTION, SYNC_STATE_ID, { ...previousState, stagingCollection });
+
+    try {
+      return await this.importInto(stagingCollection, resolvedPath, previousState, { signal, onProgress });
+    } catch (error) {
+      await this.discardStaging(stagingCollection);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a staging collection that will not become the index
+   */
+  async discardStaging(stagingCollection) {
+    const storage = getStorage();
+    await storage.clear(stagingCollection);
+
+    const state = await this.getImportState();
+    if (state?.stagingCollection === stagingCollection) {
+      const { stagingCollection: _discarded, ...rest } = state;
+      await storage.put(SYNC_STATE_COLLECTION, SYNC_STATE_ID, rest);
+    }
+  },
+
+  /**
+   * Read the dump into a staging collection and swap it in when complete
+   */
+  async importInto(stagingCollection, resolvedPath, previousState, { signal, onProgress }) {
+    const storage = getStorage();
+    const buffer = new Map();
+    const packages = new Set();
+    let records = 0;
+    let skipped = 0;
+    let cancelled = false;
+
+    for await (const vuln of readDumpRecords(resolvedPath)) {
+      if (signal?.aborted) {
+        cancelled = true;
+        break;
+      }
+
+      const names = new Set(
+        (vuln.affected || [])
+          .filter(affected => affected.package?.ecosystem === 'npm' && affected.package.name)
+          .map(affected => affected.package.name)
+      );
+
+      if (!vuln.id || names.size === 0) {
+        skipped++;
+        continue;
+      }
+
+      const normalized = normalizeOsvRecord(vuln);
+      for (const name of names) {
+        if (!buffer.has(name)) buffer.set(name, []);
+        buffer.get(name).push(normalized);
+        packages.add(name);
+      }
+      records++;
+
+      if (records % FLUSH_INTERVAL === 0) {
+        await this.flushIndex(stagingCollection, buffer);
+        onProgress?.({ records, packages: packages.size });
+      }
+    }
+
+    if (cancelled) {
+      await this.discardStaging(stagingCollection);
+      logger.info(`OSV import cancelled after ${records} records, keeping the previous index`);
+      return { source: resolvedPath, records, skipped, packages: packages.size, cancelled };
+    }
+
+    await this.flushIndex(stagingCollection, buffer);
+    onProgress?.({ records, packages: packages.size });
+
+    const state = {
+      importedAt: new Date().toISOString(),
+      source: resolvedPath,
+      records,
+      skipped,
+      packages: packages.size,
+      indexCollection: stagingCollection
+    };
+    await storage.put(SYNC_STATE_COLLECTION, SYNC_STATE_ID, state);
+    await storage.clear(previousState.indexCollection || INDEX_COLLECTION);
+
+    logger.info(`Imported ${records} OSV records for ${packages.size} packages`);
+
+    return { ...state, cancelled };
+  },
+
+  /**
+   * Get indexed vulnerabilities for a package
+   *
+   * Without a concrete version every record for the package is returned,
+   * matching api.osv.dev when queried without a version.
+   *
+   * @param {string} packageName - Package name
+   * @param {string} version - Package version or 'latest'
+   */
+  async getVulnerabilities(packageName, version = 'latest') {
+    const entry = await getStorage().get(await this.getIndexCollection(), packageName);
+    if (!entry) {
+      return [];
+    }
+
+    const active = entry.vulnerabilities.filter(vuln => !vuln.withdrawnDate);
+    if (!version || version === 'latest') {
+      return active;
+    }
+
+    return active.filter(vuln =>
+      vuln.affectedPackages
+        .filter(affected => affected.package?.name === packageName)
+        .some(affected => matchOsvAffected(affected, version).affected)
+    );
+  }
+};
+
+export default osvLocalService;
@@ -62,6 +62,31 @@ export const registryService = {
     }
   },
 
+  /**
+   * Fetch last week's download count
+   *
+   * Unlike fetchDownloadStats, a failed lookup returns null rather than 0 so
+   * callers can tell an unknown count from an unpopular package.
+   *
+   * @returns {Promise<number|null>}
+   */
+  async fetchWeeklyDownloads(packageName) {
+    try {
+      const response = await rateLimiters.npm.makeRequest(() =>
+        apiCallWithRetry(
+          () => axios.get(`${NPM_DOWNLOADS_BASE}/downloads/point/last-week/${packageName}`, {
+            headers: { 'User-Agent': 'ChainGuard-DataCollector/1.0' }
+          }),
+          { maxRetries: 2 }
+        )
+      );
+      return typeof response.data?.downloads === 'number' ? response.data.downloads : null;
+    } catch (error) {
+      console.warn(`Error fetching downloads for ${packageName}:`, error.message);
+      return null;
+    }
+  },
+
   /**
    * Get comprehensive registry data
    */
@@ -0,0 +1,145 @@
+/**
+ * Service for computing upgrade recommendations for vulnerable packages
+ *
+ * Takes the vulnerabilities affecting a package version and checks every
+ * newer published version (from the registry's versions and time fields)
+ * against the same advisories, to find the lowest version fixing all of them
+ * and the best option that stays within the current major.
+ *
+ * Advisories without range data (e.g. OSS Index findings, which only name the
+ * reported version) cannot be checked against other versions. They are listed
+ * separately and left out of the "fixes all" decision.
+ */
+
+import semver from 'semver';
+import { metadataService } from './metadataService.js';
+import { vulnerabilitiesService } from './vulnerabilitiesService.js';
+
+/**
+ * Whether moving between two versions crosses a major boundary
+ *
+ * For 0.x versions a minor bump is breaking under semver, so it counts too.
+ */
+function crossesMajor(from, to) {
+  if (semver.major(from) !== semver.major(to)) return true;
+  return semver.major(from) === 0 && semver.minor(from) !== semver.minor(to);
+}
+
+export const remediationService = {
+  /**
+   * Whether a merged vulnerability entry affects a version
+   *
+   * @returns {boolean|null} - null when none of the source records carry range data
+   */
+  affectsVersion(entry, packageName, version) {
+    const results = entry.records.map(record =>
+      vulnerabilitiesService.matchFinding(record, packageName, version).affected
+    );
+    if (results.includes(true)) return true;
+    if (results.includes(false)) return false;
+    return null;
+  },
+
+  /**
+   * Whether any source record of a merged entry carries range data
+   */
+  hasRangeData(entry) {
+    return entry.records.some(record => record.affectedPackages || record.vulnerableVersionRange);
+  },
+
+  /**
+   * Compute remediation options for a package version
+   *
+   * @param {string} packageName - Package name
+   * @param {string} version - Installed version (default: latest)
+   * @param {Object} options
+   * @param {string} options.source - Vulnerability source, as in getVulnerabilities
+   * @param {boolean} options.includePrerelease - Consider prerelease versions as targets
+   */
+  async getRemediation(packageName, version = 'latest', options = {}) {
+    const { source = 'all', includePrerelease = false } = options;
+
+    const metadata = await metadataService.fetchFromNpmRegistry(packageName, version);
+    const currentVersion = metadata.version;
+
+    if (!semver.valid(currentVersion)) {
+      const error = new Error(`Cannot compute remediation for non-semver version ${currentVersion}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const report = await vulnerabilitiesService.getVulnerabilities(packageName, currentVersion, source);
+    const affecting = report.vulnerabilities.filter(entry => entry.affected === true);
+    const unevaluated = report.vulnerabilities.filter(entry => entry.affected === null);
+    const ranged = affecting.filter(entry => this.hasRangeData(entry));
+    const withoutRangeData = affecting.filter(entry => !this.hasRangeData(entry));
+
+    const candidates = Object.entries(metadata.versions)
+      .filter(([candidate, data]) =>
+        semver.valid(candidate) &&
+        semver.gt(candidate, currentVersion) &&
+        !data.deprecated &&
+        (includePrerelease || !semver.prerelease(candidate))
+      )
+      .map(([candidate]) => candidate)
+      .sort(semver.compare);
+
+    const describe = (candidate) => {
+      const remaining = ranged.filter(entry => this.affectsVersion(entry, packageName, candidate) !== false);
+      return {
+        version: candidate,
+        publishedAt: metadata.time[candidate] || null,
+        crossesMajor: crossesMajor(currentVersion, candidate),
+        fixesAll: remaining.length === 0,
+        remaining: remaining.map(entry => entry.id),
+        unverified: withoutRangeData.map(entry => entry.id)
+      };
+    };
+
+    const vulnerabilities = affecting.map(entry => {
+      const fixedIn = this.hasRangeData(entry)
+        ? candidates.find(candidate => this.affectsVersion(entry, packageName, candidate) === false) || null
+        : null;
+      const firstPatchedVersion = entry.records
+        .map(record => record.firstPatchedVersion?.identifier || record.firstPatchedVersion)
+        .find(value => typeof value === 'string') || null;
+
+      return {
+        id: entry.id,
+        ids: entry.ids,
+        rating: entry.rating,
+        matchedRange: entry.matchedRange,
+        fixedIn,
+        firstPatchedVersion
+      };
+    });
+
+    const lowestFix = ranged.length > 0
+      ? candidates.find(candidate => describe(candidate).fixesAll)
+      : null;
+
+    const sameMajor = candidates.filter(candidate => !crossesMajor(currentVersion, candidate));
+    const latestInSameMajor = sameMajor.length > 0 ? sameMajor[sameMajor.length - 1] : null;
+    const latestTag = metadata['dist-tags']?.latest;
+
+    return {
+      package: {
+        name: packageName,
+        version: currentVersion,
+        publishedAt: metadata.time[currentVersion] || null
+      },
+      vulnerable: affecting.length > 0,
+      vulnerabilities,
+      unevaluated: unevaluated.map(entry => entry.id),
+      withoutRangeData: withoutRangeData.map(entry => entry.id),
+      recommendation: lowestFix ? describe(lowestFix) : null,
+      latestInSameMajor: affecting.length > 0 && latestInSameMajor ? describe(latestInSameMajor) : null,
+      latest: affecting.length > 0 && latestTag && semver.valid(latestTag) && semver.gt(latestTag, currentVersion)
+        ? describe(latestTag)
+        : null,
+      candidatesChecked: candidates.length
+    };
+  }
+};
+
+export default remediationService;
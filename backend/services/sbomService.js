@@ -1,13 +1,26 @@
 /**
  * Service for generating Software Bill of Materials (SBOM)
  * 
- * Builds SBOM from real dependency data in SPDX or CycloneDX formats
+ * Builds SBOM from real dependency data in SPDX or CycloneDX formats, either
+ * for a registry package and its direct dependencies or for every package in
+ * a stored lockfile graph
  */
 
 import { metadataService } from './metadataService.js';
 import { dependenciesService } from './dependenciesService.js';
 import { licenseService } from './licenseService.js';
 
+/**
+ * SPDX element id, which may only contain letters, numbers, '.' and '-'
+ */
+function spdxRef(name, version) {
+  return `SPDXRef-${`${name}-${version}`.replace(/[^a-zA-Z0-9.-]/g, '-')}`;
+}
+
+function purl(name, version) {
+  return `pkg:npm/${name.replace(/^@/, '%40')}@${version}`;
+}
+
 export const sbomService = {
   /**
    * Generate SBOM in various formats
@@ -18,86 +31,132 @@ export const sbomService = {
     
     // Build dependency list with licenses
     const dependencies = [];
-    for (const dep of deps.dependencies) {
-      try {
-        const depMetadata = await metadataService.fetchFromNpmRegistry(dep.name, dep.version);
-        const license = licenseService.normalizeLicense(depMetadata.license);
-        dependencies.push({
-          name: dep.name,
-          version: dep.version,
-          type: 'direct',
-          license: license,
-          purl: `pkg:npm/${dep.name}@${dep.version}`
-        });
-      } catch (error) {
-        // Include without license if can't fetch
-        dependencies.push({
-          name: dep.name,
-          version: dep.version,
-          type: 'direct',
-          license: 'UNKNOWN',
-          purl: `pkg:npm/${dep.name}@${dep.version}`
-        });
+    // Optional peers and dependencies for another platform are not installed
+    for (const dep of deps.dependencies.filter(dep => !dep.skipped)) {
+      // Aliased dependencies are described by the package they install
+      const name = dep.packageName || dep.name;
+      const entry = {
+        name,
+        version: dep.version || dep.range,
+        type: 'direct',
+        license: 'UNKNOWN',
+        purl: purl(name, dep.version || dep.range),
+        downloadLocation: dep.resolved || 'NOASSERTION',
+        optional: dep.optional
+      };
+
+      // Git, tarball and file dependencies have no registry metadata
+      if (dep.version) {
+        try {
+          const depMetadata = await metadataService.fetchFromNpmRegistry(name, dep.version);
+          entry.license = licenseService.normalizeLicense(depMetadata.license);
+        } catch (error) {
+          // Include without license if can't fetch
+        }
       }
+
+      dependencies.push(entry);
     }
 
-    const baseSBOM = {
-      package: {
-        name: packageName,
-        version: metadata.version,
-        description: metadata.description || ''
-      },
-      dependencies,
-      metadata: {
-        tool: 'ChainGuard Data Collector',
-        version: '1.0.0',
-        generatedAt: new Date().toISOString(),
-        format
-      }
+    const root = {
+      name: packageName,
+      version: metadata.version,
+      description: metadata.description || '',
+      license: licenseService.normalizeLicense(metadata.license),
+      purl: purl(packageName, metadata.version),
+      downloadLocation: metadata.versions?.[metadata.version]?.dist?.tarball || 'NOASSERTION'
+    };
+
+    const relationships = dependencies.map(dep => ({ from: root, to: dep }));
+
+    return this.formatSBOM(root, dependencies, relationships, format);
+  },
+
+  /**
+   * Generate SBOM for a lockfile graph (see lockfileService), covering every
+   * locked package and dependency edge
+   */
+  async generateSBOMFromGraph(graph, format = 'json') {
+    const licenses = await licenseService.resolveGraphLicenses(graph);
+    const [rootNode, ...nodes] = graph.dependencyGraph.nodes;
+
+    const entries = new Map(nodes.map(node => [node.id, {
+      name: node.name,
+      version: node.version,
+      type: node.type,
+      dev: node.dev,
+      optional: node.optional,
+      license: licenses.get(node.id),
+      purl: purl(node.name, node.version),
+      downloadLocation: node.resolved || 'NOASSERTION',
+      integrity: node.integrity || null
+    }]));
+
+    const root = {
+      name: rootNode.name,
+      version: rootNode.version,
+      description: '',
+      license: 'NOASSERTION',
+      purl: purl(rootNode.name, rootNode.version),
+      downloadLocation: 'NOASSERTION'
     };
+    entries.set(rootNode.id, root);
 
-    const packageLicense = licenseService.normalizeLicense(metadata.license);
+    const relationships = graph.dependencyGraph.edges.map(edge => ({
+      from: entries.get(edge.source),
+      to: entries.get(edge.target)
+    }));
 
+    const sbom = this.formatSBOM(root, [...entries.values()].filter(entry => entry !== root), relationships, format);
+    return format === 'json' ? { ...sbom, graphId: graph.id, lockfile: graph.lockfile } : sbom;
+  },
+
+  /**
+   * Render a package, its dependencies and their relationships in an SBOM format
+   */
+  formatSBOM(root, dependencies, relationships, format) {
     if (format === 'spdx') {
       return {
         spdxVersion: 'SPDX-2.3',
         dataLicense: 'CC0-1.0',
         SPDXID: 'SPDXRef-DOCUMENT',
-        name: `SBOM for ${packageName}@${metadata.version}`,
-        documentNamespace: `https://chainguard.io/sbom/${packageName}/${metadata.version}`,
+        name: `SBOM for ${root.name}@${root.version}`,
+        documentNamespace: `https://chainguard.io/sbom/${root.name}/${root.version}`,
         creationInfo: {
           created: new Date().toISOString(),
           creators: ['Tool: ChainGuard-DataCollector-1.0']
         },
-        packages: [
-          {
-            SPDXID: `SPDXRef-${packageName}`,
-            name: packageName,
-            versionInfo: metadata.version,
-            downloadLocation: metadata.versions?.[metadata.version]?.dist?.tarball || 'NOASSERTION',
-            filesAnalyzed: false,
-            licenseDeclared: packageLicense,
-            copyrightText: 'NOASSERTION'
-          },
-          ...baseSBOM.dependencies.map(dep => ({
-            SPDXID: `SPDXRef-${dep.name.replace(/[^a-zA-Z0-9]/g, '_')}`,
-            name: dep.name,
-            versionInfo: dep.version,
-            downloadLocation: `https://registry.npmjs.org/${dep.name}/-/${dep.name}-${dep.version}.tgz`,
-            filesAnalyzed: false,
-            licenseDeclared: dep.license,
-            copyrightText: 'NOASSERTION'
-          }))
-        ],
-        relationships: baseSBOM.dependencies.map(dep => ({
-          spdxElementId: `SPDXRef-${packageName}`,
+        packages: [root, ...dependencies].map(pkg => ({
+          SPDXID: spdxRef(pkg.name, pkg.version),
+          name: pkg.name,
+          versionInfo: pkg.version,
+          downloadLocation: pkg.downloadLocation,
+          filesAnalyzed: false,
+          licenseDeclared: pkg.license,
+          copyrightText: 'NOASSERTION',
+          externalRefs: [
+            {
+              referenceCategory: 'PACKAGE-MANAGER',
+              referenceType: 'purl',
+              referenceLocator: pkg.purl
+            }
+          ]
+        })),
+        relationships: relationships.map(({ from, to }) => ({
+          spdxElementId: spdxRef(from.name, from.version),
           relationshipType: 'DEPENDS_ON',
-          relatedSpdxElement: `SPDXRef-${dep.name.replace(/[^a-zA-Z0-9]/g, '_')}`
+          relatedSpdxElement: spdxRef(to.name, to.version)
         }))
       };
     }
 
     if (format === 'cyclonedx') {
+      const dependsOn = new Map();
+      for (const { from, to } of relationships) {
+        if (!dependsOn.has(from.purl)) dependsOn.set(from.purl, []);
+        dependsOn.get(from.purl).push(to.purl);
+      }
+
       return {
         bomFormat: 'CycloneDX',
         specVersion: '1.5',
@@ -112,31 +171,38 @@ export const sbomService = {
           ],
           component: {
             type: 'application',
-            name: packageName,
-            version: metadata.version
+            name: root.name,
+            version: root.version
           }
         },
-        components: [
-          {
-            type: 'library',
-            name: packageName,
-            version: metadata.version,
-            purl: `pkg:npm/${packageName}@${metadata.version}`,
-            licenses: [{ license: { id: packageLicense } }]
-          },
-          ...baseSBOM.dependencies.map(dep => ({
-            type: 'library',
-            name: dep.name,
-            version: dep.version,
-            purl: dep.purl,
-            licenses: [{ license: { id: dep.license } }]
-          }))
-        ]
+        components: [root, ...dependencies].map(pkg => ({
+          'bom-ref': pkg.purl,
+          type: 'library',
+          name: pkg.name,
+          version: pkg.version,
+          purl: pkg.purl,
+          licenses: [{ license: { id: pkg.license } }],
+          ...(pkg.dev && { scope: 'excluded' }),
+          ...(pkg.optional && !pkg.dev && { scope: 'optional' })
+        })),
+        dependencies: [...dependsOn].map(([ref, targets]) => ({ ref, dependsOn: targets }))
       };
     }
 
     // Default JSON format
-    return baseSBOM;
+    return {
+      package: {
+        name: root.name,
+        version: root.version,
+        description: root.description
+      },
+      dependencies,
+      metadata: {
+        tool: 'ChainGuard Data Collector',
+        version: '1.0.0',
+        generatedAt: new Date().toISOString(),
+        format
+      }
+    };
   }
 };
-
@@ -0,0 +1,388 @@
+/**
+ * Scheduler for recurring collections
+ *
+ * Schedules are persisted through the storage adapter and registered with
+ * node-cron on startup. Every run enqueues a collection job in the scheduled
+ * lane, so run status, progress and errors come from the JobManager and
+ * scheduled runs are not held up by jobs started from the API.
+ *
+ * Supported task types:
+ * - vulnerability-databases: { daysBack, sources }
+ * - malicious-packages: {}
+ * - exploit-intel: { sources, epssPath, epssUrl, kevPath, kevUrl }
+ * - training-data: { maliciousCount, benignCount }
+ * - watchlist: { packages: [{ name, version }], concurrency, include* flags }
+ */
+
+import cron from 'node-cron';
+import { randomUUID } from 'crypto';
+import { orchestrator, jobManager, JOB_TYPES } from './collectionJobs.js';
+import { JOB_STATUS, JOB_LANES } from './jobManager.js';
+import { getStorage } from '../storage/index.js';
+import { isValidCronExpression, getNextRunTime } from '../utils/cronSchedule.js';
+import { logger } from '../utils/logger.js';
+
+const SCHEDULES_COLLECTION = 'schedules';
+const RUNS_COLLECTION = 'scheduleRuns';
+
+const SCHEDULED_JOB = { lane: JOB_LANES.SCHEDULED };
+
+/**
+ * Enqueue the job for each task type
+ */
+export const SCHEDULE_TASKS = {
+  'vulnerability-databases': (options) =>
+    jobManager.enqueue(JOB_TYPES.VULNERABILITY_DATABASES, options, SCHEDULED_JOB),
+
+  'malicious-packages': () =>
+    jobManager.enqueue(JOB_TYPES.MALICIOUS_PACKAGES, {}, SCHEDULED_JOB),
+
+  'exploit-intel': (options) =>
+    jobManager.enqueue(JOB_TYPES.EXPLOIT_INTEL_IMPORT, options, SCHEDULED_JOB),
+
+  'training-data': (options) =>
+    jobManager.enqueue(JOB_TYPES.TRAINING_DATA, options, SCHEDULED_JOB),
+
+  watchlist: async ({ packages, ...options }) => {
+    const checkpoint = await orchestrator.createBatchCheckpoint(packages, options);
+    return jobManager.enqueue(
+      JOB_TYPES.BATCH_COLLECTION,
+      { checkpointId: checkpoint.id },
+      { ...SCHEDULED_JOB, metadata: { checkpointId: checkpoint.id } }
+    );
+  }
+};
+
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Validate schedule fields, throwing a 400 error on invalid input
+ */
+function validateSchedule(schedule) {
+  if (!schedule.name) {
+    throw validationError('name is required');
+  }
+
+  if (!isValidCronExpression(schedule.cronExpression)) {
+    throw validationError(`Invalid cron expression: ${schedule.cronExpression}`);
+  }
+
+  if (schedule.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch {
+      throw validationError(`Invalid timezone: ${schedule.timezone}`);
+    }
+  }
+
+  if (!schedule.task || !SCHEDULE_TASKS[schedule.task.type]) {
+    throw validationError(`task.type must be one of: ${Object.keys(SCHEDULE_TASKS).join(', ')}`);
+  }
+
+  if (schedule.task.type === 'watchlist') {
+    const packages = schedule.task.options?.packages;
+    if (!Array.isArray(packages) || packages.length === 0) {
+      throw validationError('watchlist tasks require task.options.packages');
+    }
+  }
+}
+
+export class Scheduler {
+  constructor(storage) {
+    this.storage = storage;
+    this.cronTasks = new Map();
+    this.locks = new Map();
+  }
+
+  /**
+   * Run fn after every earlier locked operation on the same schedule has
+   * finished, so runs, updates and deletes never interleave their
+   * read-modify-write of the stored schedule
+   */
+  async withScheduleLock(scheduleId, fn) {
+    const previous = this.locks.get(scheduleId) || Promise.resolve();
+    const result = previous.then(fn);
+    const tail = result.catch(() => {});
+
+    this.locks.set(scheduleId, tail);
+    tail.then(() => {
+      if (this.locks.get(scheduleId) === tail) {
+        this.locks.delete(scheduleId);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Register every enabled schedule with node-cron
+   */
+  async start() {
+    const schedules = await this.storage.list(SCHEDULES_COLLECTION);
+
+    for (const schedule of schedules) {
+      this.register(schedule);
+    }
+
+    logger.info(`Scheduler started with ${this.cronTasks.size} active schedule(s)`);
+  }
+
+  /**
+   * Stop all cron tasks
+   */
+  stop() {
+    for (const task of this.cronTasks.values()) {
+      task.stop();
+    }
+    this.cronTasks.clear();
+  }
+
+  register(schedule) {
+    this.unregister(schedule.id);
+
+    if (!schedule.enabled) {
+      return;
+    }
+
+    const task = cron.schedule(
+      schedule.cronExpression,
+      () => {
+        this.runSchedule(schedule.id, 'cron').catch(error => {
+          logger.error(`Scheduled run of ${schedule.id} failed:`, error);
+        });
+      },
+      { timezone: schedule.timezone || undefined }
+    );
+    this.cronTasks.set(schedule.id, task);
+  }
+
+  unregister(scheduleId) {
+    const task = this.cronTasks.get(scheduleId);
+    if (task) {
+      task.stop();
+      this.cronTasks.delete(scheduleId);
+    }
+  }
+
+  /**
+   * Add next-run time and live last-run status to a stored schedule
+   */
+  async describe(schedule) {
+    let lastRun = schedule.lastRun;
+
+    if (lastRun?.jobId) {
+      const job = await jobManager.getJob(lastRun.jobId);
+      if (job) {
+        lastRun = {
+          ...lastRun,
+          status: job.status,
+          finishedAt: job.finishedAt,
+          error: job.error
+        };
+      }
+    }
+
+    return {
+      ...schedule,
+      lastRun,
+      nextRunAt: schedule.enabled
+        ? getNextRunTime(schedule.cronExpression, new Date(), schedule.timezone || undefined)?.toISOString() || null
+        : null
+    };
+  }
+
+  async createSchedule(input) {
+    const now = new Date().toISOString();
+    const schedule = {
+      id: randomUUID(),
+      name: input.name,
+      description: input.description || '',
+      cronExpression: input.cronExpression,
+      timezone: input.timezone || null,
+      task: {
+        type: input.task?.type,
+        options: input.task?.options || {}
+      },
+      enabled: input.enabled !== false,
+      runCount: 0,
+      lastRun: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    validateSchedule(schedule);
+
+    await this.storage.put(SCHEDULES_COLLECTION, schedule.id, schedule);
+    this.register(schedule);
+
+    logger.info(`Created schedule ${schedule.id} (${schedule.name}: ${schedule.cronExpression})`);
+
+    return this.describe(schedule);
+  }
+
+  async updateSchedule(scheduleId, changes) {
+    return this.withScheduleLock(scheduleId, () => this.applyUpdate(scheduleId, changes));
+  }
+
+  async applyUpdate(scheduleId, changes) {
+    const existing = await this.storage.get(SCHEDULES_COLLECTION, scheduleId);
+    if (!existing) {
+      return null;
+    }
+
+    const updatable = ['name', 'description', 'cronExpression', 'timezone', 'task', 'enabled'];
+    const schedule = { ...existing };
+    for (const field of updatable) {
+      if (changes[field] !== undefined) {
+        schedule[field] = changes[field];
+      }
+    }
+    schedule.task = {
+      type: schedule.task?.type,
+      options: schedule.task?.options || {}
+    };
+    schedule.updatedAt = new Date().toISOString();
+
+    validateSchedule(schedule);
+
+    await this.storage.put(SCHEDULES_COLLECTION, scheduleId, schedule);
+    this.register(schedule);
+
+    return this.describe(schedule);
+  }
+
+  async deleteSchedule(scheduleId) {
+    return this.withScheduleLock(scheduleId, async () => {
+      this.unregister(scheduleId);
+      return this.storage.delete(SCHEDULES_COLLECTION, scheduleId);
+    });
+  }
+
+  async getSchedule(scheduleId) {
+    const schedule = await this.storage.get(SCHEDULES_COLLECTION, scheduleId);
+    return schedule ? this.describe(schedule) : null;
+  }
+
+  async listSchedules() {
+    const schedules = await this.storage.list(SCHEDULES_COLLECTION);
+    return Promise.all(
+      schedules
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map(schedule => this.describe(schedule))
+    );
+  }
+
+  /**
+   * Run a schedule now
+   *
+   * Runs are skipped while the job of the last enqueued run (activeJobId) is
+   * still queued or running. Runs of one schedule are serialized, so a manual
+   * run and a cron tick cannot both enqueue.
+   *
+   * @param {string} scheduleId - Schedule id
+   * @param {string} trigger - 'cron' or 'manual'
+   */
+  async runSchedule(scheduleId, trigger = 'manual') {
+    return this.withScheduleLock(scheduleId, () => this.executeRun(scheduleId, trigger));
+  }
+
+  async executeRun(scheduleId, trigger) {
+    const schedule = await this.storage.get(SCHEDULES_COLLECTION, scheduleId);
+    if (!schedule) {
+      return null;
+    }
+
+    const run = {
+      id: randomUUID(),
+      scheduleId,
+      trigger,
+      triggeredAt: new Date().toISOString(),
+      jobId: null,
+      status: null,
+      error: null
+    };
+
+    // Schedules stored before activeJobId existed only have lastRun.jobId
+    const activeJobId = schedule.activeJobId ?? schedule.lastRun?.jobId;
+    const previousJob = activeJobId ? await jobManager.getJob(activeJobId) : null;
+
+    if (previousJob && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(previousJob.status)) {
+      run.status = 'skipped';
+      run.error = `Previous run (job ${previousJob.id}) is still ${previousJob.status}`;
+      logger.warn(`Skipping run of schedule ${schedule.name}: ${run.error}`);
+    } else {
+      try {
+        const job = await SCHEDULE_TASKS[schedule.task.type](schedule.task.options);
+        run.jobId = job.id;
+        run.status = job.status;
+        logger.info(`Schedule ${schedule.name} (${trigger}) enqueued job ${job.id}`);
+      } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        logger.error(`Error running schedule ${schedule.name}:`, error);
+      }
+    }
+
+    await this.storage.put(RUNS_COLLECTION, run.id, run);
+
+    // Do not re-create a schedule deleted while the job was being enqueued
+    const current = await this.storage.get(SCHEDULES_COLLECTION, scheduleId);
+    if (!current) {
+      return run;
+    }
+
+    if (run.jobId) {
+      current.activeJobId = run.jobId;
+    } else if (run.status === 'skipped') {
+      current.activeJobId = previousJob.id;
+    }
+    current.runCount = (current.runCount || 0) + 1;
+    current.lastRun = {
+      runId: run.id,
+      jobId: run.jobId,
+      trigger,
+      triggeredAt: run.triggeredAt,
+      status: run.status,
+      error: run.error
+    };
+    await this.storage.put(SCHEDULES_COLLECTION, scheduleId, current);
+
+    return run;
+  }
+
+  /**
+   * Get run history for a schedule, newest first, with job status
+   */
+  async getRunHistory(scheduleId, limit = 20) {
+    const runs = await this.storage.list(RUNS_COLLECTION, {
+      filter: (run) => run.scheduleId === scheduleId
+    });
+
+    const recent = runs
+      .sort((a, b) => new Date(b.triggeredAt) - new Date(a.triggeredAt))
+      .slice(0, limit);
+
+    return Promise.all(recent.map(async (run) => {
+      const job = run.jobId ? await jobManager.getJob(run.jobId) : null;
+      if (!job) {
+        return run;
+      }
+      return {
+        ...run,
+        status: job.status,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        progress: job.progress,
+        error: job.error
+      };
+    }));
+  }
+}
+
+export const scheduler = new Scheduler(getStorage());
+
+export default scheduler;
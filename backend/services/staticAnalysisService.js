@@ -13,7 +13,7 @@ import fs from 'fs/promises';
 import { createWriteStream } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import tar from 'tar';
+import * as tar from 'tar';
 import { apiCallWithRetry, rateLimiters } from '../utils/rateLimiter.js';
 
 const __filename = fileURLToPath(import.meta.url);
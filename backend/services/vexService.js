@@ -0,0 +1,323 @@
+/**
+ * Service for generating VEX (Vulnerability Exploitability eXchange) documents
+ *
+ * Builds OpenVEX v0.2.0 or CycloneDX 1.5 VEX documents for a package version
+ * from the merged getVulnerabilities report. Each vulnerability gets a status:
+ * - an analyst statement saved for the vulnerability (or any of its aliases)
+ *   and the package, when one exists
+ * - otherwise derived from version matching: affected, fixed when the version
+ *   is outside every affected range and at or above a patched version,
+ *   not_affected when it is outside every range otherwise, and
+ *   under_investigation when no source carried range data
+ *
+ * OpenVEX document ids are urn:uuid: ids, or {VEX_ID_BASE}/{name}/{version}
+ * when VEX_ID_BASE is set.
+ */
+
+import { randomUUID } from 'crypto';
+import semver from 'semver';
+import { vulnerabilitiesService } from './vulnerabilitiesService.js';
+import { toPurl } from './ossIndexService.js';
+import { getStorage } from '../storage/index.js';
+import { VexStatementRepository, VEX_STATUS } from '../storage/vexStatementRepository.js';
+
+const OPENVEX_CONTEXT = 'https://openvex.dev/ns/v0.2.0';
+const TOOLING = 'ChainGuard-DataCollector-1.0';
+
+// OpenVEX status to CycloneDX analysis state
+const CYCLONEDX_STATES = {
+  [VEX_STATUS.AFFECTED]: 'exploitable',
+  [VEX_STATUS.NOT_AFFECTED]: 'not_affected',
+  [VEX_STATUS.FIXED]: 'resolved',
+  [VEX_STATUS.UNDER_INVESTIGATION]: 'in_triage'
+};
+
+// OpenVEX justification to CycloneDX analysis justification
+const CYCLONEDX_JUSTIFICATIONS = {
+  component_not_present: 'code_not_present',
+  vulnerable_code_not_present: 'code_not_present',
+  vulnerable_code_not_in_execute_path: 'code_not_reachable',
+  vulnerable_code_cannot_be_controlled_by_adversary: 'protected_by_mitigating_control',
+  inline_mitigations_already_exist: 'protected_by_mitigating_control'
+};
+
+const CYCLONEDX_RATING_METHODS = {
+  '3.0': 'CVSSv3',
+  '3.1': 'CVSSv31',
+  '4.0': 'CVSSv4'
+};
+
+let repository = null;
+
+function getRepository() {
+  if (!repository) {
+    repository = new VexStatementRepository(getStorage());
+  }
+  return repository;
+}
+
+/**
+ * Version-less package URL, matching statements for every version
+ */
+export function toPackagePurl(name) {
+  return `pkg:npm/${name.replace(/^@/, '%40')}`;
+}
+
+function firstPatchedVersion(entry) {
+  return entry.records
+    .map(record => record.firstPatchedVersion?.identifier || record.firstPatchedVersion)
+    .find(value => typeof value === 'string') || null;
+}
+
+/**
+ * Patched versions of an entry for a package: GitHub first patched versions
+ * and OSV 'fixed' events
+ */
+function patchedVersions(entry, packageName) {
+  const versions = [];
+  for (const record of entry.records) {
+    const patched = record.firstPatchedVersion?.identifier || record.firstPatchedVersion;
+    if (typeof patched === 'string') versions.push(patched);
+
+    for (const affected of record.affectedPackages || []) {
+      if (affected.package?.name !== packageName) continue;
+      for (const range of affected.ranges || []) {
+        for (const event of range.events || []) {
+          if (event.fixed !== undefined) versions.push(event.fixed);
+        }
+      }
+    }
+  }
+  return versions.filter(value => semver.valid(value, { loose: true }));
+}
+
+function documentId(pkg) {
+  const base = process.env.VEX_ID_BASE?.replace(/\/$/, '');
+  return base ? `${base}/${pkg.name}/${pkg.version}` : `urn:uuid:${randomUUID()}`;
+}
+
+/**
+ * CWE numbers across an entry's records ('CWE-79', { cwe_id: 'CWE-79' } or 79)
+ */
+function collectCwes(entry) {
+  const cwes = new Set();
+  for (const record of entry.records) {
+    for (const cwe of record.cwes || []) {
+      const number = parseInt(String(cwe?.cwe_id ?? cwe).replace(/^CWE-/i, ''), 10);
+      if (!Number.isNaN(number)) cwes.add(number);
+    }
+  }
+  return [...cwes];
+}
+
+export const vexService = {
+  /**
+   * Save an analyst statement, replacing any for the same vulnerability and product
+   */
+  async saveStatement(input) {
+    return getRepository().save(input);
+  },
+
+  /**
+   * List analyst statements, optionally for one vulnerability or package
+   */
+  async listStatements({ vulnerability, packageName } = {}) {
+    return getRepository().list({
+      vulnerability,
+      packagePurl: packageName ? toPackagePurl(packageName) : undefined
+    });
+  },
+
+  /**
+   * Delete an analyst statement
+   *
+   * @returns {boolean} - false when no statement has the id
+   */
+  async deleteStatement(statementId) {
+    const existing = await getRepository().get(statementId);
+    if (!existing) return false;
+    await getRepository().delete(statementId);
+    return true;
+  },
+
+  /**
+   * Default statement for a vulnerability entry, from version matching
+   */
+  deriveStatement(entry, version, packageName) {
+    if (entry.affected === true) {
+      const patched = firstPatchedVersion(entry);
+      return {
+        status: VEX_STATUS.AFFECTED,
+        actionStatement: patched
+          ? `Upgrade to ${patched} or later`
+          : `Upgrade to a version outside the affected range${entry.matchedRange ? ` (${entry.matchedRange})` : ''}`
+      };
+    }
+
+    if (entry.affected === false) {
+      const fixedIn = semver.valid(version, { loose: true })
+        ? patchedVersions(entry, packageName)
+          .filter(patched => semver.gte(version, patched, { loose: true }))
+          .sort((a, b) => semver.rcompare(a, b, { loose: true }))[0]
+        : undefined;
+
+      if (fixedIn) {
+        return {
+          status: VEX_STATUS.FIXED,
+          impactStatement: `Version ${version} includes the fix released in ${fixedIn}`
+        };
+      }
+
+      return {
+        status: VEX_STATUS.NOT_AFFECTED,
+        justification: 'vulnerable_code_not_present',
+        impactStatement: `Version ${version} is outside the affected version ranges`
+      };
+    }
+
+    return { status: VEX_STATUS.UNDER_INVESTIGATION };
+  },
+
+  /**
+   * Resolve the status of every vulnerability of a package version
+   *
+   * @returns {Object} - { package, purl, statements: [{ entry, status, justification,
+   *   impactStatement, actionStatement, origin, statementId, timestamp }] }
+   */
+  async resolveStatements(packageName, version = 'latest') {
+    const report = await vulnerabilitiesService.getVulnerabilities(packageName, version);
+    const actualVersion = report.package.version;
+    const purl = toPurl(packageName, actualVersion);
+    const saved = await getRepository().getForPackageVersion(purl, toPackagePurl(packageName));
+    const generatedAt = new Date().toISOString();
+
+    const statements = report.vulnerabilities.map(entry => {
+      const analyst = [entry.id, ...entry.ids]
+        .map(id => saved.get(id.toUpperCase()))
+        .find(Boolean);
+
+      if (analyst) {
+        return {
+          entry,
+          status: analyst.status,
+          justification: analyst.justification,
+          impactStatement: analyst.impactStatement,
+          actionStatement: analyst.actionStatement,
+          origin: 'analyst',
+          statementId: analyst.id,
+          timestamp: analyst.updatedAt
+        };
+      }
+
+      return {
+        entry,
+        justification: null,
+        impactStatement: null,
+        actionStatement: null,
+        ...this.deriveStatement(entry, actualVersion, packageName),
+        origin: 'derived',
+        statementId: null,
+        timestamp: generatedAt
+      };
+    });
+
+    return {
+      package: { name: packageName, version: actualVersion },
+      purl,
+      generatedAt,
+      statements
+    };
+  },
+
+  /**
+   * Generate a VEX document for a package version
+   *
+   * @param {string} packageName - Package name
+   * @param {string} version - Package version (default: latest)
+   * @param {string} format - 'openvex' (default) or 'cyclonedx'
+   */
+  async generateVEX(packageName, version = 'latest', format = 'openvex') {
+    const resolved = await this.resolveStatements(packageName, version);
+
+    if (format === 'cyclonedx') {
+      return this.toCycloneDX(resolved);
+    }
+    return this.toOpenVEX(resolved);
+  },
+
+  toOpenVEX({ package: pkg, purl, generatedAt, statements }) {
+    return {
+      '@context': OPENVEX_CONTEXT,
+      '@id': documentId(pkg),
+      author: process.env.VEX_AUTHOR || 'ChainGuard Data Collector',
+      timestamp: generatedAt,
+      version: 1,
+      tooling: TOOLING,
+      statements: statements.map(statement => ({
+        vulnerability: {
+          name: statement.entry.id,
+          aliases: statement.entry.ids.filter(id => id !== statement.entry.id)
+        },
+        products: [{ '@id': purl }],
+        status: statement.status,
+        ...(statement.justification && { justification: statement.justification }),
+        ...(statement.impactStatement && { impact_statement: statement.impactStatement }),
+        ...(statement.actionStatement && { action_statement: statement.actionStatement }),
+        timestamp: statement.timestamp
+      }))
+    };
+  },
+
+  toCycloneDX({ package: pkg, purl, generatedAt, statements }) {
+    return {
+      bomFormat: 'CycloneDX',
+      specVersion: '1.5',
+      version: 1,
+      metadata: {
+        timestamp: generatedAt,
+        tools: [
+          {
+            name: 'ChainGuard Data Collector',
+            version: '1.0.0'
+          }
+        ],
+        component: {
+          'bom-ref': purl,
+          type: 'library',
+          name: pkg.name,
+          version: pkg.version,
+          purl
+        }
+      },
+      vulnerabilities: statements.map(({ entry, ...statement }) => ({
+        id: entry.id,
+        source: { name: entry.sources.join(', ') },
+        references: entry.ids
+          .filter(id => id !== entry.id)
+          .map(id => ({ id, source: { name: id.split('-')[0] } })),
+        ratings: entry.computedCvss
+          ? [{
+              score: entry.computedCvss.score,
+              severity: entry.computedCvss.rating,
+              method: CYCLONEDX_RATING_METHODS[entry.computedCvss.version],
+              vector: entry.computedCvss.vectorString
+            }]
+          : [{ severity: entry.rating || 'unknown' }],
+        cwes: collectCwes(entry),
+        description: entry.summary,
+        detail: entry.details,
+        analysis: {
+          state: CYCLONEDX_STATES[statement.status],
+          ...(statement.justification && { justification: CYCLONEDX_JUSTIFICATIONS[statement.justification] }),
+          ...(statement.status === VEX_STATUS.AFFECTED && { response: ['update'] }),
+          ...((statement.impactStatement || statement.actionStatement) && {
+            detail: statement.impactStatement || statement.actionStatement
+          })
+        },
+        affects: [{ ref: purl }]
+      }))
+    };
+  }
+};
+
+export default vexService;
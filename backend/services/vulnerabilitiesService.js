@@ -2,17 +2,25 @@
  * Service for fetching vulnerability data from multiple sources
  * 
  * Fetches from:
- * - OSV API: https://api.osv.dev/v1/query
- * - GitHub Advisories: https://api.github.com/advisories
- * - npm audit: Run programmatically using child_process
+ * - OSV API: https://api.osv.dev/v1/query (or an imported offline dump, see osvLocalService)
+ * - GitHub Advisories: https://api.github.com/advisories (or the local mirror, see githubAdvisoryService)
+ * - npm audit: npm registry bulk advisory endpoint (see npmAuditService)
+ * - OSS Index: https://ossindex.sonatype.org/api/v3/component-report (see ossIndexService)
+ * - NVD CVE API 2.0 (bulk ingestion, see nvdService)
  */
 
 import axios from 'axios';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { apiCallWithRetry, rateLimiters } from '../utils/rateLimiter.js';
+import { nvdService } from './nvdService.js';
+import { githubAdvisoryService } from './githubAdvisoryService.js';
+import { npmAuditService } from './npmAuditService.js';
+import { exploitIntelService } from './exploitIntelService.js';
+import { ossIndexService } from './ossIndexService.js';
+import { osvLocalService, normalizeOsvRecord } from './osvLocalService.js';
+import { isConcreteVersion, isVersionInRange, matchOsvAffected, normalizeVersionRange } from '../utils/versionRanges.js';
+import { mergeFindings } from '../utils/vulnerabilityMerge.js';
+import { pickCvssScore } from '../utils/cvss.js';
 
-const execAsync = promisify(exec);
 const OSV_API_BASE = 'https://api.osv.dev';
 const GITHUB_API_BASE = 'https://api.github.com';
 
@@ -39,34 +47,78 @@ export const vulnerabilitiesService = {
                 )
             );
 
-            const vulnerabilities = [];
-            if (response.data.vulns) {
-                for (const vuln of response.data.vulns) {
-                    vulnerabilities.push({
-                        id: vuln.id,
-                        source: 'OSV',
-                        severity: vuln.database_specific?.severity || 'unknown',
-                        summary: vuln.summary || '',
-                        details: vuln.details || '',
-                        affected: vuln.affected || [],
-                        references: vuln.references || [],
-                        publishedDate: vuln.published || vuln.modified || new Date().toISOString(),
-                        modifiedDate: vuln.modified
-                    });
-                }
-            }
-
-            return vulnerabilities;
+            return (response.data.vulns || []).map(normalizeOsvRecord);
         } catch (error) {
             console.warn(`Error fetching OSV vulnerabilities for ${packageName}:`, error.message);
             return [];
         }
     },
 
+    /**
+     * Fetch vulnerabilities from the imported OSV dump
+     */
+    async fetchFromLocalOSV(packageName, version = 'latest') {
+        try {
+            return await osvLocalService.getVulnerabilities(packageName, version);
+        } catch (error) {
+            console.warn(`Error reading local OSV index for ${packageName}:`, error.message);
+            return [];
+        }
+    },
+
+    /**
+     * Import an OSV npm dump (zip, directory or JSON file) into the local index
+     */
+    async importOSVDump(dumpPath, options = {}) {
+        return osvLocalService.importDump(dumpPath, options);
+    },
+
+    /**
+     * Map a GitHub advisory to findings for one package
+     */
+    mapGitHubAdvisory(advisory, packageName) {
+        const findings = [];
+        for (const vuln of advisory.vulnerabilities || []) {
+            if (vuln.package?.name === packageName) {
+                findings.push({
+                    id: advisory.ghsa_id,
+                    source: 'GitHub',
+                    cveId: advisory.cve_id || null,
+                    identifiers: advisory.identifiers || [],
+                    severity: advisory.severity || vuln.severity || 'unknown',
+                    summary: advisory.summary || '',
+                    description: advisory.description || '',
+                    cvss: advisory.cvss,
+                    cvssSeverities: advisory.cvss_severities,
+                    cwes: advisory.cwes || [],
+                    references: (advisory.references || []).map(url => ({ type: 'WEB', url })),
+                    publishedAt: advisory.published_at,
+                    updatedAt: advisory.updated_at,
+                    vulnerableVersionRange: vuln.vulnerable_version_range,
+                    firstPatchedVersion: vuln.first_patched_version
+                });
+            }
+        }
+        return findings;
+    },
+
     /**
      * Fetch vulnerabilities from GitHub Advisories
+     *
+     * Answers from the local advisory mirror when one has been synced
+     * (starting a background refresh when stale), otherwise queries the API.
      */
     async fetchFromGitHub(packageName, version = 'latest') {
+        try {
+            if (await githubAdvisoryService.isMirrorAvailable()) {
+                await githubAdvisoryService.refreshIfStale();
+                const advisories = await githubAdvisoryService.getAdvisoriesForPackage(packageName);
+                return advisories.flatMap(advisory => this.mapGitHubAdvisory(advisory, packageName));
+            }
+        } catch (error) {
+            console.warn(`Error reading GitHub advisory mirror for ${packageName}:`, error.message);
+        }
+
         if (!process.env.GITHUB_TOKEN) {
             return [];
         }
@@ -98,25 +150,7 @@ export const vulnerabilitiesService = {
                 if (!response.data || response.data.length === 0) break;
 
                 for (const advisory of response.data) {
-                    if (advisory.vulnerabilities) {
-                        for (const vuln of advisory.vulnerabilities) {
-                            if (vuln.package?.name === packageName) {
-                                vulnerabilities.push({
-                                    id: advisory.ghsa_id,
-                                    source: 'GitHub',
-                                    severity: advisory.severity || vuln.severity || 'unknown',
-                                    summary: advisory.summary || '',
-                                    description: advisory.description || '',
-                                    cvss: advisory.cvss,
-                                    cwes: advisory.cwes || [],
-                                    publishedAt: advisory.published_at,
-                                    updatedAt: advisory.updated_at,
-                                    vulnerableVersionRange: vuln.vulnerable_version_range,
-                                    firstPatchedVersion: vuln.first_patched_version
-                                });
-                            }
-                        }
-                    }
+                    vulnerabilities.push(...this.mapGitHubAdvisory(advisory, packageName));
                 }
 
                 if (response.data.length < perPage) break;
@@ -131,105 +165,274 @@ export const vulnerabilitiesService = {
     },
 
     /**
-     * Run npm audit for a package
+     * Sync reviewed npm advisories from GitHub into the local mirror
+     */
+    async collectGitHubAdvisories(options = {}) {
+        return githubAdvisoryService.syncAdvisories(options);
+    },
+
+    /**
+     * Check a package version against the npm registry's advisory database
      */
     async runNpmAudit(packageName, version = 'latest') {
         try {
-            // Create a temporary package.json and run npm audit
-            const tempDir = `/tmp/npm-audit-${Date.now()}`;
-            const packageJson = {
-                name: 'temp-audit',
-                version: '1.0.0',
-                dependencies: {
-                    [packageName]: version === 'latest' ? '*' : version
-                }
-            };
-
-            // Note: This requires npm to be installed and may not work in all environments
-            // For production, consider using a library like @npmcli/audit-report
-            const { stdout } = await execAsync(
-                `cd ${tempDir} && echo '${JSON.stringify(packageJson)}' > package.json && npm audit --json || true`, { timeout: 30000 }
-            );
+            return await npmAuditService.auditPackages([{ name: packageName, version }]);
+        } catch (error) {
+            console.warn(`Error running npm audit for ${packageName}:`, error.message);
+            return [];
+        }
+    },
 
-            const auditResult = JSON.parse(stdout);
-            const vulnerabilities = [];
+    /**
+     * Audit a resolved dependency set against the npm advisory database in one request
+     *
+     * @param {Array|Object} packages - [{ name, version }] or { name: version | [versions] }
+     */
+    async auditDependencies(packages) {
+        const findings = await npmAuditService.auditPackages(packages);
+        return findings.map(finding => ({ ...finding, ...this.scoreFinding(finding) }));
+    },
 
-            if (auditResult.vulnerabilities) {
-                for (const [depName, vuln] of Object.entries(auditResult.vulnerabilities)) {
-                    if (depName === packageName || depName.startsWith(`${packageName}/`)) {
-                        vulnerabilities.push({
-                            id: vuln.id || `npm-audit-${depName}`,
-                            source: 'npm-audit',
-                            severity: vuln.severity || 'unknown',
-                            title: vuln.title || '',
-                            description: vuln.description || '',
-                            recommendation: vuln.recommendation || '',
-                            dependency: depName,
-                            path: vuln.path || depName,
-                            moreInfo: vuln.url || `https://npmjs.com/advisories/${vuln.id}`
-                        });
-                    }
-                }
-            }
+    /**
+     * Fetch vulnerabilities for a package version from OSS Index
+     */
+    async fetchFromOSSIndex(packageName, version) {
+        if (!isConcreteVersion(version) || !ossIndexService.isConfigured()) {
+            return [];
+        }
 
-            return vulnerabilities;
+        try {
+            return await ossIndexService.getVulnerabilities([{ name: packageName, version }]);
         } catch (error) {
-            // npm audit may not be available or may fail
-            console.warn(`Error running npm audit for ${packageName}:`, error.message);
+            console.warn(`Error fetching OSS Index vulnerabilities for ${packageName}:`, error.message);
             return [];
         }
     },
 
+    /**
+     * Collect npm-relevant CVEs from NVD modified within a date window
+     */
+    async collectNVDData(startDate, endDate) {
+        return nvdService.collectCves(startDate, endDate);
+    },
+
+    /**
+     * Check whether a finding applies to a concrete package version
+     *
+     * OSV and NVD findings are matched against their affectedPackages entries
+     * for the package, GitHub, npm audit and OSS Index findings against their
+     * vulnerableVersionRange. OSS Index findings without ranges only apply
+     * to the version they were reported for.
+     *
+     * @returns {Object} - { affected: true|false|null, matchedRange }, null when
+     *   the version is not concrete or the finding carries no range data
+     */
+    matchFinding(finding, packageName, version) {
+        if (!isConcreteVersion(version)) {
+            return { affected: null, matchedRange: null };
+        }
+
+        if (finding.affectedPackages) {
+            const entries = finding.affectedPackages.filter(entry => entry.package?.name === packageName);
+            for (const entry of entries) {
+                const match = matchOsvAffected(entry, version);
+                if (match.affected) return match;
+            }
+            return { affected: false, matchedRange: null };
+        }
+
+        if (finding.vulnerableVersionRange) {
+            return isVersionInRange(version, finding.vulnerableVersionRange)
+                ? { affected: true, matchedRange: normalizeVersionRange(finding.vulnerableVersionRange) }
+                : { affected: false, matchedRange: null };
+        }
+
+        // OSS Index reports on one exact version without ranges
+        if (finding.reportedVersion) {
+            return finding.reportedVersion === version
+                ? { affected: true, matchedRange: `=${version}` }
+                : { affected: null, matchedRange: null };
+        }
+
+        return { affected: null, matchedRange: null };
+    },
+
+    /**
+     * Compute a finding's CVSS score and rating from the vectors its source provides
+     *
+     * Vectors come from OSV severity[] entries, GitHub cvss/cvss_severities
+     * and NVD/npm cvss.vectorString. Findings without a usable vector fall back
+     * to the source's severity string, normalized to the same rating scale.
+     *
+     * @returns {Object} - { computedCvss, rating }
+     */
+    scoreFinding(finding) {
+        const vectors = [
+            ...(finding.cvssVectors || []),
+            finding.cvss?.vector_string,
+            finding.cvss?.vectorString,
+            finding.cvssSeverities?.cvss_v3?.vector_string,
+            finding.cvssSeverities?.cvss_v4?.vector_string
+        ].filter(Boolean);
+
+        const computedCvss = pickCvssScore(vectors);
+        if (computedCvss) {
+            return { computedCvss, rating: computedCvss.rating };
+        }
+
+        const severity = String(finding.severity || '').toLowerCase();
+        const rating = severity === 'moderate' ? 'medium' : severity;
+        return {
+            computedCvss: null,
+            rating: ['critical', 'high', 'medium', 'low', 'none'].includes(rating) ? rating : 'unknown'
+        };
+    },
+
+    /**
+     * Add EPSS and KEV data to merged entries that have a CVE id
+     */
+    async enrichWithExploitIntel(entries) {
+        for (const entry of entries) {
+            const cveIds = (entry.ids || [entry.id]).filter(id => /^CVE-/i.test(id));
+            if (cveIds.length === 0) continue;
+
+            const { epss, kev } = await exploitIntelService.lookup(cveIds);
+            entry.epss = epss;
+            entry.kev = kev;
+        }
+        return entries;
+    },
+
+    /**
+     * Sort entries by risk and number them with riskRank (1 = highest risk)
+     *
+     * Order: entries affecting the version first, then known exploited (KEV),
+     * then EPSS probability, then CVSS score or rating.
+     */
+    prioritize(entries) {
+        const ratingRank = { critical: 4, high: 3, medium: 2, low: 1 };
+        const riskKey = (entry) => [
+            entry.affected === false ? 0 : 1,
+            entry.kev?.known ? 1 : 0,
+            entry.epss?.score || 0,
+            entry.computedCvss?.score ?? (ratingRank[entry.rating] || 0) * 2.5
+        ];
+
+        return entries
+            .map(entry => ({ entry, key: riskKey(entry) }))
+            .sort((a, b) => {
+                for (let i = 0; i < a.key.length; i++) {
+                    if (a.key[i] !== b.key[i]) return b.key[i] - a.key[i];
+                }
+                return 0;
+            })
+            .map(({ entry }, index) => ({ ...entry, riskRank: index + 1 }));
+    },
+
     /**
      * Fetch vulnerabilities from all sources
+     *
+     * Every finding is marked with affected/matchedRange for the resolved
+     * version and scored from its CVSS vectors, then findings for the same
+     * vulnerability are merged across sources (see utils/vulnerabilityMerge.js)
+     * with the per-source findings kept under records. Summary counts bucket
+     * merged entries by computed rating and only include entries that affect
+     * the version (or could not be evaluated), the rest are counted as
+     * notAffected. Entries with CVE ids carry EPSS and KEV data when those
+     * feeds have been imported (see exploitIntelService).
+     *
+     * @param {Object} options
+     * @param {boolean} options.prioritize - Sort by combined risk rank instead of source order
      */
-    async getVulnerabilities(packageName, version = 'latest', source = 'all') {
+    async getVulnerabilities(packageName, version = 'latest', source = 'all', options = {}) {
+        const { prioritize = false } = options;
         const vulnerabilities = [];
         const sources = [];
 
-        // Fetch from OSV
-        if (source === 'all' || source === 'osv') {
-            const osvVulns = await this.fetchFromOSV(packageName, version);
+        // Fetch from OSV, OSV_SOURCE=local answers 'osv' from the imported dump
+        const useLocalOSV = source === 'osv-local' ||
+            (process.env.OSV_SOURCE === 'local' && (source === 'all' || source === 'osv'));
+        const localOnly = useLocalOSV && source !== 'all';
+
+        // Resolve tags like 'latest' first so ranges are checked against a concrete
+        // version. Exact versions and local-only lookups (which may run without
+        // network access) skip the registry.
+        let actualVersion = version;
+        if (!isConcreteVersion(version) && !localOnly) {
+            const { metadataService } = await import('./metadataService.js');
+            try {
+                const metadata = await metadataService.fetchFromNpmRegistry(packageName, version);
+                actualVersion = metadata.version;
+            } catch (error) {
+                // Use provided version if metadata fetch fails
+            }
+        }
+
+        if (useLocalOSV) {
+            const osvVulns = await this.fetchFromLocalOSV(packageName, actualVersion);
+            vulnerabilities.push(...osvVulns);
+            if (osvVulns.length > 0) sources.push('OSV-local');
+        } else if (source === 'all' || source === 'osv') {
+            const osvVulns = await this.fetchFromOSV(packageName, actualVersion);
             vulnerabilities.push(...osvVulns);
             if (osvVulns.length > 0) sources.push('OSV');
         }
 
         // Fetch from GitHub
         if (source === 'all' || source === 'github') {
-            const githubVulns = await this.fetchFromGitHub(packageName, version);
+            const githubVulns = await this.fetchFromGitHub(packageName, actualVersion);
             vulnerabilities.push(...githubVulns);
             if (githubVulns.length > 0) sources.push('GitHub');
         }
 
         // Fetch from npm audit
         if (source === 'all' || source === 'npm') {
-            const npmVulns = await this.runNpmAudit(packageName, version);
+            const npmVulns = await this.runNpmAudit(packageName, actualVersion);
             vulnerabilities.push(...npmVulns);
             if (npmVulns.length > 0) sources.push('npm-audit');
         }
 
-        // Get actual version
-        const { metadataService } = await import('./metadataService.js');
-        let actualVersion = version;
+        // Fetch from OSS Index, part of 'all' only when credentials are configured
+        if (source === 'ossindex' || (source === 'all' && ossIndexService.isConfigured())) {
+            const ossIndexVulns = await this.fetchFromOSSIndex(packageName, actualVersion);
+            vulnerabilities.push(...ossIndexVulns);
+            if (ossIndexVulns.length > 0) sources.push('OSS-Index');
+        }
+
+        for (const finding of vulnerabilities) {
+            Object.assign(finding, this.matchFinding(finding, packageName, actualVersion), this.scoreFinding(finding));
+        }
+
+        let merged = mergeFindings(vulnerabilities);
+
         try {
-            const metadata = await metadataService.fetchFromNpmRegistry(packageName, version);
-            actualVersion = metadata.version;
+            await this.enrichWithExploitIntel(merged);
         } catch (error) {
-            // Use provided version if metadata fetch fails
+            console.warn(`Error reading EPSS/KEV data for ${packageName}:`, error.message);
         }
 
+        if (prioritize) {
+            merged = this.prioritize(merged);
+        }
+
+        const affecting = merged.filter(v => v.affected !== false);
+
         return {
             package: {
                 name: packageName,
                 version: actualVersion
             },
-            vulnerabilities,
+            vulnerabilities: merged,
             summary: {
-                total: vulnerabilities.length,
-                critical: vulnerabilities.filter(v => v.severity === 'critical').length,
-                high: vulnerabilities.filter(v => v.severity === 'high').length,
-                medium: vulnerabilities.filter(v => v.severity === 'medium' || v.severity === 'moderate').length,
-                low: vulnerabilities.filter(v => v.severity === 'low').length
+                total: affecting.length,
+                critical: affecting.filter(v => v.rating === 'critical').length,
+                high: affecting.filter(v => v.rating === 'high').length,
+                medium: affecting.filter(v => v.rating === 'medium').length,
+                low: affecting.filter(v => v.rating === 'low').length,
+                unknown: affecting.filter(v => v.rating === 'unknown').length,
+                knownExploited: affecting.filter(v => v.kev?.known).length,
+                notAffected: merged.length - affecting.length,
+                sourceFindings: vulnerabilities.length
             },
             sources: sources.length > 0 ? sources : (source === 'all' ? ['OSV', 'GitHub', 'npm-audit'] : [source])
         };
@@ -0,0 +1,368 @@
+/**
+ * Service for tracing vulnerable packages back to the root of a dependency graph
+ *
+ * Works on a tree resolved from the registry (dependenciesService) or on a
+ * stored lockfile graph (lockfileService). Every registry package in the
+ * graph is looked up with vulnerabilitiesService.getVulnerabilities; for each
+ * affected one we list the paths from the root that pull it in, the shortest
+ * of them, whether only devDependencies lead to it, and which upgrade of a
+ * top-level dependency removes it from the tree.
+ */
+
+import semver from 'semver';
+import { boundedLimit, dependenciesService } from './dependenciesService.js';
+import { lockfileService } from './lockfileService.js';
+import { vulnerabilitiesService } from './vulnerabilitiesService.js';
+import { DependencyGraph } from '../utils/dependencyGraph.js';
+import { RequestCache } from '../utils/requestCache.js';
+
+// Edge types that install a package in production; anything reached only
+// through other edges (dev) is dev-only
+const PRODUCTION_TYPES = ['prod', 'optional', 'peer', 'bundled'];
+
+const DEFAULT_MAX_DEPTH = 5;
+const DEFAULT_MAX_PATHS = 50;
+// Server-side ceilings for the caller-supplied limits
+const MAX_DEPTH_CEILING = 10;
+const MAX_PATHS_CEILING = 1000;
+// Edges followed while enumerating the paths to one package; a dense graph
+// has far more partial paths than complete ones
+const MAX_WALK_STEPS = 100000;
+
+function isRegistryNode(node) {
+  return Boolean(node.version) && node.registry !== false && !node.workspace && Boolean(semver.valid(node.version));
+}
+
+/**
+ * Incoming edges per node id
+ */
+function incomingEdges(graph) {
+  const incoming = new Map();
+  for (const edge of graph.edges.values()) {
+    if (!incoming.has(edge.target)) incoming.set(edge.target, []);
+    incoming.get(edge.target).push(edge);
+  }
+  return incoming;
+}
+
+/**
+ * Simple paths from the root to a node, walking up its incoming edges
+ *
+ * Stops after maxPaths paths or maxSteps followed edges, whichever comes
+ * first; a path is dev-only when it goes through a dev edge.
+ *
+ * @returns {Object} - { paths: [{ path, devOnly }], truncated }
+ */
+function enumeratePaths(incoming, rootId, targetId, maxPaths, maxSteps = MAX_WALK_STEPS) {
+  const paths = [];
+  const onPath = new Set([targetId]);
+  let truncated = false;
+  let steps = 0;
+
+  const walk = (id, path, dev) => {
+    if (id === rootId) {
+      paths.push({ path, devOnly: dev });
+      return;
+    }
+    for (const edge of incoming.get(id) || []) {
+      if (truncated) return;
+      if (onPath.has(edge.source)) continue;
+      if (paths.length >= maxPaths || ++steps > maxSteps) {
+        truncated = true;
+        return;
+      }
+      onPath.add(edge.source);
+      walk(edge.source, [edge.source, ...path], dev || edge.dependencyType === 'dev');
+      onPath.delete(edge.source);
+    }
+  };
+
+  walk(targetId, [targetId], false);
+  return { paths, truncated };
+}
+
+/**
+ * Shortest path from the root to every node (breadth first)
+ */
+function shortestPaths(graph) {
+  const previous = new Map([[graph.rootId, null]]);
+  const queue = [graph.rootId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const edge of graph.getOutgoingEdges(id)) {
+      if (!previous.has(edge.target)) {
+        previous.set(edge.target, id);
+        queue.push(edge.target);
+      }
+    }
+  }
+
+  return (id) => {
+    if (!previous.has(id)) return null;
+    const path = [];
+    for (let current = id; current !== null; current = previous.get(current)) {
+      path.unshift(current);
+    }
+    return path;
+  };
+}
+
+/**
+ * Published versions to try when upgrading a dependency: the highest
+ * release of the current major and of each later major, oldest line first
+ */
+function upgradeCandidates(packument, currentVersion, limit) {
+  const latestByMajor = new Map();
+  const versions = Object.entries(packument?.versions || {})
+    .filter(([version, manifest]) =>
+      semver.valid(version) &&
+      !semver.prerelease(version) &&
+      !manifest.deprecated &&
+      semver.gt(version, currentVersion)
+    )
+    .map(([version]) => version)
+    .sort(semver.compare);
+
+  for (const version of versions) {
+    latestByMajor.set(semver.major(version), version);
+  }
+  return [...latestByMajor.values()].slice(0, limit);
+}
+
+/**
+ * Findings that affect the looked-up version, reduced to what a path report needs
+ */
+function affectingVulnerabilities(result) {
+  return (result?.vulnerabilities || [])
+    .filter(vulnerability => vulnerability.affected !== false)
+    .map(({ id, ids, severity, rating, summary, matchedRange }) => ({
+      id,
+      ids: ids || [id],
+      severity,
+      rating,
+      summary,
+      matchedRange
+    }));
+}
+
+export const vulnerablePathsService = {
+  /**
+   * Find the vulnerable packages of a dependency graph and the paths to them
+   *
+   * maxDepth and maxPaths fall back to their defaults when invalid and are
+   * capped at 10 and 1000. Path enumeration for a package also stops after
+   * 100000 edges; either limit sets its pathsTruncated.
+   *
+   * @param {Object} target - { packageName, version } to resolve from the
+   *   registry, or { graphId } of a stored lockfile graph
+   * @param {Object} options - { maxDepth = 5, source = 'all', maxPaths = 50,
+   *   suggestUpgrades = true, maxUpgradeCandidates = 5, concurrency = 4 }
+   */
+  async getVulnerablePaths(target, options = {}) {
+    const {
+      source = 'all',
+      suggestUpgrades = true,
+      maxUpgradeCandidates = 5,
+      concurrency = 4
+    } = options;
+    const maxDepth = boundedLimit(options.maxDepth, DEFAULT_MAX_DEPTH, MAX_DEPTH_CEILING);
+    const maxPaths = boundedLimit(options.maxPaths, DEFAULT_MAX_PATHS, MAX_PATHS_CEILING);
+
+    const packuments = dependenciesService.createPackumentCache();
+    const run = { packuments };
+    const { graph, graphId } = await this.loadGraph(target, maxDepth, run);
+    const root = graph.getNode(graph.rootId);
+
+    // One lookup per name@version, shared with the upgrade checks below
+    const lookups = new RequestCache(
+      key => {
+        const at = key.lastIndexOf('@');
+        return vulnerabilitiesService.getVulnerabilities(key.slice(0, at), key.slice(at + 1), source);
+      },
+      { concurrency }
+    );
+    const lookupErrors = [];
+    const vulnerabilitiesOf = async (node) => {
+      try {
+        return affectingVulnerabilities(await lookups.get(`${node.name}@${node.version}`));
+      } catch (error) {
+        console.warn(`Error fetching vulnerabilities for ${node.id}:`, error.message);
+        if (!lookupErrors.some(entry => entry.id === node.id)) {
+          lookupErrors.push({ id: node.id, error: error.message });
+        }
+        return [];
+      }
+    };
+
+    // A lockfile's root is the local project; a registry root is published
+    // and checked like any other package
+    const checked = [...graph.nodes.values()].filter(node =>
+      isRegistryNode(node) && (node.type !== 'root' || !graphId)
+    );
+    const findings = await Promise.all(checked.map(async node => ({ node, vulnerabilities: await vulnerabilitiesOf(node) })));
+
+    const incoming = incomingEdges(graph);
+    const shortestPathTo = shortestPaths(graph);
+    const production = graph.reachableFrom(graph.rootId, PRODUCTION_TYPES);
+
+    const vulnerablePackages = findings
+      .filter(({ vulnerabilities }) => vulnerabilities.length > 0)
+      .map(({ node, vulnerabilities }) => {
+        const { paths, truncated } = enumeratePaths(incoming, graph.rootId, node.id, maxPaths);
+        return {
+          id: node.id,
+          name: node.name,
+          version: node.version,
+          depth: node.depth,
+          devOnly: !production.has(node.id),
+          vulnerabilities,
+          shortestPath: shortestPathTo(node.id),
+          paths: paths.map(({ path, devOnly }) => ({ path, length: path.length - 1, devOnly })),
+          pathsTruncated: truncated,
+          // Top-level dependencies the package is reached through
+          via: [...new Set(paths.filter(({ path }) => path.length > 1).map(({ path }) => path[1]))]
+        };
+      })
+      .sort((a, b) => a.depth - b.depth || a.id.localeCompare(b.id));
+
+    const upgrades = suggestUpgrades
+      ? await this.suggestUpgrades(graph, vulnerablePackages, {
+        maxDepth,
+        maxUpgradeCandidates,
+        packuments,
+        vulnerabilitiesOf
+      })
+      : [];
+
+    for (const vulnerable of vulnerablePackages) {
+      const fixes = upgrades.filter(upgrade => upgrade.fixes.includes(vulnerable.id));
+      vulnerable.fixedBy = fixes.map(({ dependency, to }) => ({ dependency, to }));
+      // Every top-level dependency leading to the package has to be upgraded
+      vulnerable.fixable = vulnerable.via.length > 0 && !vulnerable.pathsTruncated &&
+        vulnerable.via.every(id => fixes.some(upgrade => upgrade.id === id));
+    }
+
+    const uniqueVulnerabilities = new Set(vulnerablePackages.flatMap(pkg => pkg.vulnerabilities.map(v => v.id)));
+
+    return {
+      package: { name: root.name, version: root.version },
+      ...(graphId && { graphId }),
+      vulnerablePackages,
+      upgrades,
+      statistics: {
+        packagesChecked: checked.length,
+        vulnerablePackages: vulnerablePackages.length,
+        uniqueVulnerabilities: uniqueVulnerabilities.size,
+        devOnlyPackages: vulnerablePackages.filter(pkg => pkg.devOnly).length,
+        totalPaths: vulnerablePackages.reduce((sum, pkg) => sum + pkg.paths.length, 0),
+        fixablePackages: vulnerablePackages.filter(pkg => pkg.fixable).length,
+        lookupErrors: lookupErrors.length,
+        graphTruncated: graph.getStatistics().truncated,
+        registryRequests: packuments.getStatistics(),
+        vulnerabilityLookups: lookups.getStatistics()
+      },
+      ...(lookupErrors.length > 0 && { errors: lookupErrors })
+    };
+  },
+
+  /**
+   * The graph to analyze: a stored lockfile graph or a tree resolved from
+   * the registry
+   */
+  async loadGraph({ packageName, version = 'latest', graphId }, maxDepth, run) {
+    if (graphId) {
+      const stored = await lockfileService.getGraph(graphId);
+      return { graph: DependencyGraph.fromJSON(stored.dependencyGraph), graphId };
+    }
+    return { graph: await dependenciesService.buildDependencyGraph(packageName, version, maxDepth, run) };
+  },
+
+  /**
+   * For each top-level dependency leading to a vulnerable package, find the
+   * first candidate version (see upgradeCandidates) whose resolved tree no
+   * longer contains the vulnerabilities, or the one removing the most
+   *
+   * @returns {Promise<Array>} - { id, dependency, from, to, range,
+   *   withinRange, breaking, fixes, remaining, candidatesChecked } entries;
+   *   to is null when no candidate removes any of them
+   */
+  async suggestUpgrades(graph, vulnerablePackages, { maxDepth, maxUpgradeCandidates, packuments, vulnerabilitiesOf }) {
+    const directIds = [...new Set(vulnerablePackages.flatMap(pkg => pkg.via))];
+
+    return Promise.all(directIds.map(async (id) => {
+      const direct = graph.getNode(id);
+      const edge = graph.getOutgoingEdges(graph.rootId).find(candidate => candidate.target === id);
+      const reached = vulnerablePackages.filter(pkg => pkg.via.includes(id));
+      const suggestion = {
+        id,
+        dependency: direct.name,
+        from: direct.version,
+        to: null,
+        range: edge?.range ?? null,
+        withinRange: false,
+        breaking: false,
+        fixes: [],
+        remaining: reached.map(pkg => pkg.id),
+        candidatesChecked: []
+      };
+      if (!isRegistryNode(direct)) return suggestion;
+
+      let packument;
+      try {
+        packument = await packuments.get(direct.name);
+      } catch (error) {
+        console.warn(`Error fetching metadata for ${direct.name}:`, error.message);
+        return suggestion;
+      }
+
+      // Deep enough to reach every vulnerable package the way it is reached today
+      const depth = Math.max(maxDepth, ...reached.flatMap(pkg =>
+        pkg.paths.filter(({ path }) => path[1] === id).map(({ path }) => path.length - 2)
+      ));
+
+      for (const candidate of upgradeCandidates(packument, direct.version, maxUpgradeCandidates)) {
+        let candidateGraph;
+        try {
+          candidateGraph = await dependenciesService.buildDependencyGraph(direct.name, candidate, depth, { packuments });
+        } catch (error) {
+          console.warn(`Error resolving ${direct.name}@${candidate}:`, error.message);
+          continue;
+        }
+
+        const remaining = [];
+        for (const pkg of reached) {
+          const ids = new Set(pkg.vulnerabilities.flatMap(vulnerability => vulnerability.ids));
+          const sameName = [...candidateGraph.nodes.values()].filter(node => node.name === pkg.name && isRegistryNode(node));
+          for (const node of sameName) {
+            const found = await vulnerabilitiesOf(node);
+            if (found.some(vulnerability => vulnerability.ids.some(vulnerabilityId => ids.has(vulnerabilityId)))) {
+              remaining.push(pkg.id);
+              break;
+            }
+          }
+        }
+
+        suggestion.candidatesChecked.push({
+          version: candidate,
+          remaining: remaining.length,
+          ...(candidateGraph.getStatistics().truncated && { truncated: true })
+        });
+
+        if (remaining.length < suggestion.remaining.length) {
+          Object.assign(suggestion, {
+            to: candidate,
+            withinRange: Boolean(edge?.range && semver.validRange(edge.range) && semver.satisfies(candidate, edge.range)),
+            breaking: semver.major(candidate) !== semver.major(direct.version),
+            fixes: reached.map(pkg => pkg.id).filter(pkgId => !remaining.includes(pkgId)),
+            remaining
+          });
+        }
+        if (remaining.length === 0) break;
+      }
+
+      return suggestion;
+    }));
+  }
+};
+
+export default vulnerablePathsService;
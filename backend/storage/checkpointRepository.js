@@ -0,0 +1,125 @@
+/**
+ * Repository for batch collection checkpoints
+ *
+ * A checkpoint records every package of a batch with its status
+ * (pending, completed or failed) and the options the batch was started with,
+ * so an interrupted batch can be resumed without re-collecting finished
+ * packages and failed packages can be retried as a group.
+ */
+
+import { randomUUID } from 'crypto';
+
+const CHECKPOINTS_COLLECTION = 'checkpoints';
+
+export const ENTRY_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const CHECKPOINT_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Count entries per status
+ */
+export function countEntries(entries) {
+  const counts = { total: entries.length, pending: 0, completed: 0, failed: 0 };
+  for (const entry of entries) {
+    counts[entry.status]++;
+  }
+  return counts;
+}
+
+export class CheckpointRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Create a checkpoint for a new batch
+   *
+   * @param {Array} packageList - Array of { name, version } objects
+   * @param {Object} options - Collection options to reuse on resume/retry
+   */
+  async create(packageList, options = {}) {
+    const now = new Date().toISOString();
+    const entries = packageList.map(({ name, version = 'latest' }, index) => ({
+      index,
+      name,
+      version,
+      status: ENTRY_STATUS.PENDING,
+      attempts: 0,
+      error: null,
+      resolvedVersion: null,
+      updatedAt: null
+    }));
+
+    const checkpoint = {
+      id: randomUUID(),
+      status: CHECKPOINT_STATUS.IN_PROGRESS,
+      options,
+      entries,
+      counts: countEntries(entries),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.storage.put(CHECKPOINTS_COLLECTION, checkpoint.id, checkpoint);
+    return checkpoint;
+  }
+
+  async get(checkpointId) {
+    return this.storage.get(CHECKPOINTS_COLLECTION, checkpointId);
+  }
+
+  /**
+   * Recompute counters and status, then persist the checkpoint
+   */
+  async save(checkpoint) {
+    checkpoint.counts = countEntries(checkpoint.entries);
+    checkpoint.updatedAt = new Date().toISOString();
+    await this.storage.put(CHECKPOINTS_COLLECTION, checkpoint.id, checkpoint);
+    return checkpoint;
+  }
+
+  /**
+   * Move every failed entry back to pending
+   */
+  async resetFailed(checkpointId) {
+    const checkpoint = await this.get(checkpointId);
+    if (!checkpoint) {
+      return null;
+    }
+
+    for (const entry of checkpoint.entries) {
+      if (entry.status === ENTRY_STATUS.FAILED) {
+        entry.status = ENTRY_STATUS.PENDING;
+      }
+    }
+    checkpoint.status = CHECKPOINT_STATUS.IN_PROGRESS;
+
+    return this.save(checkpoint);
+  }
+
+  /**
+   * List checkpoints without their entries, newest first
+   */
+  async list(options = {}) {
+    const { status, limit = 50 } = options;
+
+    const checkpoints = await this.storage.list(CHECKPOINTS_COLLECTION, {
+      filter: (checkpoint) => !status || checkpoint.status === status
+    });
+
+    return checkpoints
+      .map(({ entries, ...checkpoint }) => checkpoint)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+}
+
+export default CheckpointRepository;
@@ -0,0 +1,65 @@
+/**
+ * Repository for dependency graphs built from lockfiles
+ *
+ * Each graph is stored whole under a generated id so later requests
+ * (vulnerabilities, licenses, SBOM) can refer to it by graphId.
+ */
+
+import { randomUUID } from 'crypto';
+
+const GRAPHS_COLLECTION = 'dependencyGraphs';
+
+// Bumped on every save or delete so derived data (e.g. the dependents index)
+// knows when to rebuild
+let revision = 0;
+
+/**
+ * Revision of the stored graphs in this process
+ */
+export function getGraphsRevision() {
+  return revision;
+}
+
+export class DependencyGraphRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Store a graph under a new id
+   *
+   * @param {Object} graph - Graph in the getIndirectDependencies structure
+   * @param {Object} options - { source } describing where the graph came from
+   */
+  async save(graph, { source = null } = {}) {
+    const record = {
+      ...graph,
+      id: randomUUID(),
+      source,
+      createdAt: new Date().toISOString()
+    };
+    await this.storage.put(GRAPHS_COLLECTION, record.id, record);
+    revision++;
+    return record;
+  }
+
+  async get(graphId) {
+    return this.storage.get(GRAPHS_COLLECTION, graphId);
+  }
+
+  async delete(graphId) {
+    const deleted = await this.storage.delete(GRAPHS_COLLECTION, graphId);
+    revision++;
+    return deleted;
+  }
+
+  /**
+   * List stored graphs without their nodes and edges, newest first
+   */
+  async list() {
+    const graphs = await this.storage.list(GRAPHS_COLLECTION);
+    return graphs
+      .map(({ dependencyGraph, transitiveDependencies, unresolved, ...summary }) => summary)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
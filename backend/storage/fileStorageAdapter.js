@@ -0,0 +1,217 @@
+/**
+ * File-backed storage adapter
+ *
+ * Persists every record as a JSON file under
+ * {baseDir}/{collection}/{encoded id}.json so collected data survives restarts
+ * without requiring an external database.
+ *
+ * Parsed records of listed collections are cached in memory. The cache is
+ * keyed by the collection directory's mtime, which every put/delete (and any
+ * write from another process) bumps, so list() only re-reads files after the
+ * collection has changed outside this adapter.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+function encodeId(id) {
+  return `${encodeURIComponent(String(id))}.json`;
+}
+
+function decodeId(fileName) {
+  return decodeURIComponent(fileName.slice(0, -'.json'.length));
+}
+
+export class FileStorageAdapter {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.writeCounter = 0;
+    this.listCache = new Map();
+  }
+
+  collectionDir(collection) {
+    return path.join(this.baseDir, collection);
+  }
+
+  recordPath(collection, id) {
+    return path.join(this.collectionDir(collection), encodeId(id));
+  }
+
+  async collectionMtime(collection) {
+    try {
+      const stats = await fs.stat(this.collectionDir(collection));
+      return stats.mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Keep a cached collection in step with a write made through this adapter
+   */
+  async updateListCache(collection, id, record) {
+    const cached = this.listCache.get(collection);
+    if (!cached) return;
+
+    if (record === undefined) {
+      cached.records.delete(String(id));
+    } else {
+      cached.records.set(String(id), structuredClone(record));
+    }
+    cached.mtimeMs = await this.collectionMtime(collection);
+  }
+
+  /**
+   * Load every record of a collection, reusing the cache while the collection
+   * directory is unchanged
+   */
+  async loadCollection(collection) {
+    const mtimeMs = await this.collectionMtime(collection);
+    if (mtimeMs === null) {
+      this.listCache.delete(collection);
+      return new Map();
+    }
+
+    const cached = this.listCache.get(collection);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.records;
+    }
+
+    const records = new Map();
+    for (const id of await this.listIds(collection)) {
+      const record = await this.get(collection, id);
+      if (record) {
+        records.set(id, record);
+      }
+    }
+
+    this.listCache.set(collection, { mtimeMs, records });
+    return records;
+  }
+
+  /**
+   * Get a single record, or null if it does not exist
+   */
+  async get(collection, id) {
+    try {
+      const content = await fs.readFile(this.recordPath(collection, id), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a record
+   *
+   * Writes go to a temporary file first and are renamed into place so a
+   * crash never leaves a half-written record behind.
+   */
+  async put(collection, id, record) {
+    const dir = this.collectionDir(collection);
+    await fs.mkdir(dir, { recursive: true });
+
+    const target = this.recordPath(collection, id);
+    const tempFile = `${target}.${process.pid}.${++this.writeCounter}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(record), 'utf8');
+    await fs.rename(tempFile, target);
+    await this.updateListCache(collection, id, record);
+
+    return record;
+  }
+
+  /**
+   * Create or replace several records in one collection
+   */
+  async putMany(collection, entries) {
+    for (const { id, record } of entries) {
+      await this.put(collection, id, record);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Delete a record, returning whether it existed
+   */
+  async delete(collection, id) {
+    try {
+      await fs.unlink(this.recordPath(collection, id));
+      await this.updateListCache(collection, id, undefined);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List ids stored in a collection
+   */
+  async listIds(collection) {
+    try {
+      const entries = await fs.readdir(this.collectionDir(collection));
+      return entries
+        .filter(entry => entry.endsWith('.json'))
+        .map(decodeId)
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List records in a collection
+   *
+   * @param {string} collection - Collection name
+   * @param {Object} options
+   * @param {string} options.prefix - Only consider ids starting with this prefix
+   * @param {Function} options.filter - Predicate applied to each record
+   * @param {number} options.limit - Maximum number of records to return
+   * @param {number} options.offset - Number of matching records to skip
+   */
+  async list(collection, options = {}) {
+    const { prefix, filter, limit = Infinity, offset = 0 } = options;
+    const cached = await this.loadCollection(collection);
+    const ids = [...cached.keys()]
+      .filter(id => !prefix || id.startsWith(prefix))
+      .sort();
+    const records = [];
+    let skipped = 0;
+
+    for (const id of ids) {
+      const record = cached.get(id);
+      if (filter && !filter(record)) continue;
+
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+
+      records.push(structuredClone(record));
+      if (records.length >= limit) break;
+    }
+
+    return records;
+  }
+
+  /**
+   * Remove every record in a collection
+   */
+  async clear(collection) {
+    await fs.rm(this.collectionDir(collection), { recursive: true, force: true });
+    this.listCache.delete(collection);
+  }
+}
+
+export default FileStorageAdapter;
@@ -0,0 +1,76 @@
+/**
+ * Storage subsystem
+ *
+ * Collected data is persisted through a storage adapter. Adapters are small
+ * key/value stores grouped into named collections and must implement:
+ *
+ * - get(collection, id)                 → record or null
+ * - put(collection, id, record)         → record
+ * - putMany(collection, [{ id, record }]) → number of records written
+ * - delete(collection, id)              → boolean
+ * - listIds(collection)                 → array of ids
+ * - list(collection, { prefix, filter, limit, offset }) → array of records
+ * - clear(collection)
+ *
+ * The adapter is selected with STORAGE_ADAPTER ('file' by default, or
+ * 'memory'). The file adapter writes under STORAGE_DIR (default: backend/data).
+ * Additional adapters (e.g. PostgreSQL) can be plugged in with
+ * registerStorageAdapter().
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileStorageAdapter } from './fileStorageAdapter.js';
+import { MemoryStorageAdapter } from './memoryStorageAdapter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '../data');
+
+const adapterFactories = {
+  file: (options) => new FileStorageAdapter(options.dir || process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR),
+  memory: () => new MemoryStorageAdapter()
+};
+
+let defaultStorage = null;
+
+/**
+ * Register a custom storage adapter factory
+ *
+ * @param {string} name - Adapter name used in STORAGE_ADAPTER
+ * @param {Function} factory - Receives the options passed to createStorage and returns an adapter
+ */
+export function registerStorageAdapter(name, factory) {
+  adapterFactories[name] = factory;
+}
+
+/**
+ * Create a new storage adapter instance
+ */
+export function createStorage(options = {}) {
+  const adapterName = options.adapter || process.env.STORAGE_ADAPTER || 'file';
+  const factory = adapterFactories[adapterName];
+
+  if (!factory) {
+    throw new Error(`Unknown storage adapter: ${adapterName}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Get the shared storage adapter used by the API
+ */
+export function getStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createStorage();
+  }
+  return defaultStorage;
+}
+
+export default {
+  registerStorageAdapter,
+  createStorage,
+  getStorage
+};
@@ -0,0 +1,73 @@
+/**
+ * In-memory storage adapter
+ *
+ * Implements the same interface as FileStorageAdapter but keeps everything in
+ * process memory. Useful for local experiments and short-lived workers where
+ * persistence is not wanted.
+ */
+
+export class MemoryStorageAdapter {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  async get(collection, id) {
+    const record = this.getCollection(collection).get(String(id));
+    return record === undefined ? null : structuredClone(record);
+  }
+
+  async put(collection, id, record) {
+    this.getCollection(collection).set(String(id), structuredClone(record));
+    return record;
+  }
+
+  async putMany(collection, entries) {
+    for (const { id, record } of entries) {
+      await this.put(collection, id, record);
+    }
+    return entries.length;
+  }
+
+  async delete(collection, id) {
+    return this.getCollection(collection).delete(String(id));
+  }
+
+  async listIds(collection) {
+    return [...this.getCollection(collection).keys()].sort();
+  }
+
+  async list(collection, options = {}) {
+    const { prefix, filter, limit = Infinity, offset = 0 } = options;
+    const ids = (await this.listIds(collection)).filter(id => !prefix || id.startsWith(prefix));
+    const records = [];
+    let skipped = 0;
+
+    for (const id of ids) {
+      const record = await this.get(collection, id);
+      if (filter && !filter(record)) continue;
+
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+
+      records.push(record);
+      if (records.length >= limit) break;
+    }
+
+    return records;
+  }
+
+  async clear(collection) {
+    this.collections.delete(collection);
+  }
+}
+
+export default MemoryStorageAdapter;
@@ -0,0 +1,195 @@
+/**
+ * Repository for collected package data
+ *
+ * Stores the output of DataCollectionOrchestrator.collectPackageData per
+ * name@version. Each data type lives in its own collection so it can be
+ * queried independently, and the 'packages' collection keeps an index entry
+ * describing what has been collected for each package version.
+ */
+
+export const PACKAGE_SECTIONS = ['metadata', 'dependencies', 'vulnerabilities', 'github', 'staticAnalysis'];
+
+const PACKAGES_COLLECTION = 'packages';
+
+// Bumped on every save or delete so derived data (e.g. the dependents index)
+// knows when to rebuild
+let revision = 0;
+
+/**
+ * Revision of the collected package data in this process
+ */
+export function getPackagesRevision() {
+  return revision;
+}
+
+export function packageId(packageName, version) {
+  return `${packageName}@${version}`;
+}
+
+/**
+ * Drop the full packument version map from metadata, keeping only the
+ * manifest of the collected version and the list of published versions
+ */
+function compactMetadata(metadata) {
+  const { versions = {}, ...rest } = metadata;
+  return {
+    ...rest,
+    versions: versions[metadata.version] ? { [metadata.version]: versions[metadata.version] } : {},
+    versionList: Object.keys(versions)
+  };
+}
+
+export class PackageRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Persist the results of a package collection
+   */
+  async savePackageCollection(collectionResults) {
+    const { packageName, data = {} } = collectionResults;
+    const version = data.metadata?.version || collectionResults.version;
+    const id = packageId(packageName, version);
+
+    const sections = [];
+    const errors = {};
+
+    for (const section of PACKAGE_SECTIONS) {
+      const sectionData = data[section];
+      if (!sectionData) continue;
+
+      if (sectionData.error) {
+        errors[section] = sectionData.error;
+        continue;
+      }
+
+      const record = section === 'metadata' ? compactMetadata(sectionData) : sectionData;
+      await this.storage.put(section, id, {
+        id,
+        name: packageName,
+        version,
+        collectedAt: collectionResults.collectedAt,
+        data: record
+      });
+      sections.push(section);
+    }
+
+    const existing = await this.storage.get(PACKAGES_COLLECTION, id);
+    const entry = {
+      id,
+      name: packageName,
+      version,
+      requestedVersion: collectionResults.version,
+      firstCollectedAt: existing?.firstCollectedAt || collectionResults.collectedAt,
+      collectedAt: collectionResults.collectedAt,
+      sections: [...new Set([...(existing?.sections || []), ...sections])],
+      errors
+    };
+    await this.storage.put(PACKAGES_COLLECTION, id, entry);
+    revision++;
+
+    return entry;
+  }
+
+  /**
+   * Find the index entry for a package version
+   *
+   * 'latest' (or no version) resolves to the most recently collected version.
+   */
+  async findPackage(packageName, version = 'latest') {
+    if (version && version !== 'latest') {
+      return this.storage.get(PACKAGES_COLLECTION, packageId(packageName, version));
+    }
+
+    const versions = await this.listPackages({ packageName });
+    return versions[0] || null;
+  }
+
+  /**
+   * Get collected data for a package version
+   *
+   * @param {string} packageName - Package name
+   * @param {string} version - Exact version or 'latest'
+   * @param {Array<string>} sections - Sections to include (defaults to all)
+   */
+  async getPackage(packageName, version = 'latest', sections = PACKAGE_SECTIONS) {
+    const entry = await this.findPackage(packageName, version);
+    if (!entry) {
+      return null;
+    }
+
+    const data = {};
+    for (const section of sections) {
+      if (!entry.sections.includes(section)) continue;
+      const record = await this.storage.get(section, entry.id);
+      if (record) {
+        data[section] = record.data;
+      }
+    }
+
+    return {
+      ...entry,
+      data
+    };
+  }
+
+  /**
+   * Get a single section of collected data
+   */
+  async getSection(packageName, version, section) {
+    const entry = await this.findPackage(packageName, version);
+    if (!entry) {
+      return null;
+    }
+    const record = await this.storage.get(section, entry.id);
+    return record ? record.data : null;
+  }
+
+  /**
+   * List the records of one section across all collected package versions
+   *
+   * @param {string} section - One of PACKAGE_SECTIONS
+   * @returns {Promise<Array>} - { id, name, version, collectedAt, data } records
+   */
+  async listSection(section) {
+    return this.storage.list(section);
+  }
+
+  /**
+   * List collected package versions, most recently collected first
+   */
+  async listPackages(options = {}) {
+    const { packageName, limit = Infinity, offset = 0 } = options;
+
+    const entries = await this.storage.list(PACKAGES_COLLECTION, {
+      prefix: packageName ? `${packageName}@` : undefined,
+      filter: packageName ? (entry) => entry.name === packageName : undefined
+    });
+
+    entries.sort((a, b) => new Date(b.collectedAt) - new Date(a.collectedAt));
+
+    return entries.slice(offset, offset + limit);
+  }
+
+  /**
+   * Delete all collected data for a package version
+   */
+  async deletePackage(packageName, version) {
+    const id = packageId(packageName, version);
+    const entry = await this.storage.get(PACKAGES_COLLECTION, id);
+    if (!entry) {
+      return false;
+    }
+
+    for (const section of PACKAGE_SECTIONS) {
+      await this.storage.delete(section, id);
+    }
+    await this.storage.delete(PACKAGES_COLLECTION, id);
+    revision++;
+
+    return true;
+  }
+}
+
+export default PackageRepository;
@@ -0,0 +1,209 @@
+/**
+ * Repository for analyst VEX statements
+ *
+ * A statement records an analyst's decision about one vulnerability in one
+ * product, identified by package URL. Products without a version
+ * (pkg:npm/lodash) apply to every version of the package, versioned ones
+ * (pkg:npm/lodash@4.17.20) take precedence for that version. Statements are
+ * kept in OpenVEX terms and reused each time a VEX document is generated.
+ *
+ * Products are stored in one canonical form (scope encoded as %40, no
+ * qualifiers or subpath), so 'pkg:npm/@babel/core@7.0.0' and
+ * 'pkg:npm/%40babel/core@7.0.0' name the same product.
+ */
+
+import { randomUUID } from 'crypto';
+
+const STATEMENTS_COLLECTION = 'vexStatements';
+
+export const VEX_STATUS = {
+  AFFECTED: 'affected',
+  NOT_AFFECTED: 'not_affected',
+  FIXED: 'fixed',
+  UNDER_INVESTIGATION: 'under_investigation'
+};
+
+// OpenVEX status justifications for not_affected
+export const VEX_JUSTIFICATIONS = [
+  'component_not_present',
+  'vulnerable_code_not_present',
+  'vulnerable_code_not_in_execute_path',
+  'vulnerable_code_cannot_be_controlled_by_adversary',
+  'inline_mitigations_already_exist'
+];
+
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const OPTIONAL_STRING_FIELDS = ['justification', 'impactStatement', 'actionStatement', 'author'];
+
+/**
+ * Canonical form of an npm package URL, or null when it is not one
+ *
+ * pkg:npm/@scope/name@1.0.0?qualifiers#subpath → pkg:npm/%40scope/name@1.0.0
+ */
+export function normalizePurl(purl) {
+  if (typeof purl !== 'string') return null;
+
+  const match = /^pkg:npm\/([^?#]+)/i.exec(purl.trim());
+  if (!match) return null;
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(match[1]);
+  } catch {
+    return null;
+  }
+
+  const at = decoded.lastIndexOf('@');
+  const hasVersion = at > 0;
+  const name = (hasVersion ? decoded.slice(0, at) : decoded).toLowerCase();
+  const version = hasVersion ? decoded.slice(at + 1) : null;
+
+  if (!name || name === '@' || (hasVersion && !version)) return null;
+
+  const encodedName = name.replace(/^@/, '%40');
+  return version ? `pkg:npm/${encodedName}@${version}` : `pkg:npm/${encodedName}`;
+}
+
+/**
+ * Check the types of a statement's fields, throwing a 400 error on invalid input
+ */
+function validateInput(input) {
+  if (typeof input.vulnerability !== 'string' || !input.vulnerability.trim()) {
+    throw validationError('vulnerability is required and must be a string');
+  }
+
+  if (!normalizePurl(input.product)) {
+    throw validationError('product must be an npm package URL, e.g. pkg:npm/lodash@4.17.20');
+  }
+
+  for (const field of OPTIONAL_STRING_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') {
+      throw validationError(`${field} must be a string`);
+    }
+  }
+}
+
+/**
+ * Validate a statement, throwing a 400 error on invalid input
+ */
+function validateStatement(statement) {
+  if (!Object.values(VEX_STATUS).includes(statement.status)) {
+    throw validationError(`status must be one of: ${Object.values(VEX_STATUS).join(', ')}`);
+  }
+
+  if (statement.justification && !VEX_JUSTIFICATIONS.includes(statement.justification)) {
+    throw validationError(`justification must be one of: ${VEX_JUSTIFICATIONS.join(', ')}`);
+  }
+
+  if (statement.status === VEX_STATUS.NOT_AFFECTED && !statement.justification && !statement.impactStatement) {
+    throw validationError('not_affected statements require a justification or impactStatement');
+  }
+
+  if (statement.status === VEX_STATUS.AFFECTED && !statement.actionStatement) {
+    throw validationError('affected statements require an actionStatement');
+  }
+}
+
+export class VexStatementRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Create or replace the statement for a vulnerability and product
+   */
+  async save(input) {
+    validateInput(input);
+
+    const statement = {
+      vulnerability: input.vulnerability.trim(),
+      product: normalizePurl(input.product),
+      status: input.status,
+      justification: input.justification || null,
+      impactStatement: input.impactStatement || null,
+      actionStatement: input.actionStatement || null,
+      author: input.author || null
+    };
+
+    validateStatement(statement);
+
+    const existing = await this.find(statement.vulnerability, statement.product);
+    const now = new Date().toISOString();
+    const saved = {
+      id: existing?.id || randomUUID(),
+      ...statement,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    await this.storage.put(STATEMENTS_COLLECTION, saved.id, saved);
+    return saved;
+  }
+
+  async get(statementId) {
+    return this.storage.get(STATEMENTS_COLLECTION, statementId);
+  }
+
+  async delete(statementId) {
+    return this.storage.delete(STATEMENTS_COLLECTION, statementId);
+  }
+
+  /**
+   * Find the statement for an exact vulnerability and product
+   */
+  async find(vulnerability, product) {
+    product = normalizePurl(product);
+    const [statement] = await this.storage.list(STATEMENTS_COLLECTION, {
+      filter: (s) => s.vulnerability.toUpperCase() === vulnerability.toUpperCase() && normalizePurl(s.product) === product,
+      limit: 1
+    });
+    return statement || null;
+  }
+
+  /**
+   * List statements, optionally for one vulnerability or package
+   *
+   * @param {Object} filters
+   * @param {string} filters.vulnerability - Vulnerability id
+   * @param {string} filters.packagePurl - Version-less package URL, matches all versions
+   */
+  async list({ vulnerability, packagePurl } = {}) {
+    packagePurl = packagePurl && normalizePurl(packagePurl);
+    const matchesPackage = (product) =>
+      product === packagePurl || Boolean(product?.startsWith(`${packagePurl}@`));
+    const statements = await this.storage.list(STATEMENTS_COLLECTION, {
+      filter: (s) =>
+        (!vulnerability || s.vulnerability.toUpperCase() === vulnerability.toUpperCase()) &&
+        (!packagePurl || matchesPackage(normalizePurl(s.product)))
+    });
+    return statements.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * Statements applying to a package version, keyed by upper-cased vulnerability id
+   *
+   * Versioned statements override version-less ones for the same vulnerability.
+   */
+  async getForPackageVersion(productPurl, packagePurl) {
+    productPurl = normalizePurl(productPurl);
+    packagePurl = normalizePurl(packagePurl);
+    // Statements saved before products were normalized may use another form
+    const statements = (await this.storage.list(STATEMENTS_COLLECTION, {
+      filter: (s) => [productPurl, packagePurl].includes(normalizePurl(s.product))
+    })).map(s => ({ ...s, product: normalizePurl(s.product) }));
+
+    const byVulnerability = new Map();
+    for (const statement of statements.filter(s => s.product === packagePurl)) {
+      byVulnerability.set(statement.vulnerability.toUpperCase(), statement);
+    }
+    for (const statement of statements.filter(s => s.product === productPurl)) {
+      byVulnerability.set(statement.vulnerability.toUpperCase(), statement);
+    }
+    return byVulnerability;
+  }
+}
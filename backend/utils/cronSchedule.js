@@ -0,0 +1,192 @@
+/**
+ * Cron schedule helpers
+ *
+ * node-cron runs tasks but cannot tell when a task will run next, so this
+ * expands cron expressions into the value lists node-cron 3 matches against
+ * (names, ranges and steps) and searches for the next matching time.
+ */
+
+import cron from 'node-cron';
+
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEK_DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// [min, max, names] of the second, minute, hour, day of month, month and day of week fields
+const FIELDS = [
+  [0, 59],
+  [0, 59],
+  [0, 23],
+  [1, 31],
+  [1, 12, MONTH_NAMES],
+  [0, 7, WEEK_DAY_NAMES]
+];
+
+/**
+ * Replace month or week day names (full or abbreviated) with their numbers
+ */
+function replaceNames(field, names, first) {
+  return field.replace(/[a-z]+/gi, (word) => {
+    const index = names.indexOf(word.slice(0, 3).toLowerCase());
+    return index === -1 ? word : String(index + first);
+  });
+}
+
+/**
+ * Expand one field into the set of values it matches
+ *
+ * Steps keep the values divisible by the step, as node-cron 3 does
+ * (e.g. '1-10/3' matches 3, 6 and 9).
+ */
+function expandField(field, [min, max, names]) {
+  const values = new Set();
+  const normalized = names ? replaceNames(field, names, min) : field;
+
+  for (const part of normalized.split(',')) {
+    const [base, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    let [start, end] = base === '*' ? [min, max] : base.split('-').map(Number);
+    if (end === undefined) end = start;
+    if (start > end) [start, end] = [end, start];
+
+    for (let value = start; value <= end; value++) {
+      if (stepText === undefined || value % step === 0) {
+        values.add(value);
+      }
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a validated cron expression into value sets for
+ * [seconds, minutes, hours, daysOfMonth, months, daysOfWeek]
+ */
+function parseExpression(expression) {
+  const parts = expression.trim().split(/\s+/);
+  const fields = parts.length === 5 ? ['0', ...parts] : parts;
+  const sets = fields.map((field, index) => expandField(field, FIELDS[index]));
+
+  // Both 0 and 7 mean Sunday
+  const daysOfWeek = sets[5];
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return sets;
+}
+
+/**
+ * Get the wall-clock time of an instant as a Date whose UTC fields hold the
+ * local (or timezone) date and time
+ */
+function toWallClock(date, timezone) {
+  if (!timezone) {
+    return new Date(Date.UTC(
+      date.getFullYear(), date.getMonth(), date.getDate(),
+      date.getHours(), date.getMinutes(), date.getSeconds()
+    ));
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(p => p.type === type).value);
+  return new Date(Date.UTC(
+    value('year'), value('month') - 1, value('day'),
+    value('hour'), value('minute'), value('second')
+  ));
+}
+
+/**
+ * Convert a wall-clock time back to a real instant
+ */
+function fromWallClock(wallClock, timezone) {
+  if (!timezone) {
+    return new Date(
+      wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate(),
+      wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds()
+    );
+  }
+
+  // Resolve the timezone offset twice so instants near DST changes settle
+  let instant = new Date(wallClock.getTime());
+  for (let i = 0; i < 2; i++) {
+    const offset = toWallClock(instant, timezone).getTime() - instant.getTime();
+    instant = new Date(wallClock.getTime() - offset);
+  }
+  return instant;
+}
+
+/**
+ * Validate a cron expression (5 fields, or 6 with seconds)
+ */
+export function isValidCronExpression(expression) {
+  return typeof expression === 'string' && cron.validate(expression);
+}
+
+/**
+ * Compute the next time a cron expression fires after a given date
+ *
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start searching after this instant (default: now)
+ * @param {string} timezone - IANA timezone (default: server local time)
+ * @returns {Date|null} - Next run time, or null if none within five years
+ */
+export function getNextRunTime(expression, from = new Date(), timezone = undefined) {
+  const [seconds, minutes, hours, daysOfMonth, months, daysOfWeek] = parseExpression(expression);
+
+  const candidate = toWallClock(from, timezone);
+  candidate.setUTCSeconds(candidate.getUTCSeconds() + 1);
+
+  const limit = candidate.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (candidate.getTime() < limit) {
+    if (!months.has(candidate.getUTCMonth() + 1)) {
+      candidate.setUTCMonth(candidate.getUTCMonth() + 1, 1);
+      candidate.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!daysOfMonth.has(candidate.getUTCDate()) || !daysOfWeek.has(candidate.getUTCDay())) {
+      candidate.setUTCDate(candidate.getUTCDate() + 1);
+      candidate.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!hours.has(candidate.getUTCHours())) {
+      candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!minutes.has(candidate.getUTCMinutes())) {
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    if (!seconds.has(candidate.getUTCSeconds())) {
+      candidate.setUTCSeconds(candidate.getUTCSeconds() + 1, 0);
+      continue;
+    }
+
+    return fromWallClock(candidate, timezone);
+  }
+
+  return null;
+}
+
+export default {
+  isValidCronExpression,
+  getNextRunTime
+};
@@ -0,0 +1,142 @@
+/**
+ * CVSS vector parsing and base scoring
+ *
+ * Parses CVSS v3.0, v3.1 and v4.0 vectors, validates their base metrics and
+ * computes the base score with ae-cvss-calculator. Scores map to the
+ * qualitative ratings shared by v3 and v4: none, low, medium, high, critical.
+ */
+
+import cvssCalculator from 'ae-cvss-calculator';
+
+const { Cvss3P0, Cvss3P1, Cvss4P0 } = cvssCalculator;
+
+const CVSS3_BASE_METRICS = {
+  AV: { name: 'Attack Vector', values: { N: 'Network', A: 'Adjacent', L: 'Local', P: 'Physical' } },
+  AC: { name: 'Attack Complexity', values: { L: 'Low', H: 'High' } },
+  PR: { name: 'Privileges Required', values: { N: 'None', L: 'Low', H: 'High' } },
+  UI: { name: 'User Interaction', values: { N: 'None', R: 'Required' } },
+  S: { name: 'Scope', values: { U: 'Unchanged', C: 'Changed' } },
+  C: { name: 'Confidentiality', values: { N: 'None', L: 'Low', H: 'High' } },
+  I: { name: 'Integrity', values: { N: 'None', L: 'Low', H: 'High' } },
+  A: { name: 'Availability', values: { N: 'None', L: 'Low', H: 'High' } }
+};
+
+const CVSS4_BASE_METRICS = {
+  AV: { name: 'Attack Vector', values: { N: 'Network', A: 'Adjacent', L: 'Local', P: 'Physical' } },
+  AC: { name: 'Attack Complexity', values: { L: 'Low', H: 'High' } },
+  AT: { name: 'Attack Requirements', values: { N: 'None', P: 'Present' } },
+  PR: { name: 'Privileges Required', values: { N: 'None', L: 'Low', H: 'High' } },
+  UI: { name: 'User Interaction', values: { N: 'None', P: 'Passive', A: 'Active' } },
+  VC: { name: 'Vulnerable System Confidentiality', values: { H: 'High', L: 'Low', N: 'None' } },
+  VI: { name: 'Vulnerable System Integrity', values: { H: 'High', L: 'Low', N: 'None' } },
+  VA: { name: 'Vulnerable System Availability', values: { H: 'High', L: 'Low', N: 'None' } },
+  SC: { name: 'Subsequent System Confidentiality', values: { H: 'High', L: 'Low', N: 'None' } },
+  SI: { name: 'Subsequent System Integrity', values: { H: 'High', L: 'Low', N: 'None' } },
+  SA: { name: 'Subsequent System Availability', values: { H: 'High', L: 'Low', N: 'None' } }
+};
+
+const VERSIONS = {
+  '3.0': { baseMetrics: CVSS3_BASE_METRICS, Calculator: Cvss3P0 },
+  '3.1': { baseMetrics: CVSS3_BASE_METRICS, Calculator: Cvss3P1 },
+  '4.0': { baseMetrics: CVSS4_BASE_METRICS, Calculator: Cvss4P0 }
+};
+
+export const CVSS_RATINGS = ['none', 'low', 'medium', 'high', 'critical'];
+
+/**
+ * Qualitative rating for a score (identical bands in v3.x and v4.0)
+ */
+export function ratingForScore(score) {
+  if (score === null || score === undefined || Number.isNaN(score)) return null;
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'medium';
+  if (score > 0) return 'low';
+  return 'none';
+}
+
+/**
+ * Parse a CVSS vector string
+ *
+ * Base metrics are decoded to names and labels, other metrics (temporal,
+ * threat, environmental, supplemental) are kept as raw values.
+ *
+ * @param {string} vector - e.g. 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'
+ * @returns {Object|null} - { version, vectorString, metrics }, null when the
+ *   vector is not a valid v3.0, v3.1 or v4.0 vector
+ */
+export function parseCvssVector(vector) {
+  if (typeof vector !== 'string') return null;
+
+  const [prefix, ...parts] = vector.trim().split('/');
+  const version = prefix.match(/^CVSS:(\d\.\d)$/)?.[1];
+  if (!VERSIONS[version] || parts.length === 0) return null;
+
+  const { baseMetrics } = VERSIONS[version];
+  const metrics = {};
+
+  for (const part of parts) {
+    const [key, value, ...rest] = part.split(':');
+    if (!key || !value || rest.length > 0 || metrics[key]) return null;
+
+    const definition = baseMetrics[key];
+    if (definition) {
+      if (!definition.values[value]) return null;
+      metrics[key] = { value, name: definition.name, label: definition.values[value] };
+    } else {
+      metrics[key] = { value };
+    }
+  }
+
+  if (Object.keys(baseMetrics).some(key => !metrics[key])) return null;
+
+  return {
+    version,
+    vectorString: vector.trim(),
+    metrics
+  };
+}
+
+/**
+ * Parse a vector and compute its base score and rating
+ *
+ * @returns {Object|null} - { version, vectorString, score, rating, metrics }
+ */
+export function scoreCvssVector(vector) {
+  const parsed = parseCvssVector(vector);
+  if (!parsed) return null;
+
+  try {
+    const calculator = new VERSIONS[parsed.version].Calculator(parsed.vectorString);
+    const score = calculator.calculateScores().base;
+    if (typeof score !== 'number') return null;
+
+    return {
+      version: parsed.version,
+      vectorString: parsed.vectorString,
+      score,
+      rating: ratingForScore(score),
+      metrics: parsed.metrics
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Score several vectors and keep the one with the newest CVSS version
+ */
+export function pickCvssScore(vectors) {
+  return vectors
+    .map(scoreCvssVector)
+    .filter(Boolean)
+    .sort((a, b) => Number(b.version) - Number(a.version))[0] || null;
+}
+
+export default {
+  CVSS_RATINGS,
+  ratingForScore,
+  parseCvssVector,
+  scoreCvssVector,
+  pickCvssScore
+};
@@ -0,0 +1,210 @@
+/**
+ * Dependency graph model shared by registry traversal and lockfile ingestion
+ *
+ * Nodes are unique per resolved name@version and keep the shallowest depth
+ * at which they were reached. Edges run from the exact parent node to the
+ * dependency node, carry the declared range, and are unique per
+ * source/target pair. Edges closing a cycle are kept and marked cycle: true.
+ * Optional node and edge limits cap the graph's size; additions past a limit
+ * are refused and counted in truncated.
+ */
+
+export function nodeId(name, version) {
+  return `${name}@${version}`;
+}
+
+export class DependencyGraph {
+  /**
+   * @param {Object} limits - { maxNodes, maxEdges }, unlimited by default
+   */
+  constructor({ maxNodes = Infinity, maxEdges = Infinity } = {}) {
+    this.nodes = new Map();
+    this.edges = new Map();
+    this.outgoing = new Map();
+    this.rootId = null;
+    this.limits = { maxNodes, maxEdges };
+    this.truncated = { nodes: 0, edges: 0 };
+  }
+
+  /**
+   * Add the root node (depth 0)
+   */
+  setRoot(node) {
+    const root = this.addNode({ ...node, depth: 0, type: 'root' });
+    this.rootId = root.id;
+    return root;
+  }
+
+  hasNode(id) {
+    return this.nodes.has(id);
+  }
+
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  /**
+   * Add a node, or return the existing one for the same id
+   *
+   * When the node is reached again at a shallower depth, the existing node
+   * takes the new depth, type and parent.
+   *
+   * @param {Object} node - { name, version, depth, type, parent, ... }; id
+   *   defaults to name@version
+   * @returns {Object|null} - The node, null when the node limit is reached
+   */
+  addNode(node) {
+    const id = node.id || nodeId(node.name, node.version);
+    const existing = this.nodes.get(id);
+
+    if (existing) {
+      if (node.depth < existing.depth) {
+        Object.assign(existing, { depth: node.depth, type: node.type, parent: node.parent });
+      }
+      return existing;
+    }
+
+    if (this.nodes.size >= this.limits.maxNodes) {
+      this.truncated.nodes++;
+      return null;
+    }
+
+    const added = { id, ...node };
+    this.nodes.set(id, added);
+    return added;
+  }
+
+  /**
+   * Add an edge from a parent node to a dependency node
+   *
+   * @param {string} source - Parent node id
+   * @param {string} target - Dependency node id
+   * @param {Object} attributes - e.g. { range, dependencyType }
+   * @returns {Object|null} - The edge, the existing one for a known
+   *   source/target pair, null when the edge limit is reached
+   */
+  addEdge(source, target, attributes = {}) {
+    const key = `${source}>${target}`;
+    if (this.edges.has(key)) return this.edges.get(key);
+
+    if (this.edges.size >= this.limits.maxEdges) {
+      this.truncated.edges++;
+      return null;
+    }
+
+    const edge = { source, target, type: 'depends_on', ...attributes };
+    this.edges.set(key, edge);
+    if (!this.outgoing.has(source)) this.outgoing.set(source, []);
+    this.outgoing.get(source).push(edge);
+    return edge;
+  }
+
+  getOutgoingEdges(id) {
+    return this.outgoing.get(id) || [];
+  }
+
+  /**
+   * Mark edges that close a cycle (back edges of a depth-first walk from the root)
+   *
+   * @returns {number} - Number of cycle edges
+   */
+  markCycles() {
+    const state = new Map(); // id → 'active' | 'done'
+    let cycles = 0;
+
+    const starts = [this.rootId, ...this.nodes.keys()].filter(Boolean);
+    for (const start of starts) {
+      if (state.has(start)) continue;
+
+      // Iterative DFS, each frame holds a node and the index of its next edge
+      const stack = [{ id: start, index: 0 }];
+      state.set(start, 'active');
+
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const edges = this.getOutgoingEdges(frame.id);
+
+        if (frame.index >= edges.length) {
+          state.set(frame.id, 'done');
+          stack.pop();
+          continue;
+        }
+
+        const edge = edges[frame.index++];
+        const targetState = state.get(edge.target);
+        if (targetState === 'active') {
+          edge.cycle = true;
+          cycles++;
+        } else if (!targetState) {
+          state.set(edge.target, 'active');
+          stack.push({ id: edge.target, index: 0 });
+        }
+      }
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Nodes reachable from a node through edges of the given dependency types
+   */
+  reachableFrom(id, dependencyTypes) {
+    const seen = new Set([id]);
+    const queue = [id];
+    while (queue.length > 0) {
+      for (const edge of this.getOutgoingEdges(queue.shift())) {
+        if (dependencyTypes.includes(edge.dependencyType) && !seen.has(edge.target)) {
+          seen.add(edge.target);
+          queue.push(edge.target);
+        }
+      }
+    }
+    return seen;
+  }
+
+  /**
+   * Graph summary figures
+   */
+  getStatistics() {
+    const depths = [...this.nodes.values()].filter(node => node.id !== this.rootId).map(node => node.depth);
+    const edges = [...this.edges.values()];
+    return {
+      totalNodes: this.nodes.size,
+      totalEdges: edges.length,
+      cycleEdges: edges.filter(edge => edge.cycle).length,
+      maxDepth: depths.length > 0 ? depths.reduce((max, d) => Math.max(max, d), 0) : 0,
+      averageDepth: depths.length > 0 ? depths.reduce((sum, d) => sum + d, 0) / depths.length : 0,
+      truncated: this.truncated.nodes > 0 || this.truncated.edges > 0,
+      truncatedNodes: this.truncated.nodes,
+      truncatedEdges: this.truncated.edges
+    };
+  }
+
+  /**
+   * Rebuild a graph from its plain { nodes, edges } structure, e.g. a stored
+   * lockfile graph
+   */
+  static fromJSON({ nodes = [], edges = [] }) {
+    const graph = new DependencyGraph();
+    for (const node of nodes) {
+      graph.nodes.set(node.id, { ...node });
+      if (node.type === 'root' && !graph.rootId) graph.rootId = node.id;
+    }
+    for (const { source, target, ...attributes } of edges) {
+      graph.addEdge(source, target, attributes);
+    }
+    return graph;
+  }
+
+  /**
+   * Plain { nodes, edges } structure, root first
+   */
+  toJSON() {
+    return {
+      nodes: [...this.nodes.values()],
+      edges: [...this.edges.values()]
+    };
+  }
+}
+
+export default DependencyGraph;
@@ -0,0 +1,210 @@
+/**
+ * Dependency specifier parsing and resolution
+ *
+ * Classifies the values found in a package.json dependencies map the way npm
+ * does: exact versions, semver ranges, dist-tags and npm: aliases resolve
+ * against the registry, while git, remote tarball, file, link and workspace
+ * specifiers point elsewhere and are flagged as non-registry.
+ */
+
+import semver from 'semver';
+
+export const SPEC_TYPES = {
+  VERSION: 'version',
+  RANGE: 'range',
+  TAG: 'tag',
+  ALIAS: 'alias',
+  GIT: 'git',
+  REMOTE: 'remote',
+  FILE: 'file',
+  DIRECTORY: 'directory',
+  WORKSPACE: 'workspace',
+  INVALID: 'invalid'
+};
+
+const REGISTRY_TYPES = [SPEC_TYPES.VERSION, SPEC_TYPES.RANGE, SPEC_TYPES.TAG];
+
+const GIT_PATTERN = /^(git\+[a-z]+:|git:|github:|gitlab:|bitbucket:|gist:)/i;
+// user/repo and user/repo#ref are GitHub shorthands
+const GITHUB_SHORTHAND_PATTERN = /^[^@./~\s][^/:@\s]*\/[^/\s]+$/;
+const TARBALL_PATTERN = /\.(tgz|tar\.gz|tar)$/i;
+const PATH_PATTERN = /^(file:|\.{1,2}\/|~\/|\/|[a-zA-Z]:[\\/])/;
+
+/**
+ * Split a 'name@spec' string, keeping the scope's '@'
+ */
+function splitNameAndSpec(value) {
+  const at = value.indexOf('@', value.startsWith('@') ? 1 : 0);
+  return at === -1
+    ? { name: value, spec: '' }
+    : { name: value.slice(0, at), spec: value.slice(at + 1) };
+}
+
+/**
+ * Classify a registry specifier (version, range or dist-tag)
+ */
+function parseRegistrySpec(spec) {
+  const trimmed = spec.trim();
+
+  if (trimmed === '' || trimmed === '*') {
+    return { type: SPEC_TYPES.RANGE, fetchSpec: '*' };
+  }
+
+  const version = semver.valid(trimmed, { loose: true });
+  if (version) {
+    return { type: SPEC_TYPES.VERSION, fetchSpec: version };
+  }
+
+  if (semver.validRange(trimmed, { loose: true })) {
+    return { type: SPEC_TYPES.RANGE, fetchSpec: trimmed };
+  }
+
+  if (/^[^\s/@:]+$/.test(trimmed) && encodeURIComponent(trimmed) === trimmed) {
+    return { type: SPEC_TYPES.TAG, fetchSpec: trimmed };
+  }
+
+  return { type: SPEC_TYPES.INVALID, fetchSpec: trimmed };
+}
+
+/**
+ * Parse a dependency specifier
+ *
+ * @param {string} name - Dependency name (the key in the dependencies map)
+ * @param {string} spec - Specifier, e.g. '^1.2.0', 'latest', 'npm:lodash@^4',
+ *   'github:user/repo#v1', 'file:../lib'
+ * @returns {Object} - { name, packageName, spec, type, fetchSpec, registry }
+ *   where packageName is the registry package (the target for aliases) and
+ *   fetchSpec the version, range or tag to resolve
+ */
+export function parseDependencySpec(name, spec) {
+  const raw = typeof spec === 'string' ? spec.trim() : '';
+  const base = { name, packageName: name, spec: raw };
+
+  if (/^npm:/i.test(raw)) {
+    const target = splitNameAndSpec(raw.slice(4));
+    const parsed = parseRegistrySpec(target.spec);
+    return {
+      ...base,
+      packageName: target.name,
+      type: parsed.type === SPEC_TYPES.INVALID ? SPEC_TYPES.INVALID : SPEC_TYPES.ALIAS,
+      aliasType: parsed.type,
+      fetchSpec: parsed.fetchSpec,
+      registry: parsed.type !== SPEC_TYPES.INVALID && Boolean(target.name)
+    };
+  }
+
+  if (GIT_PATTERN.test(raw) || GITHUB_SHORTHAND_PATTERN.test(raw) || /\.git(#.*)?$/.test(raw)) {
+    return { ...base, type: SPEC_TYPES.GIT, fetchSpec: raw, registry: false };
+  }
+
+  if (/^https?:\/\//i.test(raw)) {
+    return { ...base, type: SPEC_TYPES.REMOTE, fetchSpec: raw, registry: false };
+  }
+
+  if (/^workspace:/i.test(raw)) {
+    return { ...base, type: SPEC_TYPES.WORKSPACE, fetchSpec: raw.slice(10), registry: false };
+  }
+
+  if (/^(link|portal):/i.test(raw)) {
+    return { ...base, type: SPEC_TYPES.DIRECTORY, fetchSpec: raw.replace(/^[a-z]+:/i, ''), registry: false };
+  }
+
+  if (PATH_PATTERN.test(raw)) {
+    const fetchSpec = raw.replace(/^file:/i, '');
+    return {
+      ...base,
+      type: TARBALL_PATTERN.test(fetchSpec) ? SPEC_TYPES.FILE : SPEC_TYPES.DIRECTORY,
+      fetchSpec,
+      registry: false
+    };
+  }
+
+  const parsed = parseRegistrySpec(raw);
+  return {
+    ...base,
+    type: parsed.type,
+    fetchSpec: parsed.fetchSpec,
+    registry: REGISTRY_TYPES.includes(parsed.type)
+  };
+}
+
+/**
+ * Pick the version a registry specifier resolves to, as npm does
+ *
+ * A dist-tag resolves to its tagged version. For ranges, the 'latest'
+ * dist-tag wins when it satisfies the range; otherwise the highest
+ * satisfying version is chosen, non-deprecated versions first. Prereleases
+ * only match ranges that name a prerelease of the same major.minor.patch.
+ *
+ * @param {Object} packument - Registry document with versions and dist-tags
+ * @param {string} type - 'version', 'range' or 'tag'
+ * @param {string} fetchSpec - Version, range or tag name
+ * @returns {Object} - { version, reason }, version is null when nothing matches
+ */
+export function pickVersion(packument, type, fetchSpec) {
+  const versions = packument.versions || {};
+  const distTags = packument['dist-tags'] || {};
+
+  if (type === SPEC_TYPES.TAG) {
+    const tagged = distTags[fetchSpec];
+    return tagged && versions[tagged]
+      ? { version: tagged, reason: null }
+      : { version: null, reason: `No dist-tag '${fetchSpec}'` };
+  }
+
+  if (type === SPEC_TYPES.VERSION) {
+    return versions[fetchSpec]
+      ? { version: fetchSpec, reason: null }
+      : { version: null, reason: `Version ${fetchSpec} is not published` };
+  }
+
+  const latest = distTags.latest;
+  if (latest && versions[latest] && !versions[latest].deprecated &&
+      (fetchSpec === '*' || semver.satisfies(latest, fetchSpec, { loose: true }))) {
+    return { version: latest, reason: null };
+  }
+
+  const satisfying = Object.keys(versions)
+    .filter(version => semver.valid(version, { loose: true }) && semver.satisfies(version, fetchSpec, { loose: true }))
+    .sort((a, b) =>
+      Number(Boolean(versions[a].deprecated)) - Number(Boolean(versions[b].deprecated)) ||
+      semver.rcompare(a, b, { loose: true })
+    );
+
+  return satisfying.length > 0
+    ? { version: satisfying[0], reason: null }
+    : { version: null, reason: `No published version satisfies ${fetchSpec}` };
+}
+
+/**
+ * Check a manifest's os and cpu fields against a target platform, as npm does
+ *
+ * Each field lists allowed values, or blocked values prefixed with '!'. A
+ * field not given in the platform is not checked.
+ *
+ * @param {Object} manifest - Package version manifest with optional os/cpu arrays
+ * @param {Object} platform - { os, cpu }, e.g. { os: 'linux', cpu: 'x64' }
+ * @returns {Object} - { compatible, reason }
+ */
+export function checkPlatform(manifest, platform = {}) {
+  for (const field of ['os', 'cpu']) {
+    const target = platform[field];
+    const values = [].concat(manifest?.[field] || []);
+    if (!target || values.length === 0) continue;
+
+    const blocked = values.filter(value => value.startsWith('!')).map(value => value.slice(1));
+    const allowed = values.filter(value => !value.startsWith('!'));
+
+    if (blocked.includes(target) || (allowed.length > 0 && !allowed.includes(target))) {
+      return { compatible: false, reason: `Unsupported ${field} ${target} (${field}: ${values.join(', ')})` };
+    }
+  }
+  return { compatible: true, reason: null };
+}
+
+export default {
+  SPEC_TYPES,
+  parseDependencySpec,
+  pickVersion,
+  checkPlatform
+};
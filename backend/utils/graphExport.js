@@ -0,0 +1,286 @@
+/**
+ * Dependency graph export formats
+ *
+ * Serializes a { nodes, edges } dependency graph for graph tools:
+ * - dot: Graphviz
+ * - graphml: GraphML (yEd, Gephi, NetworkX)
+ * - gexf: GEXF 1.3 (Gephi)
+ * - cytoscape: Cytoscape.js / Cytoscape desktop JSON
+ * - cypher: Neo4j bundle of nodes.csv, edges.csv and an import.cypher script
+ *   loading them with LOAD CSV
+ *
+ * Node attributes that were not collected are left out (empty in CSV).
+ */
+
+export const GRAPH_EXPORT_FORMATS = ['dot', 'graphml', 'gexf', 'cytoscape', 'cypher'];
+
+const NODE_ATTRIBUTES = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'depth', type: 'integer' },
+  { name: 'type', type: 'string' },
+  { name: 'dev', type: 'boolean' },
+  { name: 'optional', type: 'boolean' },
+  { name: 'bundled', type: 'boolean' },
+  { name: 'license', type: 'string' },
+  { name: 'vulnerabilityCount', type: 'integer' },
+  { name: 'hasInstallScript', type: 'boolean' }
+];
+
+const EDGE_ATTRIBUTES = [
+  { name: 'range', type: 'string' },
+  { name: 'dependencyType', type: 'string' },
+  { name: 'cycle', type: 'boolean' }
+];
+
+const GRAPHML_TYPES = { string: 'string', integer: 'int', boolean: 'boolean' };
+const GEXF_TYPES = { string: 'string', integer: 'integer', boolean: 'boolean' };
+
+function hasValue(value) {
+  return value !== undefined && value !== null;
+}
+
+function attributeValues(item, attributes) {
+  return attributes
+    .filter(attribute => hasValue(item[attribute.name]))
+    .map(attribute => ({ ...attribute, value: item[attribute.name] }));
+}
+
+function edgeValues(edge) {
+  return attributeValues({ ...edge, cycle: Boolean(edge.cycle) }, EDGE_ATTRIBUTES);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeDot(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n');
+}
+
+function escapeCsv(value) {
+  if (!hasValue(value)) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toDot(graph, title) {
+  const lines = [
+    `digraph "${escapeDot(title)}" {`,
+    '  rankdir=LR;',
+    '  node [shape=box, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+
+  for (const node of graph.nodes) {
+    const attributes = [`label="${escapeDot(node.name)}\\n${escapeDot(node.version ?? node.spec ?? '')}"`];
+    for (const { name, value } of attributeValues(node, NODE_ATTRIBUTES)) {
+      if (name !== 'name' && name !== 'version') {
+        attributes.push(`${name}="${escapeDot(value)}"`);
+      }
+    }
+    if (node.type === 'root') attributes.push('style=bold');
+    if (node.vulnerabilityCount > 0) attributes.push('color=red');
+    lines.push(`  "${escapeDot(node.id)}" [${attributes.join(', ')}];`);
+  }
+
+  for (const edge of graph.edges) {
+    const attributes = edgeValues(edge).map(({ name, value }) => `${name}="${escapeDot(value)}"`);
+    if (edge.range) attributes.push(`label="${escapeDot(edge.range)}"`);
+    if (edge.cycle) attributes.push('style=dashed', 'constraint=false');
+    lines.push(`  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}" [${attributes.join(', ')}];`);
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+function toGraphML(graph, title) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" ' +
+      'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      'xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+  ];
+
+  for (const attribute of NODE_ATTRIBUTES) {
+    lines.push(`  <key id="n_${attribute.name}" for="node" attr.name="${attribute.name}" attr.type="${GRAPHML_TYPES[attribute.type]}"/>`);
+  }
+  for (const attribute of EDGE_ATTRIBUTES) {
+    lines.push(`  <key id="e_${attribute.name}" for="edge" attr.name="${attribute.name}" attr.type="${GRAPHML_TYPES[attribute.type]}"/>`);
+  }
+
+  lines.push(`  <graph id="${escapeXml(title)}" edgedefault="directed">`);
+
+  for (const node of graph.nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    for (const { name, value } of attributeValues(node, NODE_ATTRIBUTES)) {
+      lines.push(`      <data key="n_${name}">${escapeXml(value)}</data>`);
+    }
+    lines.push('    </node>');
+  }
+
+  graph.edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+    for (const { name, value } of edgeValues(edge)) {
+      lines.push(`      <data key="e_${name}">${escapeXml(value)}</data>`);
+    }
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
+function toGEXF(graph, title) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <meta>',
+    '    <creator>ChainGuard Data Collector</creator>',
+    `    <description>${escapeXml(title)}</description>`,
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="directed">',
+    '    <attributes class="node">'
+  ];
+
+  NODE_ATTRIBUTES.forEach((attribute, index) => {
+    lines.push(`      <attribute id="${index}" title="${attribute.name}" type="${GEXF_TYPES[attribute.type]}"/>`);
+  });
+  lines.push('    </attributes>', '    <attributes class="edge">');
+  EDGE_ATTRIBUTES.forEach((attribute, index) => {
+    lines.push(`      <attribute id="${index}" title="${attribute.name}" type="${GEXF_TYPES[attribute.type]}"/>`);
+  });
+  lines.push('    </attributes>', '    <nodes>');
+
+  for (const node of graph.nodes) {
+    lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.id)}">`, '        <attvalues>');
+    for (const { name, value } of attributeValues(node, NODE_ATTRIBUTES)) {
+      const index = NODE_ATTRIBUTES.findIndex(attribute => attribute.name === name);
+      lines.push(`          <attvalue for="${index}" value="${escapeXml(value)}"/>`);
+    }
+    lines.push('        </attvalues>', '      </node>');
+  }
+
+  lines.push('    </nodes>', '    <edges>');
+
+  graph.edges.forEach((edge, index) => {
+    const label = edge.range ? ` label="${escapeXml(edge.range)}"` : '';
+    lines.push(`      <edge id="${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"${label}>`, '        <attvalues>');
+    for (const { name, value } of edgeValues(edge)) {
+      const attributeIndex = EDGE_ATTRIBUTES.findIndex(attribute => attribute.name === name);
+      lines.push(`          <attvalue for="${attributeIndex}" value="${escapeXml(value)}"/>`);
+    }
+    lines.push('        </attvalues>', '      </edge>');
+  });
+
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return `${lines.join('\n')}\n`;
+}
+
+function toCytoscape(graph, title) {
+  const pick = (item, attributes) =>
+    Object.fromEntries(attributeValues(item, attributes).map(({ name, value }) => [name, value]));
+
+  return {
+    data: { name: title },
+    elements: {
+      nodes: graph.nodes.map(node => ({
+        data: { id: node.id, ...pick(node, NODE_ATTRIBUTES) }
+      })),
+      edges: graph.edges.map((edge, index) => ({
+        data: {
+          id: `e${index}`,
+          source: edge.source,
+          target: edge.target,
+          ...Object.fromEntries(edgeValues(edge).map(({ name, value }) => [name, value]))
+        }
+      }))
+    }
+  };
+}
+
+function toCypherBundle(graph) {
+  const nodeColumns = ['id', ...NODE_ATTRIBUTES.map(attribute => attribute.name)];
+  const edgeColumns = ['source', 'target', ...EDGE_ATTRIBUTES.map(attribute => attribute.name)];
+
+  const nodesCsv = [
+    nodeColumns.join(','),
+    ...graph.nodes.map(node => nodeColumns.map(column => escapeCsv(node[column])).join(','))
+  ].join('\n');
+
+  const edgesCsv = [
+    edgeColumns.join(','),
+    ...graph.edges.map(edge => edgeColumns
+      .map(column => escapeCsv(column === 'cycle' ? Boolean(edge.cycle) : edge[column]))
+      .join(','))
+  ].join('\n');
+
+  const convert = (attribute) => {
+    if (attribute.type === 'integer') return `toInteger(row.${attribute.name})`;
+    if (attribute.type === 'boolean') return `CASE row.${attribute.name} WHEN '' THEN null ELSE row.${attribute.name} = 'true' END`;
+    return `row.${attribute.name}`;
+  };
+
+  const importCypher = [
+    '// Copy nodes.csv and edges.csv into the Neo4j import directory, then run:',
+    'CREATE CONSTRAINT package_id IF NOT EXISTS FOR (p:Package) REQUIRE p.id IS UNIQUE;',
+    '',
+    "LOAD CSV WITH HEADERS FROM 'file:///nodes.csv' AS row",
+    'MERGE (p:Package {id: row.id})',
+    `SET ${NODE_ATTRIBUTES.map(attribute => `p.${attribute.name} = ${convert(attribute)}`).join(',\n    ')};`,
+    '',
+    "LOAD CSV WITH HEADERS FROM 'file:///edges.csv' AS row",
+    'MATCH (source:Package {id: row.source}), (target:Package {id: row.target})',
+    'MERGE (source)-[d:DEPENDS_ON]->(target)',
+    `SET ${EDGE_ATTRIBUTES.map(attribute => `d.${attribute.name} = ${convert(attribute)}`).join(',\n    ')};`,
+    ''
+  ].join('\n');
+
+  return {
+    files: {
+      'nodes.csv': `${nodesCsv}\n`,
+      'edges.csv': `${edgesCsv}\n`,
+      'import.cypher': importCypher
+    }
+  };
+}
+
+/**
+ * Export a dependency graph
+ *
+ * @param {Object} graph - { nodes, edges } as in dependencyGraph
+ * @param {string} format - One of GRAPH_EXPORT_FORMATS
+ * @param {string} title - Graph name, e.g. the root name@version
+ * @returns {Object} - { contentType, extension, body }; body is a string for
+ *   dot, graphml and gexf, an object for cytoscape and cypher
+ */
+export function exportGraph(graph, format, title = 'dependencies') {
+  switch (format) {
+    case 'dot':
+      return { contentType: 'text/vnd.graphviz', extension: 'dot', body: toDot(graph, title) };
+    case 'graphml':
+      return { contentType: 'application/graphml+xml', extension: 'graphml', body: toGraphML(graph, title) };
+    case 'gexf':
+      return { contentType: 'application/gexf+xml', extension: 'gexf', body: toGEXF(graph, title) };
+    case 'cytoscape':
+      return { contentType: 'application/json', extension: 'cyjs', body: toCytoscape(graph, title) };
+    case 'cypher':
+      return { contentType: 'application/json', extension: 'json', body: toCypherBundle(graph) };
+    default: {
+      const error = new Error(`format must be one of: json, ${GRAPH_EXPORT_FORMATS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+}
+
+export default {
+  GRAPH_EXPORT_FORMATS,
+  exportGraph
+};
@@ -0,0 +1,175 @@
+/**
+ * Structural metrics over a DependencyGraph
+ *
+ * - degree: in/out degree and degree centrality ((in + out) / (n - 1))
+ * - betweenness: Brandes' algorithm on the directed, unweighted graph,
+ *   normalized by (n - 1)(n - 2); high values mark chokepoint packages most
+ *   dependency paths run through
+ * - duplicates: packages resolved at more than one version
+ * - subtrees: per node, the packages reachable from it (itself excluded),
+ *   how deep they go, and the sum of per-node risk figures over the node and
+ *   everything below it, each package counted once
+ *
+ * Cycle edges are ordinary edges here. Nodes are numbered once so the
+ * per-source walks run over typed arrays.
+ */
+
+import semver from 'semver';
+
+function indexGraph(graph) {
+  const ids = [...graph.nodes.keys()];
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const adjacency = ids.map(id => graph.getOutgoingEdges(id)
+    .map(edge => index.get(edge.target))
+    .filter(target => target !== undefined));
+  return { ids, adjacency };
+}
+
+/**
+ * @returns {Map} - id → { inDegree, outDegree, degreeCentrality }
+ */
+export function degreeCentrality(graph) {
+  const n = graph.nodes.size;
+  const inDegree = new Map();
+  for (const edge of graph.edges.values()) {
+    inDegree.set(edge.target, (inDegree.get(edge.target) || 0) + 1);
+  }
+
+  const degrees = new Map();
+  for (const id of graph.nodes.keys()) {
+    const incoming = inDegree.get(id) || 0;
+    const outgoing = graph.getOutgoingEdges(id).length;
+    degrees.set(id, {
+      inDegree: incoming,
+      outDegree: outgoing,
+      degreeCentrality: n > 1 ? (incoming + outgoing) / (n - 1) : 0
+    });
+  }
+  return degrees;
+}
+
+/**
+ * @returns {Map} - id → normalized betweenness centrality
+ */
+export function betweennessCentrality(graph) {
+  const { ids, adjacency } = indexGraph(graph);
+  const n = ids.length;
+  const centrality = new Float64Array(n);
+  const sigma = new Float64Array(n);
+  const distance = new Int32Array(n).fill(-1);
+  const delta = new Float64Array(n);
+  const predecessors = Array.from({ length: n }, () => []);
+
+  for (let source = 0; source < n; source++) {
+    // Breadth first from the source, counting shortest paths; the queue
+    // doubles as the visiting order
+    const queue = [source];
+    sigma[source] = 1;
+    distance[source] = 0;
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      for (const w of adjacency[v]) {
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue.push(w);
+        }
+        if (distance[w] === distance[v] + 1) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+
+    // Accumulate dependencies back from the farthest nodes
+    for (let i = queue.length - 1; i > 0; i--) {
+      const w = queue[i];
+      for (const v of predecessors[w]) {
+        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      centrality[w] += delta[w];
+    }
+
+    for (const v of queue) {
+      sigma[v] = 0;
+      distance[v] = -1;
+      delta[v] = 0;
+      predecessors[v].length = 0;
+    }
+  }
+
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+  return new Map(ids.map((id, i) => [id, centrality[i] * scale]));
+}
+
+/**
+ * Packages resolved at more than one version, most versions first
+ *
+ * @returns {Array} - { name, versions, count }
+ */
+export function duplicateVersions(graph) {
+  const versions = new Map();
+  for (const node of graph.nodes.values()) {
+    if (!node.version) continue;
+    if (!versions.has(node.name)) versions.set(node.name, new Set());
+    versions.get(node.name).add(node.version);
+  }
+
+  return [...versions.entries()]
+    .filter(([, set]) => set.size > 1)
+    .map(([name, set]) => ({
+      name,
+      versions: [...set].sort((a, b) => (semver.valid(a) && semver.valid(b) ? semver.compare(a, b) : a.localeCompare(b))),
+      count: set.size
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Subtree size, height and summed risk figures for every node
+ *
+ * @param {DependencyGraph} graph
+ * @param {Function} riskOf - node → { figure: number, ... }; every node must
+ *   return the same figures
+ * @returns {Map} - id → { packages, height, ...summed figures }
+ */
+export function subtreeAggregates(graph, riskOf) {
+  const { ids, adjacency } = indexGraph(graph);
+  const n = ids.length;
+  const risks = ids.map(id => riskOf(graph.getNode(id)));
+  const figures = Object.keys(risks[0] || {});
+  const visited = new Int32Array(n).fill(-1);
+  const distance = new Int32Array(n);
+  const aggregates = new Map();
+
+  for (let start = 0; start < n; start++) {
+    const totals = Object.fromEntries(figures.map(figure => [figure, 0]));
+    const queue = [start];
+    let height = 0;
+    visited[start] = start;
+    distance[start] = 0;
+
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      height = Math.max(height, distance[v]);
+      for (const figure of figures) totals[figure] += risks[v][figure];
+      for (const w of adjacency[v]) {
+        if (visited[w] !== start) {
+          visited[w] = start;
+          distance[w] = distance[v] + 1;
+          queue.push(w);
+        }
+      }
+    }
+
+    aggregates.set(ids[start], { packages: queue.length - 1, height, ...totals });
+  }
+
+  return aggregates;
+}
+
+export default {
+  degreeCentrality,
+  betweennessCentrality,
+  duplicateVersions,
+  subtreeAggregates
+};
@@ -142,7 +142,9 @@ export class RateLimiter {
  */
 export const rateLimiters = {
   npm: new RateLimiter(100, 60000), // 100 requests per minute
+  npmRegistry: new RateLimiter(1000, 60000), // 1000 packument fetches per minute (registry.npmjs.org)
   nvd: new RateLimiter(5, 30000), // 5 requests per 30 seconds
+  nvdAuthenticated: new RateLimiter(50, 30000), // 50 requests per 30 seconds with an API key
   github: new RateLimiter(5000, 3600000), // 5000 requests per hour
   osv: new RateLimiter(1000, 60000), // 1000 requests per minute
   ossIndex: new RateLimiter(100, 60000) // 100 requests per minute
@@ -150,12 +152,15 @@ export const rateLimiters = {
 
 /**
  * Request queue for managing API calls with rate limiting
+ *
+ * Up to `concurrency` queued calls run at the same time (one by default).
  */
 export class RequestQueue {
-  constructor(rateLimiter) {
+  constructor(rateLimiter, concurrency = 1) {
     this.rateLimiter = rateLimiter;
+    this.concurrency = concurrency;
     this.queue = [];
-    this.processing = false;
+    this.active = 0;
   }
 
   /**
@@ -177,30 +182,32 @@ export class RequestQueue {
         priorityOrder[a.priority] - priorityOrder[b.priority]
       );
 
-      if (!this.processing) {
-        this.processQueue();
-      }
+      this.processQueue();
     });
   }
 
   /**
-   * Process queue
+   * Start queued requests until the concurrency limit is reached
    */
-  async processQueue() {
-    this.processing = true;
-
-    while (this.queue.length > 0) {
+  processQueue() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
       const { apiCall, resolve, reject } = this.queue.shift();
-
-      try {
-        const result = await this.rateLimiter.makeRequest(apiCall);
-        resolve(result);
-      } catch (error) {
-        reject(error);
-      }
+      this.active++;
+
+      this.rateLimiter.makeRequest(apiCall)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.processQueue();
+        });
     }
+  }
 
-    this.processing = false;
+  /**
+   * Number of requests currently running
+   */
+  getActiveCount() {
+    return this.active;
   }
 
   /**
@@ -0,0 +1,68 @@
+/**
+ * Memoizing loader for registry requests made during one operation
+ *
+ * Each key is loaded once: concurrent requests for a key share the in-flight
+ * promise, and later ones get the settled result (failures included, so a
+ * missing package is not asked for again). At most `concurrency` loads run
+ * at the same time; the rest wait in FIFO order.
+ */
+
+export class RequestCache {
+  /**
+   * @param {Function} load - async (key) => value
+   * @param {Object} options - { concurrency = 8 }
+   */
+  constructor(load, { concurrency = 8 } = {}) {
+    this.load = load;
+    this.concurrency = Number.isInteger(concurrency) && concurrency > 0 ? concurrency : 1;
+    this.entries = new Map();
+    this.active = 0;
+    this.waiting = [];
+    this.stats = { requests: 0, hits: 0, coalesced: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      if (entry.settled) {
+        this.stats.hits++;
+      } else {
+        this.stats.coalesced++;
+      }
+      return entry.promise;
+    }
+
+    const created = { settled: false, promise: null };
+    created.promise = this.schedule(() => this.load(key))
+      .finally(() => { created.settled = true; });
+    this.entries.set(key, created);
+    return created.promise;
+  }
+
+  async schedule(task) {
+    // A finished task hands its slot straight to the next waiting one
+    if (this.active >= this.concurrency) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    this.stats.requests++;
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  getStatistics() {
+    return { ...this.stats, cached: this.entries.size };
+  }
+}
+
+export default RequestCache;
@@ -0,0 +1,181 @@
+/**
+ * Version range evaluation for vulnerability data
+ *
+ * Decides whether a concrete package version falls inside the affected
+ * ranges reported by vulnerability sources.
+ */
+
+import semver from 'semver';
+
+/**
+ * Parse a version leniently ('v1.2.3' and '1.2' are accepted)
+ */
+function toSemver(version) {
+  if (version === undefined || version === null) return null;
+  return semver.valid(String(version), { loose: true }) ||
+    semver.valid(semver.coerce(String(version), { includePrerelease: true }));
+}
+
+/**
+ * Whether a version is concrete (not a tag like 'latest' or a range)
+ */
+export function isConcreteVersion(version) {
+  return Boolean(version && semver.valid(String(version), { loose: true }));
+}
+
+/**
+ * Compare two versions, treating OSV's '0' as lower than everything
+ */
+function compareVersions(a, b) {
+  if (a === '0' && b === '0') return 0;
+  if (a === '0') return -1;
+  if (b === '0') return 1;
+  return semver.compare(toSemver(a), toSemver(b), { loose: true });
+}
+
+/**
+ * Get the events of an OSV range as { type, value } sorted by version
+ */
+function sortedOsvEvents(range) {
+  return (range.events || [])
+    .map(event => {
+      const [type, value] = Object.entries(event)[0] || [];
+      return { type, value };
+    })
+    .filter(event => event.value === '0' || toSemver(event.value))
+    .sort((a, b) => compareVersions(a.value, b.value));
+}
+
+/**
+ * Evaluate one OSV range (SEMVER or ECOSYSTEM) against a version
+ *
+ * Follows the OSV evaluation algorithm: events are sorted by version and
+ * walked in order, 'introduced' opens an affected interval and 'fixed',
+ * 'last_affected' or 'limit' close it. 'introduced_exclusive' is a local
+ * extension for NVD's versionStartExcluding: it opens the interval only
+ * above its version.
+ */
+export function isVersionInOsvRange(range, version) {
+  if (!['SEMVER', 'ECOSYSTEM'].includes(range.type)) {
+    return false;
+  }
+
+  const target = toSemver(version);
+  if (!target) return false;
+
+  const events = sortedOsvEvents(range);
+
+  let affected = false;
+
+  for (const event of events) {
+    const cmp = compareVersions(target, event.value);
+
+    if (event.type === 'introduced' && cmp >= 0) {
+      affected = true;
+    } else if (event.type === 'introduced_exclusive' && cmp > 0) {
+      affected = true;
+    } else if (event.type === 'fixed' && cmp >= 0) {
+      affected = false;
+    } else if (event.type === 'last_affected' && cmp > 0) {
+      affected = false;
+    } else if (event.type === 'limit' && cmp >= 0) {
+      affected = false;
+    }
+  }
+
+  return affected;
+}
+
+/**
+ * Describe an OSV range as an npm range, e.g. '>=1.0.0 <1.2.3 || >=2.0.0 <2.0.1'
+ *
+ * Each 'introduced' event is paired with the next 'fixed', 'last_affected'
+ * or 'limit' event, and the resulting intervals are joined with '||'.
+ */
+export function describeOsvRange(range) {
+  const intervals = [];
+  let lower = null;
+
+  for (const { type, value } of sortedOsvEvents(range)) {
+    if (type === 'introduced') {
+      lower ??= value === '0' ? '>=0.0.0' : `>=${value}`;
+      continue;
+    }
+    if (type === 'introduced_exclusive') {
+      lower ??= `>${value}`;
+      continue;
+    }
+    if (lower === null) continue;
+
+    if (type === 'fixed' || type === 'limit') {
+      intervals.push(`${lower} <${value}`);
+    } else if (type === 'last_affected') {
+      intervals.push(`${lower} <=${value}`);
+    } else {
+      continue;
+    }
+    lower = null;
+  }
+
+  if (lower !== null) {
+    intervals.push(lower);
+  }
+
+  return intervals.join(' || ');
+}
+
+/**
+ * Convert a GitHub advisory range ('>= 4.0.0, < 4.17.21') into npm range syntax
+ *
+ * npm ranges ('<4.17.21', '>=1.0.0 <1.2.0 || >=2.0.0') pass through unchanged.
+ */
+export function normalizeVersionRange(range) {
+  return String(range)
+    .split(',')
+    .map(part => part.trim().replace(/^([<>=~^]+)\s+/, '$1'))
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Check a version against a GitHub or npm style range
+ */
+export function isVersionInRange(version, range) {
+  const target = toSemver(version);
+  if (!target || !range) return false;
+
+  const normalized = normalizeVersionRange(range);
+  if (!semver.validRange(normalized, { loose: true })) return false;
+
+  return semver.satisfies(target, normalized, { loose: true, includePrerelease: true });
+}
+
+/**
+ * Check an OSV affected[] entry against a version
+ *
+ * @returns {Object} - { affected: boolean, matchedRange: string|null }
+ */
+export function matchOsvAffected(affectedEntry, version) {
+  const target = toSemver(version);
+
+  if ((affectedEntry.versions || []).some(v => v === version || (target && toSemver(v) === target))) {
+    return { affected: true, matchedRange: `=${version}` };
+  }
+
+  for (const range of affectedEntry.ranges || []) {
+    if (isVersionInOsvRange(range, version)) {
+      return { affected: true, matchedRange: describeOsvRange(range) };
+    }
+  }
+
+  return { affected: false, matchedRange: null };
+}
+
+export default {
+  isConcreteVersion,
+  normalizeVersionRange,
+  isVersionInRange,
+  isVersionInOsvRange,
+  describeOsvRange,
+  matchOsvAffected
+};
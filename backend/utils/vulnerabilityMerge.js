@@ -0,0 +1,203 @@
+/**
+ * Cross-source vulnerability deduplication
+ *
+ * OSV, GitHub and npm audit report the same issue under different ids
+ * (GHSA, CVE, npm advisory number). Findings are grouped when they share an
+ * identifier, taken from the finding id, OSV aliases, GitHub cve_id and
+ * identifiers, and advisory database URLs in references.
+ */
+
+const SEVERITY_RANK = {
+  critical: 4,
+  high: 3,
+  moderate: 2,
+  medium: 2,
+  low: 1,
+  none: 0
+};
+
+// Only URLs of advisory databases identify the vulnerability itself, other
+// references (commits, issues, blog posts) may mention related issues
+const ADVISORY_URL_PATTERNS = [
+  /github\.com\/advisories\/(GHSA-[\w]{4}-[\w]{4}-[\w]{4})/i,
+  /nvd\.nist\.gov\/vuln\/detail\/(CVE-\d{4}-\d+)/i,
+  /cve\.mitre\.org\/cgi-bin\/cvename\.cgi\?name=(CVE-\d{4}-\d+)/i,
+  /cve\.org\/CVERecord\?id=(CVE-\d{4}-\d+)/i,
+  /osv\.dev\/vulnerability\/([\w.-]+)/i,
+  /npmjs\.com\/advisories\/(\d+)/i
+];
+
+function normalizeId(id) {
+  const value = String(id).trim();
+  return /^\d+$/.test(value) ? `NPM-${value}` : value;
+}
+
+// Ids are compared case-insensitively, NVD and GitHub differ in GHSA casing
+function idKey(id) {
+  return id.toUpperCase();
+}
+
+function referenceUrl(reference) {
+  return typeof reference === 'string' ? reference : reference?.url;
+}
+
+/**
+ * Collect every identifier a finding is known under
+ */
+export function getFindingIdentifiers(finding) {
+  const ids = new Map();
+  const add = (id) => {
+    if (id === undefined || id === null || id === '') return;
+    const value = normalizeId(id);
+    if (!ids.has(idKey(value))) ids.set(idKey(value), value);
+  };
+
+  // npm audit findings without an advisory id get a synthetic one
+  if (!String(finding.id).startsWith('npm-audit-')) {
+    add(finding.id);
+  }
+  (finding.aliases || []).forEach(add);
+  add(finding.cveId);
+  (finding.identifiers || []).forEach(identifier => add(identifier.value));
+
+  const urls = [
+    ...(finding.references || []).map(referenceUrl),
+    finding.moreInfo
+  ].filter(Boolean);
+
+  for (const url of urls) {
+    for (const pattern of ADVISORY_URL_PATTERNS) {
+      const match = url.match(pattern);
+      if (match) add(match[1]);
+    }
+  }
+
+  return [...ids.values()];
+}
+
+/**
+ * Pick the id shown for a merged entry: GHSA, then CVE, then whatever came first
+ */
+function pickCanonicalId(ids, fallback) {
+  return ids.find(id => /^GHSA-/i.test(id)) ||
+    ids.find(id => /^CVE-/i.test(id)) ||
+    ids[0] ||
+    fallback;
+}
+
+/**
+ * Reconcile affected flags: affected if any source says so, not affected
+ * only when every source could rule it out
+ */
+function reconcileAffected(records) {
+  const match = records.find(record => record.affected === true);
+  if (match) {
+    return { affected: true, matchedRange: match.matchedRange || null };
+  }
+  if (records.length > 0 && records.every(record => record.affected === false)) {
+    return { affected: false, matchedRange: null };
+  }
+  if (records.every(record => record.affected === undefined)) {
+    return {};
+  }
+  return { affected: null, matchedRange: null };
+}
+
+/**
+ * Build the canonical record for a group of findings
+ */
+function mergeGroup(records) {
+  const ids = [...new Map(records.flatMap(getFindingIdentifiers).map(id => [idKey(id), id])).values()];
+
+  const references = new Map();
+  for (const record of records) {
+    for (const reference of record.references || []) {
+      const url = referenceUrl(reference);
+      if (url && !references.has(url)) {
+        references.set(url, typeof reference === 'string' ? { type: 'WEB', url } : reference);
+      }
+    }
+  }
+
+  const severityBySource = {};
+  let severity = 'unknown';
+  for (const record of records) {
+    severityBySource[record.source] = record.severity || 'unknown';
+    if ((SEVERITY_RANK[record.severity] || 0) > (SEVERITY_RANK[severity] || 0)) {
+      severity = record.severity;
+    }
+  }
+
+  // The rating comes from the highest CVSS score, sources without a usable
+  // vector only count when no source has one
+  const scored = records.filter(record => record.computedCvss);
+  const rated = scored.length > 0
+    ? scored.reduce((best, record) => record.computedCvss.score > best.computedCvss.score ? record : best)
+    : records
+      .filter(record => record.rating)
+      .reduce((best, record) =>
+        !best || (SEVERITY_RANK[record.rating] ?? -1) > (SEVERITY_RANK[best.rating] ?? -1) ? record : best, null);
+
+  const first = (field) => records.map(record => record[field]).find(Boolean);
+
+  return {
+    id: pickCanonicalId(ids, records[0].id),
+    ids,
+    sources: [...new Set(records.map(record => record.source))],
+    severity,
+    severityBySource,
+    ...(rated && {
+      rating: rated.rating,
+      computedCvss: rated.computedCvss || null
+    }),
+    summary: first('summary') || first('title') || '',
+    details: first('details') || first('description') || '',
+    ...reconcileAffected(records),
+    references: [...references.values()],
+    records
+  };
+}
+
+/**
+ * Merge findings that refer to the same vulnerability
+ *
+ * @param {Array} findings - Findings from all sources
+ * @returns {Array} - One canonical record per vulnerability, with the
+ *   original findings under records
+ */
+export function mergeFindings(findings) {
+  // Union-find over finding indexes, joined through shared identifiers
+  const parent = findings.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const ownerById = new Map();
+  findings.forEach((finding, index) => {
+    for (const key of getFindingIdentifiers(finding).map(idKey)) {
+      if (ownerById.has(key)) {
+        parent[find(index)] = find(ownerById.get(key));
+      } else {
+        ownerById.set(key, index);
+      }
+    }
+  });
+
+  const groups = new Map();
+  findings.forEach((finding, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(finding);
+  });
+
+  return [...groups.values()].map(mergeGroup);
+}
+
+export default {
+  getFindingIdentifiers,
+  mergeFindings
+};